@@ -1,397 +1,434 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback, useMemo } from "react";
+import {
+  DEFAULT_MATCHING_OPTIONS,
+  prepareInput,
+  describePattern,
+} from "./engine";
+import { BUILTIN_PLUGINS } from "./plugins/builtins";
+import {
+  defaultPluginOptions,
+  findPlugin,
+  isCustomPlugin,
+  pluginSupportsPatternMode,
+} from "./plugins/registry";
+import { usePlayback } from "./hooks/usePlayback";
+import { usePermalink } from "./hooks/usePermalink";
+import { useTraceWorker } from "./hooks/useTraceWorker";
+import PlaybackControls from "./components/PlaybackControls";
+import MatchingOptions from "./components/MatchingOptions";
+import StreamPanel from "./components/StreamPanel";
+import PluginEditor from "./components/PluginEditor";
+import PseudocodePanel from "./components/PseudocodePanel";
+import QuizPanel from "./components/QuizPanel";
+import PerformanceChart from "./components/PerformanceChart";
+import ExportMenu from "./components/ExportMenu";
+import ComparisonMode from "./components/ComparisonMode";
+import ScenarioGenerator from "./components/ScenarioGenerator";
+import BenchmarkView from "./components/BenchmarkView";
+import TextStrip from "./components/TextStrip";
+import TextInput from "./components/TextInput";
+import Minimap from "./components/Minimap";
+import GenerationProgress from "./components/GenerationProgress";
+import { patternColor, markReported } from "./components/patternColors";
+
+// Matches a streaming run only found thanks to the state carried over a
+// chunk border, same orange as the borders
+const BORDER_MATCH_COLOR = "#ea580c";
+
+const DEFAULT_ALGORITHM_OPTIONS = defaultPluginOptions(BUILTIN_PLUGINS);
 
 const StringMatchingVisualizer = () => {
   // State setup
   const [text, setText] = useState("");
   const [pattern, setPattern] = useState("");
+  const [patternList, setPatternList] = useState("");
   const [algorithm, setAlgorithm] = useState("naive");
+  const [mode, setMode] = useState("single");
+  const [patternMode, setPatternMode] = useState("literal");
+  const [algorithmOptions, setAlgorithmOptions] = useState(
+    DEFAULT_ALGORITHM_OPTIONS
+  );
+  const [matchingOptions, setMatchingOptions] = useState(
+    DEFAULT_MATCHING_OPTIONS
+  );
   const [speed, setSpeed] = useState(500);
-  const [isRunning, setIsRunning] = useState(false);
-  const [currentStep, setCurrentStep] = useState(0);
-  const [steps, setSteps] = useState([]);
-  const [comparisons, setComparisons] = useState(0);
-  const [matches, setMatches] = useState([]);
-  const [prefixTable, setPrefixTable] = useState([]);
-  const [currentHash, setCurrentHash] = useState(null);
-  const [comparisonHistory, setComparisonHistory] = useState([]);
-
-  // Reset everything when text, pattern or algorithm changes
+  const [trace, setTrace] = useState(null);
+  const [error, setError] = useState(null);
+  const [pendingRun, setPendingRun] = useState(null);
+  const [scrollTarget, setScrollTarget] = useState(null);
+  const [practice, setPractice] = useState(false);
+  const [customPlugins, setCustomPlugins] = useState([]);
+  const [showEditor, setShowEditor] = useState(false);
+
+  const steps = trace?.steps || [];
+  const playback = usePlayback(steps.length, speed);
+  const { currentStep, isPlaying, stop, seek } = playback;
+  const { generate, generateCustom, cancel, progress, isGenerating } =
+    useTraceWorker();
+
+  // Everything from the plugin registry, built-in and from the editor
+  const plugins = useMemo(
+    () => [...BUILTIN_PLUGINS, ...customPlugins],
+    [customPlugins]
+  );
+  const plugin = findPlugin(plugins, algorithm) || plugins[0];
+  const options = algorithmOptions[plugin.id] ?? plugin.defaultOptions;
+
+  // Multi-pattern algorithms take one pattern per line instead
+  const isMultiPattern = mode === "single" && Boolean(plugin.multiPattern);
+  const patterns = useMemo(
+    () => patternList.split("\n").filter((p) => p.length > 0),
+    [patternList]
+  );
+  const hasPattern = isMultiPattern ? patterns.length > 0 : pattern.length > 0;
+  // These step through the text, there's no pattern window to draw
+  const scansText = mode === "single" && Boolean(plugin.textScan);
+
+  // Text and pattern split into the units the algorithms compare
+  const textUnits = useMemo(
+    () => prepareInput(text, matchingOptions).display,
+    [text, matchingOptions]
+  );
+  const { units: patternUnits, wildcards } = useMemo(
+    () => describePattern(pattern, matchingOptions, patternMode),
+    [pattern, matchingOptions, patternMode]
+  );
+
+  // Only some algorithms can deal with wildcards and character classes, and
+  // regular expressions need the NFA
+  const supportsPattern = (candidate) =>
+    pluginSupportsPatternMode(candidate, patternMode);
+
+  const resetVisualization = useCallback(() => {
+    cancel();
+    stop();
+    setTrace(null);
+    setError(null);
+  }, [cancel, stop]);
+
+  // Reset everything when text, pattern or algorithm changes (a plugin
+  // edited in the editor counts as a new algorithm)
   useEffect(() => {
     resetVisualization();
-  }, [text, pattern, algorithm]);
-
-  const resetVisualization = () => {
-    setIsRunning(false);
-    setCurrentStep(0);
-    setSteps([]);
-    setComparisons(0);
-    setMatches([]);
-    setPrefixTable([]);
-    setCurrentHash(null);
-    setComparisonHistory([]);
+  }, [
+    text,
+    pattern,
+    patternList,
+    algorithm,
+    plugin,
+    algorithmOptions,
+    matchingOptions,
+    patternMode,
+    mode,
+    resetVisualization,
+  ]);
+
+  const updateOptions = (changes) =>
+    setAlgorithmOptions((prev) => ({
+      ...prev,
+      [plugin.id]: { ...options, ...changes },
+    }));
+
+  // A plugin saved in the editor replaces its older version and is selected
+  const savePlugin = (saved) => {
+    setCustomPlugins((prev) =>
+      prev.some((p) => p.id === saved.id)
+        ? prev.map((p) => (p.id === saved.id ? saved : p))
+        : [...prev, saved]
+    );
+    setAlgorithmOptions((prev) => ({
+      ...prev,
+      [saved.id]: saved.defaultOptions,
+    }));
+    setAlgorithm(saved.id);
   };
 
-  // Pick which algorithm to use
-  const generateSteps = () => {
-    let steps = [];
-    setComparisons(0);
-
-    if (algorithm === "naive") {
-      steps = naiveStringMatching();
-    } else if (algorithm === "kmp") {
-      steps = kmpStringMatching();
-    } else if (algorithm === "rabin-karp") {
-      steps = rabinKarpStringMatching();
-    }
-
-    setSteps(steps);
-    return steps;
+  const removePlugin = (id) => {
+    setCustomPlugins((prev) => prev.filter((p) => p.id !== id));
+    if (algorithm === id) setAlgorithm("naive");
   };
 
-  // Good old brute force approach
-  const naiveStringMatching = () => {
-    const steps = [];
-    const foundMatches = [];
-    let totalComparisons = 0;
-    const history = [];
-
-    // For each possible starting position in the text
-    for (let i = 0; i <= text.length - pattern.length; i++) {
-      let j;
-      const currentComparisons = [];
-      let stepComparisons = 0;
-
-      // Try to match pattern starting at position i
-      for (j = 0; j < pattern.length; j++) {
-        // Keep track of what we're comparing
-        currentComparisons.push({
-          textIndex: i + j,
-          patternIndex: j,
-          match: text[i + j] === pattern[j],
-        });
-        totalComparisons++;
-        stepComparisons++;
+  const updateMatchingOptions = (changes) =>
+    setMatchingOptions((prev) => ({ ...prev, ...changes }));
 
-        // Break early if mismatch found
-        if (text[i + j] !== pattern[j]) {
-          break;
-        }
-      }
-
-      history.push({
-        step: i,
-        comparisons: stepComparisons,
-        totalComparisons: totalComparisons,
-      });
-
-      // Add this step to our visualization
-      steps.push({
-        textIndex: i,
-        patternIndex: 0,
-        comparisons: [...currentComparisons],
-        totalComparisons: totalComparisons,
-        description:
-          j === pattern.length
-            ? `Match found at position ${i}!`
-            : `Mismatch at position ${i + j}, shifting pattern.`,
-      });
-
-      // If we made it through the whole pattern, we found a match
-      if (j === pattern.length) {
-        foundMatches.push(i);
-      }
+  const changePatternMode = (newMode) => {
+    setPatternMode(newMode);
+    if (!pluginSupportsPatternMode(plugin, newMode)) {
+      setAlgorithm(newMode === "regex" ? "regex" : "naive");
     }
-
-    setMatches(foundMatches);
-    setComparisons(totalComparisons);
-    setComparisonHistory(history);
-    return steps;
   };
 
-  // Helper function for KMP - builds the prefix table
-  const computeKMPPrefixTable = () => {
-    const lps = Array(pattern.length).fill(0);
-    let len = 0;
-    let i = 1;
-
-    while (i < pattern.length) {
-      if (pattern[i] === pattern[len]) {
-        // Found matching prefix-suffix
-        len++;
-        lps[i] = len;
-        i++;
-      } else {
-        if (len !== 0) {
-          // Try shorter prefix
-          len = lps[len - 1];
-        } else {
-          // No matching prefix found
-          lps[i] = 0;
-          i++;
-        }
-      }
+  // Ask the trace worker for a fresh trace of the selected algorithm
+  // (bad options, e.g. a non-numeric modulus, are reported instead).
+  // Resolves with no steps if the run failed or was cancelled.
+  const generateSteps = useCallback(async () => {
+    let newTrace;
+    const runOptions = {
+      ...options,
+      matching: matchingOptions,
+      patternMode,
+    };
+    try {
+      // Plugins from the editor only ever run in the sandbox
+      newTrace = isCustomPlugin(plugin)
+        ? await generateCustom(plugin.source, text, pattern, runOptions)
+        : await generate(
+            algorithm,
+            text,
+            isMultiPattern ? patterns : pattern,
+            runOptions
+          );
+    } catch (err) {
+      setError(err.message);
+      return [];
     }
-
-    setPrefixTable(lps);
-    return lps;
-  };
-
-  // KMP algorithm - uses prefix table to skip redundant comparisons
-  const kmpStringMatching = () => {
-    // First get our prefix table
-    const lps = computeKMPPrefixTable();
-    const steps = [];
-    const foundMatches = [];
-    let totalComparisons = 0;
-    const history = [];
-
-    let i = 0; // index for text
-    let j = 0; // index for pattern
-    let step = 0;
-
-    while (i < text.length) {
-      const currentComparisons = [];
-      let stepComparisons = 0;
-
-      // Record what we're comparing
-      currentComparisons.push({
-        textIndex: i,
-        patternIndex: j,
-        match: text[i] === pattern[j],
+    if (!newTrace) return [];
+
+    setError(null);
+    setTrace(newTrace);
+    return newTrace.steps;
+  }, [
+    generate,
+    generateCustom,
+    algorithm,
+    plugin,
+    text,
+    pattern,
+    patterns,
+    isMultiPattern,
+    options,
+    matchingOptions,
+    patternMode,
+  ]);
+
+  // Load a scenario from a shared link, back/forward navigation or an
+  // imported trace file (in which case the trace is reused as is)
+  const restoreScenario = useCallback(
+    (scenario, importedTrace = null) => {
+      const restoredMode = scenario.mode === "compare" ? "compare" : "single";
+      setMode(restoredMode);
+      setText(scenario.text ?? "");
+      setPattern(scenario.pattern ?? "");
+      setPatternList(scenario.patternList ?? "");
+      const restoredPatternMode = ["wildcard", "regex"].includes(
+        scenario.patternMode
+      )
+        ? scenario.patternMode
+        : "literal";
+      setPatternMode(restoredPatternMode);
+      // Fall back to an algorithm that can run the pattern
+      const restoredPlugin = findPlugin(plugins, scenario.algorithm);
+      setAlgorithm(
+        restoredPlugin &&
+          pluginSupportsPatternMode(restoredPlugin, restoredPatternMode)
+          ? restoredPlugin.id
+          : restoredPatternMode === "regex"
+          ? "regex"
+          : "naive"
+      );
+      setAlgorithmOptions(
+        Object.fromEntries(
+          Object.entries(DEFAULT_ALGORITHM_OPTIONS).map(([name, defaults]) => [
+            name,
+            { ...defaults, ...scenario.options?.[name] },
+          ])
+        )
+      );
+      setMatchingOptions({
+        ...DEFAULT_MATCHING_OPTIONS,
+        ...scenario.matching,
       });
-      totalComparisons++;
-      stepComparisons++;
-
-      if (text[i] === pattern[j]) {
-        // Characters match, move both pointers
-        i++;
-        j++;
-      }
-
-      // Check if we've found a complete match
-      if (j === pattern.length) {
-        foundMatches.push(i - j);
-        steps.push({
-          textIndex: i - j,
-          patternIndex: 0,
-          comparisons: [...currentComparisons],
-          totalComparisons: totalComparisons,
-          description: `Match found at position ${i - j}!`,
-          prefixUse: null,
-        });
-
-        history.push({
-          step: step++,
-          comparisons: stepComparisons,
-          totalComparisons: totalComparisons,
-        });
+      if (scenario.speed !== undefined) setSpeed(scenario.speed);
+      stop();
+      setTrace(null);
+      setPendingRun(
+        restoredMode === "single" &&
+          (scenario.step !== undefined || importedTrace)
+          ? { step: scenario.step ?? 0, trace: importedTrace }
+          : null
+      );
+    },
+    [plugins, stop]
+  );
 
-        // Use prefix table to slide pattern
-        j = lps[j - 1];
-      }
-      // Handle mismatches
-      else if (i < text.length && text[i] !== pattern[j]) {
-        if (j !== 0) {
-          // Use the prefix table to skip redundant comparisons
-          const prefixUse = {
-            oldJ: j,
-            newJ: lps[j - 1],
-          };
-          j = lps[j - 1];
-
-          steps.push({
-            textIndex: i - j,
-            patternIndex: 0,
-            comparisons: [...currentComparisons],
-            totalComparisons: totalComparisons,
-            description: `Mismatch, using prefix table to shift pattern.`,
-            prefixUse: prefixUse,
-          });
-        } else {
-          // At start of pattern, just move text pointer
-          steps.push({
-            textIndex: i - j,
-            patternIndex: 0,
-            comparisons: [...currentComparisons],
-            totalComparisons: totalComparisons,
-            description: `Mismatch at beginning of pattern, moving to next position.`,
-            prefixUse: null,
-          });
-          i++;
-        }
-
-        history.push({
-          step: step++,
-          comparisons: stepComparisons,
-          totalComparisons: totalComparisons,
+  // A restored run is rebuilt once its inputs are in place (regenerated, or
+  // taken from the imported file), then we jump to the step it was saved at
+  useEffect(() => {
+    if (pendingRun === null) return;
+    if (trace === null) {
+      if (pendingRun.trace) {
+        setTrace(pendingRun.trace);
+      } else if (!pendingRun.generating) {
+        setPendingRun({ ...pendingRun, generating: true });
+        generateSteps().then((generated) => {
+          if (generated.length === 0) setPendingRun(null);
         });
       }
+      return;
     }
+    seek(pendingRun.step);
+    setPendingRun(null);
+  }, [pendingRun, trace, generateSteps, seek]);
+
+  // Memoized so the permalink only encodes it again when an input changes,
+  // not on every playback step
+  const scenario = useMemo(
+    () => ({
+      mode,
+      text,
+      pattern,
+      patternList,
+      patternMode,
+      algorithm,
+      options: algorithmOptions,
+      matching: matchingOptions,
+    }),
+    [
+      mode,
+      text,
+      pattern,
+      patternList,
+      patternMode,
+      algorithm,
+      algorithmOptions,
+      matchingOptions,
+    ]
+  );
 
-    setMatches(foundMatches);
-    setComparisons(totalComparisons);
-    setComparisonHistory(history);
-    return steps;
+  // A generated scenario replaces the text and pattern (and picks the
+  // algorithm it was made for), everything else stays as it is
+  const loadGenerated = (generated) =>
+    restoreScenario({
+      ...scenario,
+      text: generated.text,
+      pattern: generated.pattern,
+      patternList: generated.pattern,
+      patternMode: "literal",
+      algorithm: generated.algorithm ?? algorithm,
+    });
+
+  // Samples come with a pattern that occurs in them
+  const loadSample = (sample) => {
+    setText(sample.text);
+    setPattern(sample.pattern);
+    setPatternList(sample.pattern);
   };
 
-  // Rabin-Karp algorithm - uses hashing to speed up comparison
-  const rabinKarpStringMatching = () => {
-    const prime = 101; // Just a small prime number for our demo
-    const steps = [];
-    const foundMatches = [];
-    let totalComparisons = 0;
-    const history = [];
-
-    // Hash function for strings
-    const calculateHash = (str, start, end) => {
-      let hash = 0;
-      for (let i = start; i < end; i++) {
-        hash = (hash * 256 + str.charCodeAt(i)) % prime;
-      }
-      return hash;
-    };
+  usePermalink(
+    scenario,
+    { speed, step: currentStep },
+    mode === "single" && trace !== null && pendingRun === null,
+    restoreScenario
+  );
 
-    // Get pattern hash once
-    const patternHash = calculateHash(pattern, 0, pattern.length);
+  // Generate the steps and start playing them
+  const startVisualization = async () => {
+    const generatedSteps = await generateSteps();
+    if (generatedSteps.length === 0) return;
 
-    // Get hash of first window of text
-    let textHash = calculateHash(text, 0, pattern.length);
+    playback.seek(0);
+    playback.play();
+  };
 
-    // Slide window through text
-    for (let i = 0; i <= text.length - pattern.length; i++) {
-      const currentComparisons = [];
-      let hashMatch = textHash === patternHash;
-      let stepComparisons = 0;
+  // Get current step data for rendering
+  const matches = trace?.matches || [];
+  const currentStepData = steps[currentStep] || {};
 
-      // Store current hash values for visualization
-      setCurrentHash({
-        patternHash,
-        textHash,
-        hashMatch,
+  // Where the matches start in the original text (units can span several
+  // UTF-16 code units, so these differ from the grid positions)
+  const matchPositions = trace?.matchOffsets
+    ? [...new Set(trace.matchOffsets.map(({ start }) => start))].sort(
+        (a, b) => a - b
+      )
+    : matches;
+
+  // Every occurrence as a text range, for the minimap
+  const matchRanges = useMemo(() => {
+    if (!trace) return [];
+    if (isMultiPattern) {
+      return trace.auxiliary.occurrences.map(({ patternIndex, position }) => ({
+        start: position,
+        length: trace.auxiliary.patterns[patternIndex].length,
+        colorIndex: patternIndex,
+      }));
+    }
+    if (trace.auxiliary.approximateMatches) {
+      return trace.auxiliary.approximateMatches.map(
+        ({ start, end, distance }) => ({
+          start,
+          length: end - start + 1,
+          colorIndex: distance,
+        })
+      );
+    }
+    if (trace.auxiliary.regexMatches) {
+      return trace.auxiliary.regexMatches.map(({ start, end }) => ({
+        start,
+        length: end - start + 1,
+        colorIndex: 0,
+      }));
+    }
+    return trace.matches.map((start) => ({
+      start,
+      length: patternUnits.length,
+    }));
+  }, [trace, isMultiPattern, patternUnits]);
+
+  // Colour every character covered by a match (by pattern for Aho-Corasick,
+  // by distance for approximate matches), from the step that reports it -
+  // all the text scanners report a match on the step that reads its last
+  // char. Streaming runs mark the matches found so far as well. Built once
+  // per trace, the strip picks what's due each step.
+  const stream = trace?.auxiliary.stream;
+  const reportedColors = useMemo(() => {
+    const marks = {};
+    if (scansText) {
+      matchRanges.forEach(({ start, length, colorIndex }) => {
+        markReported(
+          marks,
+          start,
+          length,
+          start + length - 1,
+          patternColor(colorIndex)
+        );
       });
-
-      // Hash comparison counts as a comparison
-      stepComparisons++;
-      totalComparisons++;
-
-      // Only check character by character if hash matches
-      if (hashMatch) {
-        let j;
-        for (j = 0; j < pattern.length; j++) {
-          currentComparisons.push({
-            textIndex: i + j,
-            patternIndex: j,
-            match: text[i + j] === pattern[j],
-          });
-          totalComparisons++;
-          stepComparisons++;
-
-          // Break early on mismatch
-          if (text[i + j] !== pattern[j]) {
-            break;
-          }
-        }
-
-        // Check if we found a match
-        if (j === pattern.length) {
-          foundMatches.push(i);
-          steps.push({
-            textIndex: i,
-            patternIndex: 0,
-            comparisons: [...currentComparisons],
-            totalComparisons: totalComparisons,
-            description: `Hash match! Confirmed match at position ${i}.`,
-            hashInfo: {
-              patternHash,
-              textHash,
-              hashMatch: true,
-            },
-          });
-        } else {
-          // Hash collision but strings don't match
-          steps.push({
-            textIndex: i,
-            patternIndex: 0,
-            comparisons: [...currentComparisons],
-            totalComparisons: totalComparisons,
-            description: `Hash match but actual string mismatch (spurious hit).`,
-            hashInfo: {
-              patternHash,
-              textHash,
-              hashMatch: true,
-              spurious: true,
-            },
-          });
-        }
-      } else {
-        // Hashes don't match, no need to check characters
-        steps.push({
-          textIndex: i,
-          patternIndex: 0,
-          comparisons: [],
-          totalComparisons: totalComparisons,
-          description: `Hash mismatch, skipping detailed comparison.`,
-          hashInfo: {
-            patternHash,
-            textHash,
-            hashMatch: false,
-          },
-        });
-      }
-
-      history.push({
-        step: i,
-        comparisons: stepComparisons,
-        totalComparisons: totalComparisons,
+    }
+    if (stream) {
+      stream.matches.forEach(({ start, step, spansBorder }) => {
+        markReported(
+          marks,
+          start,
+          patternUnits.length,
+          step,
+          spansBorder ? BORDER_MATCH_COLOR : patternColor(0)
+        );
       });
-
-      // Calculate rolling hash for next window (clever trick to avoid recalculating whole hash)
-      if (i < text.length - pattern.length) {
-        // Remove leftmost character and add rightmost character
-        textHash =
-          ((textHash -
-            ((text.charCodeAt(i) * Math.pow(256, pattern.length - 1)) % prime) +
-            prime) *
-            256 +
-            text.charCodeAt(i + pattern.length)) %
-          prime;
-      }
     }
-
-    setMatches(foundMatches);
-    setComparisons(totalComparisons);
-    setComparisonHistory(history);
-    return steps;
-  };
-
-  // Run the visualization with animation
-  const startVisualization = () => {
-    const generatedSteps = generateSteps();
-    if (generatedSteps.length === 0) return;
-
-    setIsRunning(true);
-    setCurrentStep(0);
-
-    // Set up interval for animation
-    const interval = setInterval(() => {
-      setCurrentStep((prevStep) => {
-        const nextStep = prevStep + 1;
-        // Stop when we reach the end
-        if (nextStep >= generatedSteps.length) {
-          clearInterval(interval);
-          setIsRunning(false);
-          return prevStep;
-        }
-        return nextStep;
+    // Custom step generators say which step found each match
+    if (trace && isCustomPlugin(plugin)) {
+      trace.steps.forEach((step, index) => {
+        if (step.customMatch === undefined) return;
+        markReported(
+          marks,
+          step.customMatch,
+          patternUnits.length,
+          index,
+          patternColor(0)
+        );
       });
-    }, speed);
-
-    // Cleanup function
-    return () => clearInterval(interval);
-  };
-
-  // Get current step data for rendering
-  const currentStepData = steps[currentStep] || {};
+    }
+    return marks;
+  }, [matchRanges, scansText, stream, plugin, trace, patternUnits]);
+
+  // Show where the chunks start and how much of the text has arrived
+  const chunkBorders = stream
+    ? stream.chunks.slice(1).map((chunk) => chunk.start)
+    : [];
+  const arrived = !stream
+    ? null
+    : currentStepData.stream
+    ? stream.chunks[currentStepData.stream.chunk].end
+    : 0;
 
   return (
     <div className="p-4 max-w-6xl mx-auto bg-white rounded-lg shadow">
@@ -401,70 +438,213 @@ const StringMatchingVisualizer = () => {
 
       {/* Input Controls */}
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">
-            Text
-          </label>
-          <input
-            type="text"
-            value={text}
-            onChange={(e) => setText(e.target.value)}
-            disabled={isRunning}
-            className="w-full p-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
-          />
-        </div>
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">
-            Pattern
-          </label>
-          <input
-            type="text"
-            value={pattern}
-            onChange={(e) => setPattern(e.target.value)}
-            disabled={isRunning}
-            className="w-full p-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
-          />
-        </div>
+        <TextInput
+          text={text}
+          onChange={setText}
+          onSample={loadSample}
+          disabled={isPlaying}
+        />
+        {isMultiPattern ? (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Patterns (one per line)
+            </label>
+            <textarea
+              value={patternList}
+              onChange={(e) => setPatternList(e.target.value)}
+              disabled={isPlaying}
+              rows={4}
+              className="w-full p-2 border border-gray-300 rounded font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+        ) : (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Pattern
+            </label>
+            <input
+              type="text"
+              value={pattern}
+              onChange={(e) => setPattern(e.target.value)}
+              disabled={isPlaying}
+              className="w-full p-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+        )}
       </div>
 
-      {/* Algorithm Selection */}
+      <ScenarioGenerator
+        rabinKarpOptions={algorithmOptions["rabin-karp"]}
+        onLoad={loadGenerated}
+        disabled={isPlaying}
+      />
+
+      {/* Mode Selection */}
+      <div className="flex gap-2 mb-6">
+        <button
+          onClick={() => setMode("single")}
+          disabled={isPlaying}
+          className={`px-4 py-2 rounded ${
+            mode === "single" ? "bg-blue-600 text-white" : "bg-gray-200"
+          }`}
+        >
+          Single Algorithm
+        </button>
+        <button
+          onClick={() => setMode("compare")}
+          disabled={isPlaying}
+          className={`px-4 py-2 rounded ${
+            mode === "compare" ? "bg-blue-600 text-white" : "bg-gray-200"
+          }`}
+        >
+          Compare Algorithms
+        </button>
+        <button
+          onClick={() => setMode("benchmark")}
+          disabled={isPlaying}
+          className={`px-4 py-2 rounded ${
+            mode === "benchmark" ? "bg-blue-600 text-white" : "bg-gray-200"
+          }`}
+        >
+          Benchmark
+        </button>
+      </div>
+
+      {/* Pattern Syntax */}
       <div className="mb-6">
         <label className="block text-sm font-medium text-gray-700 mb-1">
-          Algorithm
+          Pattern Syntax
         </label>
         <div className="flex flex-wrap gap-2">
           <button
-            onClick={() => setAlgorithm("naive")}
-            disabled={isRunning}
+            onClick={() => changePatternMode("literal")}
+            disabled={isPlaying}
             className={`px-4 py-2 rounded ${
-              algorithm === "naive" ? "bg-blue-600 text-white" : "bg-gray-200"
+              patternMode === "literal"
+                ? "bg-blue-600 text-white"
+                : "bg-gray-200"
             }`}
           >
-            Naive
+            Literal
           </button>
           <button
-            onClick={() => setAlgorithm("kmp")}
-            disabled={isRunning}
+            onClick={() => changePatternMode("wildcard")}
+            disabled={isPlaying}
             className={`px-4 py-2 rounded ${
-              algorithm === "kmp" ? "bg-blue-600 text-white" : "bg-gray-200"
+              patternMode === "wildcard"
+                ? "bg-blue-600 text-white"
+                : "bg-gray-200"
             }`}
           >
-            KMP
+            Wildcards and Classes
           </button>
           <button
-            onClick={() => setAlgorithm("rabin-karp")}
-            disabled={isRunning}
+            onClick={() => changePatternMode("regex")}
+            disabled={isPlaying}
             className={`px-4 py-2 rounded ${
-              algorithm === "rabin-karp"
-                ? "bg-blue-600 text-white"
-                : "bg-gray-200"
+              patternMode === "regex" ? "bg-blue-600 text-white" : "bg-gray-200"
             }`}
           >
-            Rabin-Karp
+            Regular Expression
           </button>
         </div>
+        {patternMode === "wildcard" && (
+          <p className="text-sm text-gray-600 mt-2">
+            <code>?</code> matches any character, <code>[aeiou]</code> one of a
+            set, <code>[0-9]</code> a range and <code>[^0-9]</code> anything
+            else. Use <code>\?</code> or <code>\[</code> for a literal ? or [.
+          </p>
+        )}
+        {patternMode === "regex" && (
+          <p className="text-sm text-gray-600 mt-2">
+            <code>a|b</code> matches either side, <code>*</code>, <code>+</code>{" "}
+            and <code>?</code> repeat what comes before zero or more, one or
+            more and zero or one times, <code>( )</code> groups, <code>.</code>{" "}
+            matches any character and <code>[a-z]</code> is a character class.
+            Use a backslash for a literal special character, as in{" "}
+            <code>\*</code>.
+          </p>
+        )}
       </div>
 
+      {/* Algorithm Selection */}
+      {mode === "single" && (
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Algorithm
+          </label>
+          <div className="flex flex-wrap gap-2">
+            {plugins.map((candidate) => (
+              <button
+                key={candidate.id}
+                onClick={() => setAlgorithm(candidate.id)}
+                disabled={isPlaying || !supportsPattern(candidate)}
+                className={`px-4 py-2 rounded disabled:opacity-50 ${
+                  algorithm === candidate.id
+                    ? "bg-blue-600 text-white"
+                    : "bg-gray-200"
+                }`}
+              >
+                {candidate.name}
+              </button>
+            ))}
+            <button
+              onClick={() => setShowEditor(!showEditor)}
+              disabled={isPlaying}
+              className={`px-4 py-2 rounded border border-dashed border-gray-400 disabled:opacity-50 ${
+                showEditor ? "bg-gray-300" : "bg-white"
+              }`}
+            >
+              Write Your Own…
+            </button>
+          </div>
+          {patternMode === "wildcard" && (
+            <p className="text-sm text-gray-600 mt-2">
+              KMP, Rabin-Karp, Boyer-Moore, Aho-Corasick, Suffix Array and
+              Z-Algorithm need a literal pattern: their tables, trie and sorted
+              suffixes assume every pattern position is one known character, and
+              Rabin-Karp can't hash a position that stands for many characters.
+            </p>
+          )}
+          {patternMode === "regex" && (
+            <p className="text-sm text-gray-600 mt-2">
+              A regular expression can match text of any length, so it runs on a
+              Thompson NFA instead of a fixed-length pattern window.
+            </p>
+          )}
+          {patternMode !== "literal" && customPlugins.length > 0 && (
+            <p className="text-sm text-gray-600 mt-2">
+              Plugins from the editor only take literal patterns.
+            </p>
+          )}
+        </div>
+      )}
+
+      {mode === "single" && showEditor && (
+        <PluginEditor
+          plugins={customPlugins}
+          onSave={savePlugin}
+          onRemove={removePlugin}
+          disabled={isPlaying}
+        />
+      )}
+
+      {/* Matching Options */}
+      <MatchingOptions
+        options={matchingOptions}
+        onChange={updateMatchingOptions}
+        disabled={isPlaying}
+      />
+
+      {/* Algorithm Options */}
+      {mode === "single" && plugin.Options && (
+        <plugin.Options
+          options={options}
+          onChange={updateOptions}
+          disabled={isPlaying}
+        />
+      )}
+
       {/* Speed Control */}
       <div className="mb-6">
         <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -477,227 +657,189 @@ const StringMatchingVisualizer = () => {
           step="100"
           value={speed}
           onChange={(e) => setSpeed(parseInt(e.target.value))}
-          disabled={isRunning}
           className="w-full"
         />
       </div>
 
-      {/* Visualization Controls */}
-      <div className="flex gap-2 mb-6">
-        <button
-          onClick={startVisualization}
-          disabled={isRunning || text.length === 0 || pattern.length === 0}
-          className="px-4 py-2 bg-green-600 text-white rounded disabled:bg-gray-300"
-        >
-          Start
-        </button>
-        <button
-          onClick={resetVisualization}
-          disabled={isRunning}
-          className="px-4 py-2 bg-red-600 text-white rounded disabled:bg-gray-300"
-        >
-          Reset
-        </button>
-      </div>
+      {mode === "single" ? (
+        <>
+          {/* Visualization Controls */}
+          <div className="flex gap-2 mb-6">
+            <button
+              onClick={startVisualization}
+              disabled={
+                isPlaying || isGenerating || text.length === 0 || !hasPattern
+              }
+              className="px-4 py-2 bg-green-600 text-white rounded disabled:bg-gray-300"
+            >
+              Start
+            </button>
+            <button
+              onClick={resetVisualization}
+              disabled={isPlaying}
+              className="px-4 py-2 bg-red-600 text-white rounded disabled:bg-gray-300"
+            >
+              Reset
+            </button>
+            <ExportMenu
+              scenario={{
+                ...scenario,
+                patternList: isMultiPattern ? patternList : "",
+              }}
+              trace={trace}
+              frameDelay={speed}
+              plugins={plugins}
+              onImport={restoreScenario}
+              disabled={isPlaying}
+            />
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={practice}
+                onChange={(e) => setPractice(e.target.checked)}
+              />
+              Practice mode (predict the next step)
+            </label>
+          </div>
 
-      {/* Visualization Area */}
-      <div className="border rounded p-4 mb-6">
-        <h2 className="text-lg font-semibold mb-2">Visualization</h2>
-
-        {/* Text characters with highlighting */}
-        <div className="flex flex-wrap mb-4 font-mono">
-          {text.split("").map((char, index) => {
-            const isCompared = currentStepData.comparisons?.some(
-              (c) => c.textIndex === index
-            );
-            const isMatch = currentStepData.comparisons?.some(
-              (c) => c.textIndex === index && c.match
-            );
-            const isMismatch = currentStepData.comparisons?.some(
-              (c) => c.textIndex === index && !c.match
-            );
-            const isPatternStart = index === currentStepData.textIndex;
-
-            return (
-              <div
-                key={index}
-                className={`w-8 h-8 flex items-center justify-center border ${
-                  isPatternStart
-                    ? "border-blue-500 border-2"
-                    : "border-gray-200"
-                } ${
-                  isMatch
-                    ? "bg-green-200"
-                    : isMismatch
-                    ? "bg-red-200"
-                    : isCompared
-                    ? "bg-yellow-100"
-                    : ""
-                }`}
-              >
-                {char}
-              </div>
-            );
-          })}
-        </div>
+          {isGenerating && (
+            <GenerationProgress progress={progress} onCancel={cancel} />
+          )}
 
-        {/* Pattern positioning */}
-        <div className="flex mb-4">
-          {/* Spaces before pattern */}
-          {Array(currentStepData.textIndex || 0)
-            .fill(" ")
-            .map((_, i) => (
-              <div key={i} className="w-8 h-8"></div>
-            ))}
-          {/* Pattern characters */}
-          {pattern.split("").map((char, index) => (
-            <div
-              key={index}
-              className={`w-8 h-8 flex items-center justify-center border border-blue-500 ${
-                currentStepData.comparisons?.some(
-                  (c) => c.patternIndex === index && c.match
-                )
-                  ? "bg-green-200"
-                  : currentStepData.comparisons?.some(
-                      (c) => c.patternIndex === index && !c.match
-                    )
-                  ? "bg-red-200"
-                  : "bg-blue-100"
-              }`}
-            >
-              {char}
-            </div>
-          ))}
-        </div>
+          {error && <p className="text-red-600 mb-6">{error}</p>}
 
-        {/* KMP-specific information */}
-        {algorithm === "kmp" && prefixTable.length > 0 && (
-          <div className="mb-4">
-            <h3 className="text-md font-semibold mb-1">KMP Prefix Table:</h3>
-            <div className="flex flex-wrap font-mono">
-              {pattern.split("").map((char, index) => (
-                <div
-                  key={index}
-                  className="flex flex-col items-center mr-2 mb-2"
-                >
-                  <div className="w-8 h-8 flex items-center justify-center border border-gray-300">
-                    {char}
-                  </div>
-                  <div className="w-8 h-8 flex items-center justify-center border border-gray-300 bg-blue-100">
-                    {prefixTable[index]}
-                  </div>
-                </div>
-              ))}
-            </div>
-            {currentStepData.prefixUse && (
-              <div className="text-sm text-blue-600">
-                Shifted pattern using prefix table: j changed from{" "}
-                {currentStepData.prefixUse.oldJ} to{" "}
-                {currentStepData.prefixUse.newJ}
-              </div>
+          {trace?.truncated && (
+            <p className="text-amber-700 mb-6">
+              Only the first {steps.length.toLocaleString()} of{" "}
+              {trace.truncated.totalSteps.toLocaleString()} steps are shown. The
+              matches and comparison count cover the whole text.
+            </p>
+          )}
+
+          {steps.length > 0 && (
+            <PlaybackControls playback={playback} stepCount={steps.length} />
+          )}
+
+          {practice && trace && (
+            <QuizPanel
+              algorithm={algorithm}
+              trace={trace}
+              playback={playback}
+              stepCount={steps.length}
+            />
+          )}
+
+          {/* Visualization Area */}
+          <div className="border rounded p-4 mb-6">
+            <h2 className="text-lg font-semibold mb-2">Visualization</h2>
+
+            {/* Text and pattern (not aligned yet while preprocessing) */}
+            <TextStrip
+              text={textUnits}
+              pattern={isMultiPattern ? [] : patternUnits}
+              stepData={currentStepData}
+              showPattern={
+                !scansText && currentStepData.phase !== "preprocessing"
+              }
+              wildcards={wildcards}
+              reportedColors={reportedColors}
+              currentStep={currentStep}
+              scrollTarget={scrollTarget}
+              chunkBorders={chunkBorders}
+              arrived={arrived}
+            />
+
+            {trace && (
+              <Minimap
+                textLength={textUnits.length}
+                matchRanges={matchRanges}
+                windowStart={currentStepData.textIndex || 0}
+                windowLength={scansText ? 1 : patternUnits.length}
+                onSelect={(index) => setScrollTarget({ index })}
+              />
             )}
-          </div>
-        )}
 
-        {/* Rabin-Karp-specific information */}
-        {algorithm === "rabin-karp" && currentStepData.hashInfo && (
-          <div className="mb-4">
-            <h3 className="text-md font-semibold mb-1">Hash Information:</h3>
-            <div className="grid grid-cols-2 gap-2 text-sm">
-              <div>Pattern Hash: {currentStepData.hashInfo.patternHash}</div>
-              <div>Text Window Hash: {currentStepData.hashInfo.textHash}</div>
-              <div
-                className={
-                  currentStepData.hashInfo.hashMatch
-                    ? "text-green-600 font-bold"
-                    : "text-red-600"
-                }
-              >
-                {currentStepData.hashInfo.hashMatch
-                  ? "Hashes Match!"
-                  : "Hashes Different"}
-              </div>
-              {currentStepData.hashInfo.spurious && (
-                <div className="text-orange-600 font-bold">
-                  Spurious Hit (false positive)
-                </div>
-              )}
-            </div>
-          </div>
-        )}
+            {/* Streaming mode information */}
+            {stream && (
+              <StreamPanel
+                algorithm={algorithm}
+                stream={stream}
+                pattern={patternUnits}
+                stepData={currentStepData}
+                currentStep={currentStep}
+              />
+            )}
 
-        {/* Status and Statistics */}
-        <div className="bg-gray-100 p-2 rounded">
-          <p className="font-semibold">
-            {currentStepData.description || "Ready to start visualization"}
-          </p>
-          <div className="grid grid-cols-2 gap-2 mt-2 text-sm">
-            <div>
-              Current Step: {currentStep + 1} of {steps.length}
-            </div>
-            <div>
-              Total Comparisons: {currentStepData.totalComparisons || 0}
-            </div>
-            <div>Matches Found: {matches.length}</div>
-            {matches.length > 0 && (
-              <div>Match Positions: {matches.join(", ")}</div>
+            {/* Algorithm-specific information */}
+            {trace && plugin.Panel && (
+              <plugin.Panel
+                trace={trace}
+                stepData={currentStepData}
+                steps={steps}
+                currentStep={currentStep}
+                text={textUnits}
+                pattern={patternUnits}
+                wildcards={wildcards}
+              />
             )}
-          </div>
-        </div>
-      </div>
 
-      {/* Algorithm Explanation */}
-      <div className="border rounded p-4">
-        <h2 className="text-lg font-semibold mb-2">Algorithm Explanation</h2>
-        {algorithm === "naive" && (
-          <div>
-            <p className="mb-2">
-              The Naive algorithm compares the pattern with the text at each
-              position, shifting one character at a time.
-            </p>
-            <p className="mb-2">
-              Time Complexity: O(m*n) where m is pattern length and n is text
-              length.
-            </p>
-            <p>
-              This approach works well for small texts but becomes inefficient
-              for larger ones.
-            </p>
-          </div>
-        )}
-        {algorithm === "kmp" && (
-          <div>
-            <p className="mb-2">
-              The KMP algorithm uses a prefix table to avoid unnecessary
-              comparisons by remembering previously matched characters.
-            </p>
-            <p className="mb-2">
-              Time Complexity: O(m+n) where m is pattern length and n is text
-              length.
-            </p>
-            <p>
-              The prefix table allows the algorithm to skip comparisons by
-              leveraging partially matched patterns.
-            </p>
+            {/* Pseudocode with the lines this step ran */}
+            {trace && plugin.pseudocode && (
+              <PseudocodePanel
+                lines={plugin.pseudocode}
+                stepData={currentStepData}
+              />
+            )}
+
+            {/* Status and Statistics */}
+            <div className="bg-gray-100 p-2 rounded">
+              <p className="font-semibold">
+                {currentStepData.description || "Ready to start visualization"}
+              </p>
+              <div className="grid grid-cols-2 gap-2 mt-2 text-sm">
+                <div>
+                  Current Step: {currentStep + 1} of {steps.length}
+                </div>
+                <div>
+                  Total Comparisons: {currentStepData.totalComparisons || 0}
+                </div>
+                <div>Matches Found: {matches.length}</div>
+                {matches.length > 0 && (
+                  <div>Match Positions: {matchPositions.join(", ")}</div>
+                )}
+              </div>
+            </div>
           </div>
-        )}
-        {algorithm === "rabin-karp" && (
-          <div>
-            <p className="mb-2">
-              The Rabin-Karp algorithm uses a rolling hash function to quickly
-              identify potential matches.
-            </p>
-            <p className="mb-2">
-              Time Complexity: Average O(n+m), Worst case O(n*m) where m is
-              pattern length and n is text length.
-            </p>
-            <p>
-              It calculates a hash value for the pattern and each window of the
-              text, only comparing characters when hashes match.
-            </p>
+
+          {/* Performance Graphs */}
+          {trace && trace.history.length > 0 && (
+            <PerformanceChart
+              history={trace.history}
+              currentStep={currentStep}
+              onSelectStep={playback.seek}
+            />
+          )}
+
+          {/* Algorithm Explanation */}
+          <div className="border rounded p-4">
+            <h2 className="text-lg font-semibold mb-2">
+              Algorithm Explanation
+            </h2>
+            {plugin.Explanation && <plugin.Explanation options={options} />}
           </div>
-        )}
-      </div>
+        </>
+      ) : mode === "compare" ? (
+        <ComparisonMode
+          text={text}
+          pattern={pattern}
+          options={algorithmOptions}
+          matching={matchingOptions}
+          patternMode={patternMode}
+          speed={speed}
+        />
+      ) : (
+        <BenchmarkView rabinKarpOptions={algorithmOptions["rabin-karp"]} />
+      )}
     </div>
   );
 };
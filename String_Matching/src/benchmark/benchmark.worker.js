@@ -0,0 +1,20 @@
+// Runs benchmark sweeps off the main thread, same protocol as the trace
+// worker.
+// Messages in:  { id, settings }
+// Messages out: { id, type: "progress", fraction }
+//               { id, type: "done", rows }
+//               { id, type: "error", message }
+import { runBenchmark } from "./sweep";
+
+self.onmessage = ({ data }) => {
+  const { id, settings } = data;
+
+  try {
+    const rows = runBenchmark(settings, (fraction) =>
+      self.postMessage({ id, type: "progress", fraction })
+    );
+    self.postMessage({ id, type: "done", rows });
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: err.message });
+  }
+};
@@ -0,0 +1,100 @@
+// Runs the counting-only matchers over a sweep of text lengths n (pattern
+// length fixed) or pattern lengths m (text length fixed), on inputs from the
+// scenario generator, and collects comparisons and wall time per algorithm.
+import { COUNTING_MATCHERS } from "../engine/counting";
+import { MAX_SCENARIO_LENGTH, generateScenario } from "../scenarios/generators";
+
+export const BENCHMARK_ALGORITHMS = Object.keys(COUNTING_MATCHERS);
+export const MAX_SWEEP_POINTS = 20;
+
+// Keep timing each matcher until this many ms have passed, so fast runs
+// aren't lost in the timer's resolution
+const MIN_TIMING_MS = 20;
+const MAX_TIMING_RUNS = 50;
+
+const toWholeNumber = (value, name, min, max) => {
+  const number = Number(typeof value === "string" ? value.trim() : value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`${name} must be a whole number from ${min} to ${max}.`);
+  }
+  return number;
+};
+
+// points evenly spaced values from first to last
+export const sweepValues = (first, last, points) => {
+  const values = Array.from({ length: points }, (_, k) =>
+    Math.round(first + ((last - first) * k) / (points - 1))
+  );
+  return [...new Set(values)];
+};
+
+// Average time of one run in ms
+const timeMatcher = (matcher, text, pattern, options) => {
+  let runs = 0;
+  const start = performance.now();
+  let elapsed = 0;
+  while (elapsed < MIN_TIMING_MS && runs < MAX_TIMING_RUNS) {
+    matcher(text, pattern, options);
+    runs++;
+    elapsed = performance.now() - start;
+  }
+  return elapsed / runs;
+};
+
+// settings: { sweep: "n" | "m", from, to, points, fixed, input, alphabet,
+// seed, algorithms, rabinKarp }. Returns one row per sweep value with
+// n, m, the theoretical n·m and n + m, and per algorithm its comparisons
+// (preprocessing included) under its key and its time under "<key>-time".
+export const runBenchmark = (settings, onProgress = () => {}) => {
+  const { sweep, input, alphabet, seed, algorithms, rabinKarp } = settings;
+  if (algorithms.length === 0) {
+    throw new Error("Pick at least one algorithm to benchmark.");
+  }
+  const points = toWholeNumber(
+    settings.points,
+    "Number of points",
+    2,
+    MAX_SWEEP_POINTS
+  );
+  const fixedName = sweep === "n" ? "Pattern length" : "Text length";
+  const fixed = toWholeNumber(
+    settings.fixed,
+    fixedName,
+    1,
+    MAX_SCENARIO_LENGTH
+  );
+  // m can't go past n, n can't drop below m
+  const [min, max] = sweep === "n" ? [fixed, MAX_SCENARIO_LENGTH] : [1, fixed];
+  const from = toWholeNumber(settings.from, "Sweep start", min, max);
+  const to = toWholeNumber(settings.to, "Sweep end", from, max);
+
+  const values = sweepValues(from, to, points);
+  const rows = [];
+  values.forEach((value, index) => {
+    const n = sweep === "n" ? value : fixed;
+    const m = sweep === "n" ? fixed : value;
+    const generated = generateScenario({
+      kind: input,
+      textLength: n,
+      patternLength: m,
+      alphabet,
+      seed,
+      rabinKarp,
+    });
+    const text = Array.from(generated.text);
+    const pattern = Array.from(generated.pattern);
+
+    const row = { x: value, n, m, product: n * m, linear: n + m };
+    algorithms.forEach((algorithm, k) => {
+      const matcher = COUNTING_MATCHERS[algorithm];
+      const options = algorithm === "rabin-karp" ? rabinKarp : {};
+      const result = matcher(text, pattern, options);
+      row[algorithm] = result.comparisons + result.preprocessingComparisons;
+      row[`${algorithm}-time`] = timeMatcher(matcher, text, pattern, options);
+      onProgress((index + (k + 1) / algorithms.length) / values.length);
+    });
+    rows.push(row);
+  });
+
+  return rows;
+};
@@ -0,0 +1,206 @@
+import { patternColor } from "./patternColors";
+
+const COLUMN_WIDTH = 80;
+const ROW_HEIGHT = 44;
+const RADIUS = 14;
+const PADDING = 30;
+
+// Lay the trie out left to right - x by depth, y by preorder row so every
+// leaf gets its own row and a parent sits level with its first child
+const layoutTrie = (nodes) => {
+  const positions = {};
+  let row = 0;
+
+  const visit = (id) => {
+    const children = Object.values(nodes[id].children);
+    let y = null;
+    for (const child of children) {
+      const childY = visit(child);
+      if (y === null) y = childY;
+    }
+    if (y === null) {
+      y = row++;
+    }
+    positions[id] = {
+      x: PADDING + nodes[id].depth * COLUMN_WIDTH,
+      y: PADDING + y * ROW_HEIGHT,
+    };
+    return y;
+  };
+
+  visit(0);
+  return { positions, rows: Math.max(row, 1) };
+};
+
+// Curved path between two nodes, used for failure and output links
+const curvePath = (from, to, bend) => {
+  const midX = (from.x + to.x) / 2 + bend;
+  const midY = (from.y + to.y) / 2 - bend;
+  return `M ${from.x} ${from.y} Q ${midX} ${midY} ${to.x} ${to.y}`;
+};
+
+// Goto, failure and output links of the Aho-Corasick trie, with the current
+// state and this step's failure transitions highlighted
+const AhoCorasickAutomaton = ({ auxiliary, stepData }) => {
+  const { nodes } = auxiliary;
+  // Traces exported before matching options existed have no labels
+  const patterns = auxiliary.patternLabels || auxiliary.patterns;
+  const { positions, rows } = layoutTrie(nodes);
+  const maxDepth = Math.max(...nodes.map((n) => n.depth));
+  const width = PADDING * 2 + maxDepth * COLUMN_WIDTH;
+  const height = PADDING * 2 + (rows - 1) * ROW_HEIGHT;
+
+  const automaton = stepData.automaton;
+  const takenFailures = new Set(
+    (automaton?.failureTransitions || []).map((t) => t.from)
+  );
+
+  return (
+    <div className="mb-4">
+      <h3 className="text-md font-semibold mb-1">Aho-Corasick Automaton:</h3>
+      <div className="flex flex-wrap gap-4 text-sm mb-2">
+        <span>— goto</span>
+        <span className="text-red-600">- - failure</span>
+        <span className="text-green-600">··· output</span>
+      </div>
+      <div className="overflow-auto border border-gray-200 rounded">
+        <svg width={width} height={height} className="font-mono text-xs">
+          <defs>
+            <marker
+              id="ac-arrow"
+              viewBox="0 0 10 10"
+              refX="10"
+              refY="5"
+              markerWidth="6"
+              markerHeight="6"
+              orient="auto-start-reverse"
+            >
+              <path d="M 0 0 L 10 5 L 0 10 z" fill="currentColor" />
+            </marker>
+          </defs>
+
+          {/* Goto edges */}
+          {nodes.slice(1).map((node) => {
+            const from = positions[node.parent];
+            const to = positions[node.id];
+            return (
+              <g key={`goto-${node.id}`}>
+                <line
+                  x1={from.x}
+                  y1={from.y}
+                  x2={to.x}
+                  y2={to.y}
+                  stroke="#374151"
+                />
+                <text
+                  x={(from.x + to.x) / 2}
+                  y={(from.y + to.y) / 2 - 4}
+                  textAnchor="middle"
+                  fill="#111827"
+                >
+                  {node.char}
+                </text>
+              </g>
+            );
+          })}
+
+          {/* Failure links - links back to the root are left out to keep it readable */}
+          {nodes
+            .filter((node) => node.id !== 0 && node.fail !== 0)
+            .map((node) => {
+              const taken = takenFailures.has(node.id);
+              return (
+                <path
+                  key={`fail-${node.id}`}
+                  d={curvePath(positions[node.id], positions[node.fail], 20)}
+                  fill="none"
+                  stroke={taken ? "#f97316" : "#dc2626"}
+                  strokeWidth={taken ? 3 : 1}
+                  strokeDasharray="5 3"
+                  markerEnd="url(#ac-arrow)"
+                  style={{ color: taken ? "#f97316" : "#dc2626" }}
+                />
+              );
+            })}
+
+          {/* Output links */}
+          {nodes
+            .filter((node) => node.outputLink !== null)
+            .map((node) => (
+              <path
+                key={`out-${node.id}`}
+                d={curvePath(
+                  positions[node.id],
+                  positions[node.outputLink],
+                  -20
+                )}
+                fill="none"
+                stroke="#16a34a"
+                strokeDasharray="1 3"
+                markerEnd="url(#ac-arrow)"
+                style={{ color: "#16a34a" }}
+              />
+            ))}
+
+          {/* States */}
+          {nodes.map((node) => {
+            const { x, y } = positions[node.id];
+            const isCurrent = automaton?.state === node.id;
+            const isFailureStop = takenFailures.has(node.id);
+            const isTerminal = node.patterns.length > 0;
+
+            return (
+              <g key={`node-${node.id}`}>
+                <title>
+                  {`State ${node.id}, failure -> ${node.fail}${
+                    isTerminal
+                      ? `, outputs ${node.patterns
+                          .map((p) => `"${patterns[p]}"`)
+                          .join(", ")}`
+                      : ""
+                  }`}
+                </title>
+                <circle
+                  cx={x}
+                  cy={y}
+                  r={RADIUS}
+                  fill={
+                    isCurrent
+                      ? "#fde047"
+                      : isFailureStop
+                      ? "#fed7aa"
+                      : "#dbeafe"
+                  }
+                  stroke={
+                    isTerminal ? patternColor(node.patterns[0]) : "#3b82f6"
+                  }
+                  strokeWidth={isTerminal ? 3 : 1}
+                />
+                <text x={x} y={y + 4} textAnchor="middle" fill="#111827">
+                  {node.id}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+
+      {automaton?.reported.length > 0 && (
+        <div className="text-sm mt-2">
+          Reported:{" "}
+          {automaton.reported.map((r, index) => (
+            <span
+              key={index}
+              className="font-mono mr-2"
+              style={{ color: patternColor(r.patternIndex) }}
+            >
+              "{patterns[r.patternIndex]}" at {r.position}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AhoCorasickAutomaton;
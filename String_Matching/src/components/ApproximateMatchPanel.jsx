@@ -0,0 +1,137 @@
+import { patternColor } from "./patternColors";
+
+const VISIBLE_COLUMNS = 16;
+const MAX_LISTED = 50;
+
+const ALIGNMENT_MARKS = {
+  match: "|",
+  substitute: "x",
+  insert: "\u00a0",
+  delete: "\u00a0",
+};
+
+// Sellers' DP table for the most recent columns (the one being filled is
+// highlighted) and every approximate match reported so far, coloured by
+// its distance like in the text strip
+const ApproximateMatchPanel = ({
+  text,
+  pattern,
+  steps,
+  currentStep,
+  auxiliary,
+}) => {
+  const { initialColumn, maxErrors, approximateMatches } = auxiliary;
+  const m = pattern.length;
+  const first = Math.max(0, currentStep - VISIBLE_COLUMNS + 1);
+  const columns = [];
+  if (first === 0) columns.push({ label: "ε", values: initialColumn });
+  for (let c = first; c <= currentStep && c < steps.length; c++) {
+    columns.push({ label: text[c], index: c, values: steps[c].dpColumn });
+  }
+  const reported = approximateMatches.filter((r) => r.end <= currentStep);
+
+  const cellClass = (column, j) => {
+    const value = column.values[j];
+    const isMatch = j === m && value !== null && value <= maxErrors;
+    if (column.index === currentStep) {
+      return isMatch ? "bg-green-200 font-bold" : "bg-yellow-100";
+    }
+    return isMatch ? "bg-green-100" : "";
+  };
+
+  return (
+    <div className="mb-4">
+      <h3 className="text-md font-semibold mb-1">
+        Sellers DP Table ({auxiliary.distance}, k = {maxErrors}):
+      </h3>
+      <div className="overflow-x-auto mb-2">
+        <table className="font-mono text-sm border-collapse">
+          <thead>
+            <tr>
+              <th className="w-8 h-8" />
+              {columns.map((column) => (
+                <th
+                  key={column.index ?? "initial"}
+                  title={
+                    column.index !== undefined
+                      ? `text[${column.index}]`
+                      : "before the text"
+                  }
+                  className="w-8 h-8 border border-gray-300 bg-gray-50"
+                >
+                  {column.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {initialColumn.map((_, j) => (
+              <tr key={j}>
+                <th className="w-8 h-8 border border-gray-300 bg-gray-50">
+                  {j === 0 ? "ε" : pattern[j - 1]}
+                </th>
+                {columns.map((column) => (
+                  <td
+                    key={column.index ?? "initial"}
+                    className={`w-8 h-8 text-center border border-gray-300 ${cellClass(
+                      column,
+                      j
+                    )}`}
+                  >
+                    {column.values[j] === null ? "∞" : column.values[j]}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <h3 className="text-md font-semibold mb-1">
+        Approximate Matches ({reported.length}):
+      </h3>
+      <div className="flex flex-col gap-2 font-mono text-sm">
+        {reported
+          .slice(0, MAX_LISTED)
+          .map(({ start, end, distance, alignment }) => (
+            <div key={end} className="flex items-center gap-4">
+              <span
+                className="px-2 py-1 rounded text-white whitespace-nowrap"
+                style={{ backgroundColor: patternColor(distance) }}
+              >
+                {start}..{end}, distance {distance}
+              </span>
+              <div className="flex">
+                {alignment.map((pair, index) => (
+                  <div
+                    key={index}
+                    className={`flex flex-col items-center min-w-6 leading-5 ${
+                      pair.op === "match" ? "" : "text-red-600"
+                    }`}
+                    title={pair.op}
+                  >
+                    <span>
+                      {pair.textIndex === null ? "-" : text[pair.textIndex]}
+                    </span>
+                    <span>{ALIGNMENT_MARKS[pair.op]}</span>
+                    <span>
+                      {pair.patternIndex === null
+                        ? "-"
+                        : pattern[pair.patternIndex]}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        {reported.length > MAX_LISTED && (
+          <div className="text-gray-500">
+            …and {reported.length - MAX_LISTED} more
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ApproximateMatchPanel;
@@ -0,0 +1,36 @@
+// Distance measure and error budget for approximate matching
+const ApproximateOptions = ({ options, onChange, disabled }) => (
+  <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Distance
+      </label>
+      <select
+        value={options.distance}
+        onChange={(e) => onChange({ distance: e.target.value })}
+        disabled={disabled}
+        className="w-full p-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        <option value="levenshtein">
+          Levenshtein (substitutions, insertions, deletions)
+        </option>
+        <option value="hamming">Hamming (substitutions only)</option>
+      </select>
+    </div>
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Error Budget k
+      </label>
+      <input
+        type="text"
+        inputMode="numeric"
+        value={options.maxErrors}
+        onChange={(e) => onChange({ maxErrors: e.target.value })}
+        disabled={disabled}
+        className="w-full p-2 border border-gray-300 rounded font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+    </div>
+  </div>
+);
+
+export default ApproximateOptions;
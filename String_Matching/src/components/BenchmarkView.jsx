@@ -0,0 +1,344 @@
+import { useState } from "react";
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  CartesianGrid,
+} from "recharts";
+import { BUILTIN_PLUGINS } from "../plugins/builtins";
+import { findPlugin } from "../plugins/registry";
+import { SCENARIOS } from "../scenarios/generators";
+import { BENCHMARK_ALGORITHMS, MAX_SWEEP_POINTS } from "../benchmark/sweep";
+import { useBenchmarkWorker } from "../hooks/useBenchmarkWorker";
+import GenerationProgress from "./GenerationProgress";
+import { patternColor } from "./patternColors";
+
+const SWEEP_DEFAULTS = {
+  n: { from: "1000", to: "20000", fixed: "8" },
+  m: { from: "2", to: "64", fixed: "10000" },
+};
+
+const inputClass =
+  "w-full p-2 border border-gray-300 rounded font-mono focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+const formatTime = (ms) => `${ms.toFixed(3)} ms`;
+
+const algorithmName = (algorithm) =>
+  findPlugin(BUILTIN_PLUGINS, algorithm).name;
+
+// Runs the counting-only matchers over a range of text or pattern lengths and
+// plots comparisons and time against the theoretical n·m and n + m curves.
+// rabinKarpOptions are the current hash settings.
+const BenchmarkView = ({ rabinKarpOptions }) => {
+  const [sweep, setSweep] = useState("n");
+  const [range, setRange] = useState(SWEEP_DEFAULTS.n);
+  const [points, setPoints] = useState("10");
+  const [input, setInput] = useState("random");
+  const [alphabet, setAlphabet] = useState("abcd");
+  const [seed, setSeed] = useState("1");
+  const [selected, setSelected] = useState([
+    "naive",
+    "kmp",
+    "rabin-karp",
+    "boyer-moore",
+  ]);
+  const [logScale, setLogScale] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const { run, cancel, progress, isRunning } = useBenchmarkWorker();
+
+  const changeSweep = (newSweep) => {
+    setSweep(newSweep);
+    setRange(SWEEP_DEFAULTS[newSweep]);
+  };
+
+  const toggleAlgorithm = (algorithm) =>
+    setSelected((prev) =>
+      prev.includes(algorithm)
+        ? prev.filter((a) => a !== algorithm)
+        : BENCHMARK_ALGORITHMS.filter(
+            (a) => a === algorithm || prev.includes(a)
+          )
+    );
+
+  const startBenchmark = async () => {
+    let rows;
+    try {
+      rows = await run({
+        sweep,
+        ...range,
+        points,
+        input,
+        alphabet,
+        seed,
+        algorithms: selected,
+        rabinKarp: rabinKarpOptions,
+      });
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    if (!rows) return;
+    setError(null);
+    setResult({ sweep, algorithms: selected, rows });
+  };
+
+  const field = (label, value, onChange, props = {}) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        {label}
+      </label>
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={isRunning}
+        className={`${inputClass} disabled:bg-gray-100`}
+        {...props}
+      />
+    </div>
+  );
+  const setRangeField = (key) => (value) =>
+    setRange((prev) => ({ ...prev, [key]: value }));
+
+  const swept = result?.sweep === "m" ? "m" : "n";
+  const algorithmLines = (suffix) =>
+    result.algorithms.map((algorithm) => (
+      <Line
+        key={algorithm}
+        type="monotone"
+        dataKey={`${algorithm}${suffix}`}
+        name={algorithmName(algorithm)}
+        stroke={patternColor(BENCHMARK_ALGORITHMS.indexOf(algorithm))}
+        isAnimationActive={false}
+      />
+    ));
+
+  return (
+    <div>
+      {/* Sweep settings */}
+      <div className="border rounded p-4 mb-6">
+        <h2 className="text-lg font-semibold mb-2">Benchmark</h2>
+        <div className="flex gap-2 mb-4">
+          <button
+            onClick={() => changeSweep("n")}
+            disabled={isRunning}
+            className={`px-4 py-2 rounded ${
+              sweep === "n" ? "bg-blue-600 text-white" : "bg-gray-200"
+            }`}
+          >
+            Vary text length n
+          </button>
+          <button
+            onClick={() => changeSweep("m")}
+            disabled={isRunning}
+            className={`px-4 py-2 rounded ${
+              sweep === "m" ? "bg-blue-600 text-white" : "bg-gray-200"
+            }`}
+          >
+            Vary pattern length m
+          </button>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+          {field(`${sweep} from`, range.from, setRangeField("from"), {
+            inputMode: "numeric",
+          })}
+          {field(`${sweep} to`, range.to, setRangeField("to"), {
+            inputMode: "numeric",
+          })}
+          {field(`Points (max ${MAX_SWEEP_POINTS})`, points, setPoints, {
+            inputMode: "numeric",
+          })}
+          {field(
+            sweep === "n" ? "Pattern length m" : "Text length n",
+            range.fixed,
+            setRangeField("fixed"),
+            { inputMode: "numeric" }
+          )}
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Input
+            </label>
+            <select
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              disabled={isRunning}
+              className="w-full p-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {Object.entries(SCENARIOS).map(([key, { name }]) => (
+                <option key={key} value={key}>
+                  {name}
+                </option>
+              ))}
+            </select>
+          </div>
+          {field("Alphabet", alphabet, setAlphabet, {
+            disabled: isRunning || !SCENARIOS[input].usesAlphabet,
+          })}
+          {field("Seed", seed, setSeed)}
+        </div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Algorithms
+        </label>
+        <div className="flex flex-wrap gap-4 mb-4">
+          {BENCHMARK_ALGORITHMS.map((algorithm) => (
+            <label key={algorithm} className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={selected.includes(algorithm)}
+                onChange={() => toggleAlgorithm(algorithm)}
+                disabled={isRunning}
+              />
+              {algorithmName(algorithm)}
+            </label>
+          ))}
+        </div>
+        <button
+          onClick={startBenchmark}
+          disabled={isRunning || selected.length === 0}
+          className="px-4 py-2 bg-green-600 text-white rounded disabled:bg-gray-300"
+        >
+          Run Benchmark
+        </button>
+        <p className="text-sm text-gray-600 mt-2">
+          The matchers only count - no steps are recorded - and use literal
+          patterns without the matching options. Each input is timed over
+          repeated runs and the average is shown.
+        </p>
+      </div>
+
+      {isRunning && (
+        <GenerationProgress
+          progress={progress}
+          onCancel={cancel}
+          label="Benchmarking…"
+        />
+      )}
+
+      {error && <p className="text-red-600 mb-6">{error}</p>}
+
+      {result && (
+        <>
+          <div className="border rounded p-4 mb-6">
+            <div className="flex items-center justify-between mb-2">
+              <h2 className="text-lg font-semibold">
+                Comparisons vs {swept} (preprocessing included)
+              </h2>
+              <label className="flex items-center gap-1 text-sm">
+                <input
+                  type="checkbox"
+                  checked={logScale}
+                  onChange={(e) => setLogScale(e.target.checked)}
+                />
+                Log scale
+              </label>
+            </div>
+            <div className="h-72">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={result.rows}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="x" />
+                  <YAxis
+                    scale={logScale ? "log" : "auto"}
+                    domain={logScale ? ["auto", "auto"] : [0, "auto"]}
+                    allowDataOverflow
+                  />
+                  <Tooltip />
+                  <Legend />
+                  {algorithmLines("")}
+                  <Line
+                    type="monotone"
+                    dataKey="product"
+                    name="n·m"
+                    stroke="#6b7280"
+                    strokeDasharray="6 4"
+                    dot={false}
+                    isAnimationActive={false}
+                  />
+                  <Line
+                    type="monotone"
+                    dataKey="linear"
+                    name="n + m"
+                    stroke="#111827"
+                    strokeDasharray="2 3"
+                    dot={false}
+                    isAnimationActive={false}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+            <p className="text-sm text-gray-600 mt-2">
+              The dashed curves are n·m and n + m with a constant factor of 1.
+              Compare the shape, not the height: on the log scale a line
+              parallel to one of them grows at the same rate.
+            </p>
+          </div>
+
+          <div className="border rounded p-4 mb-6">
+            <h2 className="text-lg font-semibold mb-2">Time vs {swept}</h2>
+            <div className="h-72">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={result.rows}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="x" />
+                  <YAxis
+                    label={{ value: "ms", angle: -90, position: "insideLeft" }}
+                  />
+                  <Tooltip formatter={formatTime} />
+                  <Legend />
+                  {algorithmLines("-time")}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          <div className="border rounded p-4 mb-6 overflow-x-auto">
+            <h2 className="text-lg font-semibold mb-2">Results</h2>
+            <table className="font-mono text-sm">
+              <thead>
+                <tr className="text-left border-b">
+                  <th className="px-2 text-right">n</th>
+                  <th className="px-2 text-right">m</th>
+                  <th className="px-2 text-right">n·m</th>
+                  <th className="px-2 text-right">n + m</th>
+                  {result.algorithms.map((algorithm) => (
+                    <th key={algorithm} className="px-2 text-right">
+                      {algorithmName(algorithm)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {result.rows.map((row) => (
+                  <tr key={row.x}>
+                    <td className="px-2 text-right">{row.n}</td>
+                    <td className="px-2 text-right">{row.m}</td>
+                    <td className="px-2 text-right">{row.product}</td>
+                    <td className="px-2 text-right">{row.linear}</td>
+                    {result.algorithms.map((algorithm) => (
+                      <td key={algorithm} className="px-2 text-right">
+                        {row[algorithm]}
+                        <span className="text-gray-500">
+                          {" "}
+                          / {formatTime(row[`${algorithm}-time`])}
+                        </span>
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BenchmarkView;
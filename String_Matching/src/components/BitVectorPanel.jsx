@@ -0,0 +1,110 @@
+// How each bit-parallel algorithm marks a live prefix, and its update rule
+const VARIANTS = {
+  "shift-and": {
+    title: "Shift-And",
+    active: "1",
+    update: "((D << 1) | 1) & B",
+    apply: (previous, mask) => `((${previous} << 1) | 1) & ${mask}`,
+  },
+  "shift-or": {
+    title: "Shift-Or",
+    active: "0",
+    update: "(D << 1) | B",
+    apply: (previous, mask) => `(${previous} << 1) | ${mask}`,
+  },
+};
+
+// Shift-And / Shift-Or bit vectors for the current step. Columns follow the
+// pattern, so bit j sits under pattern[j]; wildcard positions are outlined
+// in purple because they accept every character.
+const BitVectorPanel = ({
+  algorithm,
+  pattern,
+  wildcards,
+  auxiliary,
+  stepData,
+}) => {
+  const variant = VARIANTS[algorithm];
+  const bitState = stepData.bitState;
+  const m = pattern.length;
+  const bit = (bits, j) => bits[m - 1 - j];
+
+  const rows = bitState
+    ? [
+        ["B[c]", bitState.mask],
+        ["D before", bitState.previous],
+        ["D after", bitState.state],
+      ]
+    : [];
+
+  return (
+    <div className="mb-4">
+      <h3 className="text-md font-semibold mb-1">
+        {variant.title} Bit Vectors (a live prefix is a {variant.active}):
+      </h3>
+      <div className="flex font-mono mb-2">
+        <div className="flex flex-col mr-2 text-sm text-gray-500">
+          <div className="h-8 flex items-center">pattern</div>
+          {rows.map(([label]) => (
+            <div key={label} className="h-8 flex items-center">
+              {label}
+            </div>
+          ))}
+        </div>
+        {Array.from(pattern).map((label, j) => (
+          <div key={j} className="flex flex-col items-center mr-1">
+            <div
+              title={wildcards[j] ? `wildcard ${label}` : undefined}
+              className={`min-w-8 h-8 px-1 flex items-center justify-center border ${
+                wildcards[j]
+                  ? "border-purple-500 border-dashed bg-purple-100 text-xs"
+                  : "border-gray-300"
+              }`}
+            >
+              {label}
+            </div>
+            {rows.map(([name, bits]) => (
+              <div
+                key={name}
+                className={`w-8 h-8 flex items-center justify-center border border-gray-300 ${
+                  bit(bits, j) === variant.active
+                    ? name === "D after"
+                      ? "bg-green-200"
+                      : "bg-blue-100"
+                    : ""
+                }`}
+              >
+                {bit(bits, j)}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      {bitState && (
+        <div className="text-sm font-mono bg-gray-50 p-2 rounded overflow-x-auto mb-2">
+          D = {variant.update}['{bitState.character}'] ={" "}
+          {variant.apply(bitState.previous, bitState.mask)} = {bitState.state}
+        </div>
+      )}
+
+      <h3 className="text-md font-semibold mb-1">Character Masks:</h3>
+      <div className="flex flex-wrap gap-2 font-mono text-sm">
+        {auxiliary.masks.map(({ character, mask }) => (
+          <span
+            key={character}
+            className={`px-2 py-1 rounded ${
+              bitState?.character === character
+                ? "bg-yellow-200"
+                : "bg-gray-100"
+            }`}
+          >
+            B['{character}'] = {mask}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default BitVectorPanel;
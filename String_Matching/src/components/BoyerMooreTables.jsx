@@ -0,0 +1,81 @@
+// Bad character and good suffix tables for the Boyer-Moore run
+const BoyerMooreTables = ({ pattern, auxiliary, stepData }) => {
+  const { badCharacterTable, goodSuffixTable } = auxiliary;
+  const shiftInfo = stepData.shiftInfo;
+
+  return (
+    <div className="mb-4">
+      <h3 className="text-md font-semibold mb-1">Bad Character Table:</h3>
+      <div className="flex flex-wrap font-mono mb-2">
+        {Object.entries(badCharacterTable).map(([char, lastIndex]) => (
+          <div key={char} className="flex flex-col items-center mr-2 mb-2">
+            <div className="w-8 h-8 flex items-center justify-center border border-gray-300">
+              {char}
+            </div>
+            <div
+              className={`w-8 h-8 flex items-center justify-center border border-gray-300 ${
+                shiftInfo?.mismatchedChar === char
+                  ? "bg-yellow-200"
+                  : "bg-blue-100"
+              }`}
+            >
+              {lastIndex}
+            </div>
+          </div>
+        ))}
+        <div className="flex flex-col items-center mr-2 mb-2 text-gray-500">
+          <div className="h-8 flex items-center justify-center px-1">other</div>
+          <div className="w-8 h-8 flex items-center justify-center border border-gray-300">
+            -1
+          </div>
+        </div>
+      </div>
+
+      <h3 className="text-md font-semibold mb-1">Good Suffix Table:</h3>
+      <div className="flex flex-wrap font-mono">
+        {Array.from(pattern).map((char, index) => {
+          const isMismatch = stepData.comparisons?.some(
+            (c) => c.patternIndex === index && !c.match
+          );
+
+          return (
+            <div key={index} className="flex flex-col items-center mr-2 mb-2">
+              <div className="w-8 h-8 flex items-center justify-center border border-gray-300">
+                {char}
+              </div>
+              <div
+                className={`w-8 h-8 flex items-center justify-center border border-gray-300 ${
+                  isMismatch ? "bg-yellow-200" : "bg-blue-100"
+                }`}
+              >
+                {goodSuffixTable[index + 1]}
+              </div>
+            </div>
+          );
+        })}
+        <div className="flex flex-col items-center mr-2 mb-2 text-gray-500">
+          <div className="h-8 flex items-center justify-center px-1">match</div>
+          <div className="w-8 h-8 flex items-center justify-center border border-gray-300">
+            {goodSuffixTable[0]}
+          </div>
+        </div>
+      </div>
+
+      {shiftInfo && (
+        <div className="text-sm text-blue-600">
+          {shiftInfo.badCharacterShift !== null && (
+            <>
+              Bad character shift: {shiftInfo.badCharacterShift}, good suffix
+              shift: {shiftInfo.goodSuffixShift}.{" "}
+            </>
+          )}
+          Shifted pattern by {shiftInfo.shift} using the{" "}
+          {shiftInfo.rule === "good-suffix" ? "good suffix" : "bad character"}{" "}
+          rule.
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BoyerMooreTables;
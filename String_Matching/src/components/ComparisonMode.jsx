@@ -0,0 +1,300 @@
+import { useState, useEffect, useMemo } from "react";
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  CartesianGrid,
+  ReferenceLine,
+} from "recharts";
+import { prepareInput, describePattern } from "../engine";
+import { BUILTIN_PLUGINS } from "../plugins/builtins";
+import { findPlugin, pluginSupportsPatternMode } from "../plugins/registry";
+import { usePlayback } from "../hooks/usePlayback";
+import { useTraceWorker } from "../hooks/useTraceWorker";
+import PlaybackControls from "./PlaybackControls";
+import GenerationProgress from "./GenerationProgress";
+import TextStrip from "./TextStrip";
+import { patternColor } from "./patternColors";
+import { bucketSize } from "./chartBuckets";
+
+// Races run in the trace worker, so only built-in plugins take part
+const pluginOf = (algorithm) => findPlugin(BUILTIN_PLUGINS, algorithm);
+
+// Runs several algorithms on the same input and plays them side by side,
+// all driven by one shared clock
+const ComparisonMode = ({
+  text,
+  pattern,
+  options,
+  matching,
+  patternMode,
+  speed,
+}) => {
+  const [selected, setSelected] = useState(["naive", "kmp", "rabin-karp"]);
+  const [traces, setTraces] = useState(null);
+  const [error, setError] = useState(null);
+
+  const stepCount = traces
+    ? Math.max(...Object.values(traces).map((t) => t.steps.length))
+    : 0;
+  const playback = usePlayback(stepCount, speed);
+  const { currentStep, isPlaying, stop } = playback;
+  const { generate, cancel, progress, isGenerating } = useTraceWorker();
+  const finished = traces !== null && currentStep >= stepCount - 1;
+
+  const textUnits = useMemo(
+    () => prepareInput(text, matching).display,
+    [text, matching]
+  );
+  const { units: patternUnits, wildcards } = useMemo(
+    () => describePattern(pattern, matching, patternMode),
+    [pattern, matching, patternMode]
+  );
+
+  // Algorithms that can't handle the pattern syntax sit the race out
+  const supportsPattern = (algorithm) =>
+    pluginSupportsPatternMode(pluginOf(algorithm), patternMode);
+  const racing = selected.filter(supportsPattern);
+
+  // Any change to the input throws the old race away
+  useEffect(() => {
+    cancel();
+    stop();
+    setTraces(null);
+    setError(null);
+  }, [text, pattern, options, matching, patternMode, selected, cancel, stop]);
+
+  const toggleAlgorithm = (algorithm) => {
+    setSelected((prev) =>
+      prev.includes(algorithm)
+        ? prev.filter((a) => a !== algorithm)
+        : // Keep the lanes in registry order
+          BUILTIN_PLUGINS.map(({ id }) => id).filter(
+            (a) => a === algorithm || prev.includes(a)
+          )
+    );
+  };
+
+  // Traces are generated one after another in the worker. Races always
+  // read the whole text at once, whatever streaming is set to on its own.
+  const startRace = async () => {
+    const newTraces = {};
+    try {
+      for (const algorithm of racing) {
+        const trace = await generate(
+          algorithm,
+          text,
+          pluginOf(algorithm).multiPattern ? [pattern] : pattern,
+          { ...options[algorithm], matching, patternMode, streaming: false }
+        );
+        if (!trace) return;
+        newTraces[algorithm] = trace;
+      }
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    setError(null);
+    setTraces(newTraces);
+    playback.seek(0);
+    playback.play();
+  };
+
+  // One row per bucket of clock ticks (see ./chartBuckets), with every
+  // algorithm's running total at the end of it
+  const chartBucket = bucketSize(stepCount);
+  const chartData = useMemo(() => {
+    const rows = [];
+    for (let step = 0; step < stepCount; step += chartBucket) {
+      const row = { step };
+      Object.entries(traces || {}).forEach(([algorithm, { history }]) => {
+        if (history[step]) {
+          const last = Math.min(step + chartBucket, history.length) - 1;
+          row[algorithm] = history[last].totalComparisons;
+        }
+      });
+      rows.push(row);
+    }
+    return rows;
+  }, [traces, stepCount, chartBucket]);
+  const markedStep = currentStep - (currentStep % chartBucket);
+
+  // Only drawn again when playback moves on to another bucket
+  const cumulativeChart = useMemo(
+    () =>
+      traces && (
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="step" />
+            <YAxis allowDecimals={false} />
+            <Tooltip />
+            <Legend />
+            {Object.keys(traces).map((algorithm, index) => (
+              <Line
+                key={algorithm}
+                type="monotone"
+                dataKey={algorithm}
+                name={pluginOf(algorithm).name}
+                stroke={patternColor(index)}
+                dot={false}
+                isAnimationActive={false}
+              />
+            ))}
+            <ReferenceLine x={markedStep} stroke="#6b7280" />
+          </LineChart>
+        </ResponsiveContainer>
+      ),
+    [traces, chartData, markedStep]
+  );
+
+  return (
+    <div>
+      {/* Algorithm Selection */}
+      <div className="mb-6">
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Algorithms to compare
+        </label>
+        <div className="flex flex-wrap gap-4">
+          {BUILTIN_PLUGINS.map(({ id, name }) => (
+            <label key={id} className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={racing.includes(id)}
+                onChange={() => toggleAlgorithm(id)}
+                disabled={isPlaying || !supportsPattern(id)}
+              />
+              {name}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex gap-2 mb-6">
+        <button
+          onClick={startRace}
+          disabled={
+            isPlaying ||
+            isGenerating ||
+            text.length === 0 ||
+            pattern.length === 0 ||
+            racing.length === 0
+          }
+          className="px-4 py-2 bg-green-600 text-white rounded disabled:bg-gray-300"
+        >
+          Start
+        </button>
+        <button
+          onClick={() => {
+            cancel();
+            stop();
+            setTraces(null);
+          }}
+          disabled={isPlaying}
+          className="px-4 py-2 bg-red-600 text-white rounded disabled:bg-gray-300"
+        >
+          Reset
+        </button>
+      </div>
+
+      {isGenerating && (
+        <GenerationProgress progress={progress} onCancel={cancel} />
+      )}
+
+      {error && <p className="text-red-600 mb-6">{error}</p>}
+
+      {traces && <PlaybackControls playback={playback} stepCount={stepCount} />}
+
+      {/* Lanes */}
+      {traces &&
+        Object.entries(traces).map(([algorithm, trace]) => {
+          const laneStep = Math.min(currentStep, trace.steps.length - 1);
+          const stepData = trace.steps[laneStep] || {};
+          const laneDone = currentStep >= trace.steps.length - 1;
+
+          return (
+            <div key={algorithm} className="border rounded p-4 mb-4">
+              <div className="flex justify-between mb-2">
+                <h2 className="text-lg font-semibold">
+                  {pluginOf(algorithm).name}
+                </h2>
+                <div className="text-sm">
+                  Step {laneStep + 1} of {trace.steps.length}
+                  {trace.truncated &&
+                    ` (cut short from ${trace.truncated.totalSteps.toLocaleString()})`}{" "}
+                  · Comparisons: {stepData.totalComparisons || 0}
+                  {laneDone && (
+                    <span className="ml-2 text-green-600 font-bold">
+                      Finished
+                    </span>
+                  )}
+                </div>
+              </div>
+              <TextStrip
+                text={textUnits}
+                pattern={patternUnits}
+                wildcards={wildcards}
+                stepData={stepData}
+                showPattern={
+                  !pluginOf(algorithm).textScan &&
+                  stepData.phase !== "preprocessing"
+                }
+                compact
+              />
+              <p className="text-sm">{stepData.description}</p>
+            </div>
+          );
+        })}
+
+      {/* Summary */}
+      {finished && (
+        <div className="border rounded p-4 mb-6">
+          <h2 className="text-lg font-semibold mb-2">Summary</h2>
+          <table className="w-full text-sm mb-4">
+            <thead>
+              <tr className="text-left border-b">
+                <th className="py-1">Algorithm</th>
+                <th className="py-1">Total Comparisons</th>
+                <th className="py-1">Steps</th>
+                <th className="py-1">Spurious Hits</th>
+                <th className="py-1">Matches</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(traces).map(([algorithm, trace]) => {
+                const hasHashes = trace.steps.some((s) => s.hashInfo);
+                return (
+                  <tr key={algorithm} className="border-b">
+                    <td className="py-1">{pluginOf(algorithm).name}</td>
+                    <td className="py-1">{trace.comparisons}</td>
+                    <td className="py-1">{trace.steps.length}</td>
+                    <td className="py-1">
+                      {hasHashes
+                        ? trace.steps.filter((s) => s.hashInfo?.spurious).length
+                        : "—"}
+                    </td>
+                    <td className="py-1">{trace.matches.length}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Overlaid cumulative comparisons */}
+      {traces && (
+        <div className="border rounded p-4 mb-6">
+          <h2 className="text-lg font-semibold mb-2">Cumulative Comparisons</h2>
+          <div className="h-64">{cumulativeChart}</div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComparisonMode;
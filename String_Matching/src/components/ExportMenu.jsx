@@ -0,0 +1,139 @@
+import { useRef, useState } from "react";
+import {
+  traceToJson,
+  parseTraceJson,
+  historyToCsv,
+  downloadFile,
+} from "../export/traceFile";
+import {
+  renderTraceGif,
+  gifFrameSteps,
+  MAX_GIF_FRAMES,
+} from "../export/traceRenderer";
+
+// Download the current run as a JSON trace, CSV stats or an animated GIF,
+// or load a previously exported trace to replay it (if its algorithm is one
+// of the plugins)
+const ExportMenu = ({
+  scenario,
+  trace,
+  frameDelay,
+  plugins,
+  onImport,
+  disabled,
+}) => {
+  const fileInput = useRef(null);
+  const [gifProgress, setGifProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const baseName = `${scenario.algorithm}-trace`;
+  const patternText = scenario.patternList || scenario.pattern;
+
+  const exportGif = async () => {
+    setGifProgress(0);
+    setError(null);
+    setNotice(null);
+    try {
+      const gif = await renderTraceGif({
+        text: trace.input?.text ?? scenario.text,
+        pattern: scenario.patternList
+          ? ""
+          : trace.input?.pattern ?? scenario.pattern,
+        steps: trace.steps,
+        frameDelay,
+        onProgress: setGifProgress,
+      });
+      downloadFile(`${baseName}.gif`, gif);
+      if (gifFrameSteps(trace.steps.length).length < trace.steps.length) {
+        setNotice(
+          `The GIF shows ${MAX_GIF_FRAMES} evenly spaced steps out of ${trace.steps.length}.`
+        );
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setGifProgress(null);
+    }
+  };
+
+  const importTrace = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      const { scenario: imported, trace: importedTrace } = parseTraceJson(
+        await file.text(),
+        plugins
+      );
+      setError(null);
+      setNotice(null);
+      onImport(imported, importedTrace);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const buttonClass =
+    "px-4 py-2 bg-gray-200 rounded disabled:text-gray-400 disabled:bg-gray-100";
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <button
+        onClick={() =>
+          downloadFile(
+            `${baseName}.json`,
+            traceToJson(scenario, trace),
+            "application/json"
+          )
+        }
+        disabled={disabled || !trace}
+        className={buttonClass}
+        title={`Full step trace for "${patternText}"`}
+      >
+        Export JSON
+      </button>
+      <button
+        onClick={() =>
+          downloadFile(
+            `${baseName}.csv`,
+            historyToCsv(trace.history),
+            "text/csv"
+          )
+        }
+        disabled={disabled || !trace}
+        className={buttonClass}
+      >
+        Export CSV
+      </button>
+      <button
+        onClick={exportGif}
+        disabled={disabled || !trace || gifProgress !== null}
+        className={buttonClass}
+      >
+        {gifProgress !== null
+          ? `Rendering GIF ${Math.round(gifProgress * 100)}%`
+          : "Export GIF"}
+      </button>
+      <button
+        onClick={() => fileInput.current.click()}
+        disabled={disabled}
+        className={buttonClass}
+      >
+        Import JSON
+      </button>
+      <input
+        ref={fileInput}
+        type="file"
+        accept=".json,application/json"
+        onChange={importTrace}
+        className="hidden"
+      />
+      {error && <span className="text-red-600 text-sm">{error}</span>}
+      {notice && <span className="text-gray-600 text-sm">{notice}</span>}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,27 @@
+// Progress bar with a cancel button while a worker builds a trace (or runs
+// a benchmark)
+const GenerationProgress = ({
+  progress,
+  onCancel,
+  label = "Generating steps…",
+}) => (
+  <div className="flex items-center gap-2 mb-6">
+    <div className="flex-1 h-2 bg-gray-200 rounded">
+      <div
+        className="h-2 bg-blue-600 rounded"
+        style={{ width: `${Math.round(progress * 100)}%` }}
+      />
+    </div>
+    <span className="text-sm w-40">
+      {label} {Math.round(progress * 100)}%
+    </span>
+    <button
+      onClick={onCancel}
+      className="px-3 py-1 bg-red-600 text-white rounded text-sm"
+    >
+      Cancel
+    </button>
+  </div>
+);
+
+export default GenerationProgress;
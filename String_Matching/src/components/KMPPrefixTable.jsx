@@ -0,0 +1,65 @@
+// KMP prefix (LPS) table. While the preprocessing phase is running it shows
+// the partially built table with the i and len pointers; afterwards it's the
+// finished table plus the shift made in the current step.
+const KMPPrefixTable = ({ pattern, prefixTable, stepData }) => {
+  const build = stepData.phase === "preprocessing" ? stepData.lpsBuild : null;
+  const table = build ? build.table : prefixTable;
+
+  const comparedClass = (index) => {
+    if (!build?.compared || !build.compared.includes(index)) return "";
+    return build.match ? "bg-green-200" : "bg-red-200";
+  };
+
+  return (
+    <div className="mb-4">
+      <h3 className="text-md font-semibold mb-1">
+        KMP Prefix Table{build ? " (building)" : ""}:
+      </h3>
+      <div className="flex flex-wrap font-mono">
+        {Array.from(pattern).map((char, index) => (
+          <div key={index} className="flex flex-col items-center mr-2 mb-2">
+            {build && (
+              <div className="h-5 text-xs text-blue-700 font-bold">
+                {[index === build.i && "i", index === build.len && "len"]
+                  .filter(Boolean)
+                  .join(",")}
+              </div>
+            )}
+            <div
+              className={`w-8 h-8 flex items-center justify-center border border-gray-300 ${comparedClass(
+                index
+              )}`}
+            >
+              {char}
+            </div>
+            <div
+              className={`w-8 h-8 flex items-center justify-center border border-gray-300 ${
+                build && build.filled === index
+                  ? "bg-yellow-200"
+                  : index < table.length
+                  ? "bg-blue-100"
+                  : ""
+              }`}
+            >
+              {index < table.length ? table[index] : ""}
+            </div>
+          </div>
+        ))}
+      </div>
+      {build?.fallback && (
+        <div className="text-sm text-orange-600">
+          Fallback: len = lps[len - 1] changed len from {build.fallback.from} to{" "}
+          {build.fallback.to}
+        </div>
+      )}
+      {stepData.prefixUse && (
+        <div className="text-sm text-blue-600">
+          Shifted pattern using prefix table: j changed from{" "}
+          {stepData.prefixUse.oldJ} to {stepData.prefixUse.newJ}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KMPPrefixTable;
@@ -0,0 +1,54 @@
+// How characters are compared - shared by every algorithm and the grid
+const MatchingOptions = ({ options, onChange, disabled }) => (
+  <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+    <label className="flex items-center gap-2 text-sm md:mt-6">
+      <input
+        type="checkbox"
+        checked={options.caseInsensitive}
+        onChange={(e) => onChange({ caseInsensitive: e.target.checked })}
+        disabled={disabled}
+      />
+      Ignore case
+    </label>
+    <label className="flex items-center gap-2 text-sm md:mt-6">
+      <input
+        type="checkbox"
+        checked={options.foldDiacritics}
+        onChange={(e) => onChange({ foldDiacritics: e.target.checked })}
+        disabled={disabled}
+      />
+      Ignore diacritics (é = e)
+    </label>
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Unicode Normalization
+      </label>
+      <select
+        value={options.normalization}
+        onChange={(e) => onChange({ normalization: e.target.value })}
+        disabled={disabled}
+        className="w-full p-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        <option value="none">None</option>
+        <option value="NFC">NFC (canonical)</option>
+        <option value="NFKC">NFKC (compatibility)</option>
+      </select>
+    </div>
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Characters Are
+      </label>
+      <select
+        value={options.segmentation}
+        onChange={(e) => onChange({ segmentation: e.target.value })}
+        disabled={disabled}
+        className="w-full p-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        <option value="codepoint">Code points</option>
+        <option value="grapheme">Grapheme clusters</option>
+      </select>
+    </div>
+  </div>
+);
+
+export default MatchingOptions;
@@ -0,0 +1,84 @@
+import { useRef, useEffect } from "react";
+
+const BUCKETS = 400;
+const HEIGHT = 28;
+
+// Match density over the whole text, with the current window marked.
+// Clicking jumps the text strip to that part of the text.
+const Minimap = ({
+  textLength,
+  matchRanges,
+  windowStart,
+  windowLength,
+  onSelect,
+}) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const width = canvas.clientWidth || BUCKETS;
+    canvas.width = width;
+    canvas.height = HEIGHT;
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, width, HEIGHT);
+    ctx.fillStyle = "#f3f4f6";
+    ctx.fillRect(0, 0, width, HEIGHT);
+    if (textLength === 0) return;
+
+    // Count matched characters per bucket
+    const buckets = Math.min(BUCKETS, textLength);
+    const perBucket = textLength / buckets;
+    const density = new Array(buckets).fill(0);
+    matchRanges.forEach(({ start, length }) => {
+      for (
+        let b = Math.floor(start / perBucket);
+        b <= Math.floor((start + length - 1) / perBucket) && b < buckets;
+        b++
+      ) {
+        density[b]++;
+      }
+    });
+    const max = Math.max(1, ...density);
+
+    const barWidth = width / buckets;
+    ctx.fillStyle = "#16a34a";
+    density.forEach((count, b) => {
+      if (count === 0) return;
+      const barHeight = Math.max(2, (count / max) * (HEIGHT - 4));
+      ctx.fillRect(
+        b * barWidth,
+        HEIGHT - barHeight,
+        Math.max(barWidth, 1),
+        barHeight
+      );
+    });
+
+    // Current window
+    ctx.strokeStyle = "#2563eb";
+    ctx.lineWidth = 2;
+    ctx.strokeRect(
+      (windowStart / textLength) * width,
+      1,
+      Math.max((windowLength / textLength) * width, 2),
+      HEIGHT - 2
+    );
+  }, [textLength, matchRanges, windowStart, windowLength]);
+
+  const handleClick = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const fraction = (e.clientX - rect.left) / rect.width;
+    onSelect(Math.floor(fraction * textLength));
+  };
+
+  return (
+    <canvas
+      ref={canvasRef}
+      onClick={handleClick}
+      className="w-full mb-4 rounded cursor-pointer"
+      style={{ height: HEIGHT }}
+      title="Match density - click to jump"
+    />
+  );
+};
+
+export default Minimap;
@@ -0,0 +1,102 @@
+import { useMemo } from "react";
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  Bar,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  CartesianGrid,
+  ReferenceLine,
+} from "recharts";
+import { bucketSize, bucketHistory } from "./chartBuckets";
+
+// Per-step and cumulative comparisons for the current run. The reference
+// line follows playback, and clicking anywhere on the chart jumps to that step.
+// Long runs are drawn in buckets of steps (see ./chartBuckets), and the chart
+// is only drawn again when playback moves on to another bucket.
+const PerformanceChart = ({ history, currentStep, onSelectStep }) => {
+  const size = bucketSize(history.length);
+  const data = useMemo(() => bucketHistory(history, size), [history, size]);
+  const marked = data[Math.floor(currentStep / size)];
+
+  const chart = useMemo(() => {
+    const handleClick = (state) => {
+      const row = state && data[state.activeTooltipIndex];
+      if (row) onSelectStep(row.start);
+    };
+
+    return (
+      <ResponsiveContainer width="100%" height="100%">
+        <ComposedChart
+          data={data}
+          onClick={handleClick}
+          className="cursor-pointer"
+        >
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="step" />
+          <YAxis
+            yAxisId="step"
+            allowDecimals={false}
+            label={{
+              value: size === 1 ? "Per step" : `Per ${size} steps`,
+              angle: -90,
+              position: "insideLeft",
+            }}
+          />
+          <YAxis
+            yAxisId="total"
+            orientation="right"
+            allowDecimals={false}
+            label={{
+              value: "Cumulative",
+              angle: 90,
+              position: "insideRight",
+            }}
+          />
+          <Tooltip />
+          <Legend />
+          <Bar
+            yAxisId="step"
+            dataKey="comparisons"
+            name={
+              size === 1
+                ? "Comparisons this step"
+                : "Comparisons in these steps"
+            }
+            fill="#93c5fd"
+            isAnimationActive={false}
+          />
+          <Line
+            yAxisId="total"
+            type="monotone"
+            dataKey="totalComparisons"
+            name="Total comparisons"
+            stroke="#16a34a"
+            dot={false}
+            isAnimationActive={false}
+          />
+          {marked && (
+            <ReferenceLine
+              yAxisId="step"
+              x={marked.step}
+              stroke="#dc2626"
+              strokeWidth={2}
+            />
+          )}
+        </ComposedChart>
+      </ResponsiveContainer>
+    );
+  }, [data, size, marked, onSelectStep]);
+
+  return (
+    <div className="border rounded p-4 mb-6">
+      <h2 className="text-lg font-semibold mb-2">Performance</h2>
+      <div className="h-64">{chart}</div>
+    </div>
+  );
+};
+
+export default PerformanceChart;
@@ -0,0 +1,76 @@
+// Pause/resume, single-step and scrubbing controls for a running trace
+const PlaybackControls = ({ playback, stepCount }) => {
+  const { currentStep, isPlaying } = playback;
+  const atStart = currentStep === 0;
+  const atEnd = currentStep >= stepCount - 1;
+
+  const buttonClass =
+    "px-3 py-2 bg-gray-200 rounded disabled:text-gray-400 disabled:bg-gray-100";
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-wrap gap-2 mb-2">
+        <button
+          onClick={playback.first}
+          disabled={atStart}
+          className={buttonClass}
+          title="Jump to start"
+        >
+          ⏮ Start
+        </button>
+        <button
+          onClick={playback.prev}
+          disabled={atStart}
+          className={buttonClass}
+          title="Previous step"
+        >
+          ◀ Prev
+        </button>
+        {isPlaying ? (
+          <button
+            onClick={playback.pause}
+            className="px-4 py-2 bg-yellow-500 text-white rounded"
+          >
+            Pause
+          </button>
+        ) : (
+          <button
+            onClick={playback.play}
+            className="px-4 py-2 bg-green-600 text-white rounded"
+          >
+            {atEnd ? "Replay" : "Resume"}
+          </button>
+        )}
+        <button
+          onClick={playback.next}
+          disabled={atEnd}
+          className={buttonClass}
+          title="Next step"
+        >
+          Next ▶
+        </button>
+        <button
+          onClick={playback.last}
+          disabled={atEnd}
+          className={buttonClass}
+          title="Jump to end"
+        >
+          End ⏭
+        </button>
+      </div>
+
+      {/* Timeline scrubber */}
+      <input
+        type="range"
+        min="0"
+        max={Math.max(stepCount - 1, 0)}
+        value={currentStep}
+        onChange={(e) => playback.seek(parseInt(e.target.value))}
+        className="w-full"
+        aria-label="Timeline"
+      />
+    </div>
+  );
+};
+
+export default PlaybackControls;
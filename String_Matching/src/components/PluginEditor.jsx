@@ -0,0 +1,153 @@
+import { useState } from "react";
+import { DEFAULT_STEP_LIMIT } from "../engine";
+import { CUSTOM_PLUGIN_TEMPLATE, createCustomPlugin } from "../plugins/custom";
+
+const emptyDraft = () => ({
+  id: null,
+  name: "",
+  source: CUSTOM_PLUGIN_TEMPLATE,
+  stepLimit: String(DEFAULT_STEP_LIMIT),
+});
+
+// Editor for custom algorithm plugins: paste a step generator, give it a
+// name and it gets a button next to the built-in algorithms. Saved plugins
+// can be opened again to change them, or removed.
+const PluginEditor = ({ plugins, onSave, onRemove, disabled }) => {
+  const [draft, setDraft] = useState(emptyDraft);
+  const [error, setError] = useState(null);
+
+  const update = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+
+  const save = () => {
+    let plugin;
+    try {
+      plugin = createCustomPlugin(draft, draft.id);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    setError(null);
+    setDraft((prev) => ({ ...prev, id: plugin.id }));
+    onSave(plugin);
+  };
+
+  const edit = (plugin) => {
+    setError(null);
+    setDraft({
+      id: plugin.id,
+      name: plugin.name,
+      source: plugin.source,
+      stepLimit: String(plugin.defaultOptions.stepLimit),
+    });
+  };
+
+  const remove = (plugin) => {
+    if (draft.id === plugin.id) setDraft(emptyDraft());
+    onRemove(plugin.id);
+  };
+
+  return (
+    <div className="border rounded p-4 mb-6">
+      <h2 className="text-lg font-semibold mb-2">Plugin Editor</h2>
+      <p className="text-sm text-gray-600 mb-2">
+        Write a step generator to animate your own algorithm on the text and
+        pattern above. It runs in a worker of its own without the page, fetch or
+        messaging, and is stopped once it yields more steps than the limit. That
+        guards against mistakes, not hostile code: it can still load scripts
+        with import(), so only run code you trust.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-2">
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Name
+          </label>
+          <input
+            type="text"
+            value={draft.name}
+            onChange={(e) => update({ name: e.target.value })}
+            disabled={disabled}
+            placeholder="My Algorithm"
+            className="w-full p-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Step Limit
+          </label>
+          <input
+            type="text"
+            inputMode="numeric"
+            value={draft.stepLimit}
+            onChange={(e) => update({ stepLimit: e.target.value })}
+            disabled={disabled}
+            className="w-full p-2 border border-gray-300 rounded font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+      </div>
+
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Step Generator
+      </label>
+      <textarea
+        value={draft.source}
+        onChange={(e) => update({ source: e.target.value })}
+        disabled={disabled}
+        rows={16}
+        spellCheck={false}
+        className="w-full p-2 mb-2 border border-gray-300 rounded font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+
+      {error && <p className="text-red-600 mb-2">{error}</p>}
+
+      <div className="flex gap-2 mb-2">
+        <button
+          onClick={save}
+          disabled={disabled}
+          className="px-4 py-2 bg-green-600 text-white rounded disabled:bg-gray-300"
+        >
+          {draft.id ? "Save Plugin" : "Add Plugin"}
+        </button>
+        <button
+          onClick={() => {
+            setError(null);
+            setDraft(emptyDraft());
+          }}
+          disabled={disabled}
+          className="px-4 py-2 bg-gray-200 rounded"
+        >
+          New Plugin
+        </button>
+      </div>
+
+      {plugins.length > 0 && (
+        <div className="text-sm">
+          <h3 className="text-md font-semibold mb-1">Your Plugins:</h3>
+          {plugins.map((plugin) => (
+            <div key={plugin.id} className="flex items-center gap-2 mb-2">
+              <span className={plugin.id === draft.id ? "font-semibold" : ""}>
+                {plugin.name}
+              </span>
+              <button
+                onClick={() => edit(plugin)}
+                disabled={disabled}
+                className="px-3 py-1 bg-gray-200 rounded"
+              >
+                Edit
+              </button>
+              <button
+                onClick={() => remove(plugin)}
+                disabled={disabled}
+                className="px-3 py-1 bg-red-600 text-white rounded text-sm"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PluginEditor;
@@ -0,0 +1,60 @@
+import { visibleCharacter } from "./visibleWhitespace";
+
+// Pseudocode of the running algorithm with the lines the current step ran
+// highlighted (the last one strongest), next to a watch table of the loop
+// variables the step saw
+const PseudocodePanel = ({ lines, stepData }) => {
+  const code = stepData.code;
+  const ran = code ? code.lines : [];
+  const last = ran[ran.length - 1];
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+      <div className="md:col-span-2">
+        <h3 className="text-md font-semibold mb-1">Pseudocode:</h3>
+        <div className="border border-gray-200 rounded font-mono text-sm overflow-x-auto">
+          {lines.map(({ id, text }, index) => (
+            <div
+              key={id}
+              className={`flex whitespace-pre ${
+                id === last
+                  ? "bg-yellow-200"
+                  : ran.includes(id)
+                  ? "bg-yellow-50"
+                  : ""
+              }`}
+            >
+              <span className="w-8 pr-2 text-right text-gray-400 select-none">
+                {index + 1}
+              </span>
+              <span>{text}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+      <div>
+        <h3 className="text-md font-semibold mb-1">Variables:</h3>
+        {code ? (
+          <table className="font-mono text-sm">
+            <tbody>
+              {Object.entries(code.variables).map(([name, value]) => (
+                <tr key={name} className="border-b border-gray-100">
+                  <td className="pr-4 text-gray-600">{name}</td>
+                  <td className="break-all">
+                    {typeof value === "string"
+                      ? visibleCharacter(value)
+                      : value}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="text-sm text-gray-500">Start the visualization.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PseudocodePanel;
@@ -0,0 +1,241 @@
+import { useEffect, useMemo, useState } from "react";
+import {
+  QUIZ_LENGTHS,
+  DEFAULT_QUIZ_LENGTH,
+  buildQuiz,
+  isCorrect,
+  formatAnswer,
+} from "../quiz/questions";
+import { randomSeed } from "../scenarios/random";
+
+// Practice mode - playback stops at each question's step and won't go past
+// it until the learner has answered. The answer is then checked against the
+// trace and Continue shows the step that holds it.
+const QuizPanel = ({ algorithm, trace, playback, stepCount }) => {
+  const [quiz, setQuiz] = useState(() => ({
+    trace,
+    seed: randomSeed(),
+    length: DEFAULT_QUIZ_LENGTH,
+    answers: [],
+    reviewing: false,
+  }));
+  const [input, setInput] = useState("");
+
+  // A new run starts the quiz over
+  if (quiz.trace !== trace) {
+    setQuiz({ ...quiz, trace, answers: [], reviewing: false });
+  }
+
+  const questions = useMemo(
+    () => buildQuiz(algorithm, trace, { length: quiz.length, seed: quiz.seed }),
+    [algorithm, trace, quiz.length, quiz.seed]
+  );
+  const { answers } = quiz;
+  const active = quiz.reviewing ? null : questions[answers.length];
+  const score = answers.filter((answer, k) =>
+    isCorrect(questions[k], answer)
+  ).length;
+
+  // Hold playback at the unanswered question
+  const { currentStep, isPlaying, seek, pause, play } = playback;
+  useEffect(() => {
+    if (!active) return;
+    if (currentStep > active.pauseAt) {
+      pause();
+      seek(active.pauseAt);
+    } else if (currentStep === active.pauseAt && isPlaying) {
+      pause();
+    }
+  }, [active, currentStep, isPlaying, seek, pause]);
+
+  const answer = (value) => {
+    setQuiz({ ...quiz, answers: [...answers, value], reviewing: true });
+    setInput("");
+  };
+
+  const reveal = () => {
+    const { step } = questions[answers.length - 1];
+    setQuiz({ ...quiz, reviewing: false });
+    seek(step);
+    if (step < stepCount - 1) play();
+  };
+
+  const restart = (changes) => {
+    setQuiz({
+      ...quiz,
+      seed: randomSeed(),
+      answers: [],
+      reviewing: false,
+      ...changes,
+    });
+    setInput("");
+    pause();
+    seek(0);
+  };
+
+  const renderQuestion = (question) => (
+    <div>
+      <p className="font-semibold mb-2">{question.prompt}</p>
+      {question.choices ? (
+        <div className="flex gap-2">
+          {question.choices.map(({ label, value }) => (
+            <button
+              key={label}
+              onClick={() => answer(value)}
+              className="px-4 py-2 bg-blue-600 text-white rounded"
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      ) : (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            answer(parseInt(input, 10));
+          }}
+          className="flex flex-wrap gap-2"
+        >
+          <input
+            type="number"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            autoFocus
+            className="w-32 p-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            type="submit"
+            disabled={input.trim() === ""}
+            className="px-4 py-2 bg-blue-600 text-white rounded disabled:bg-gray-300"
+          >
+            Check
+          </button>
+          {question.allowNone && (
+            <button
+              type="button"
+              onClick={() => answer(null)}
+              className="px-4 py-2 bg-gray-200 rounded"
+            >
+              No More Matches
+            </button>
+          )}
+        </form>
+      )}
+    </div>
+  );
+
+  const renderFeedback = () => {
+    const question = questions[answers.length - 1];
+    const given = answers[answers.length - 1];
+    return (
+      <div>
+        {isCorrect(question, given) ? (
+          <p className="font-semibold text-green-700">Correct!</p>
+        ) : (
+          <p className="font-semibold text-red-600">
+            Not quite - you answered {formatAnswer(given)}, the answer is{" "}
+            {formatAnswer(question.answer)}.
+          </p>
+        )}
+        <p className="text-sm mb-2">{question.explanation}</p>
+        <button
+          onClick={reveal}
+          className="px-4 py-2 bg-green-600 text-white rounded"
+        >
+          Continue
+        </button>
+      </div>
+    );
+  };
+
+  const renderSummary = () => (
+    <div>
+      <p className="font-semibold mb-2">
+        Final score: {score} of {questions.length} (
+        {Math.round((score / questions.length) * 100)}%)
+      </p>
+      <table className="text-sm mb-2">
+        <thead>
+          <tr className="text-left">
+            <th className="pr-4">Step</th>
+            <th className="pr-4">Question</th>
+            <th className="pr-4">Your Answer</th>
+            <th>Answer</th>
+          </tr>
+        </thead>
+        <tbody>
+          {questions.map((question, k) => (
+            <tr
+              key={k}
+              className={
+                isCorrect(question, answers[k]) ? "bg-green-50" : "bg-red-50"
+              }
+            >
+              <td className="pr-4">{question.step + 1}</td>
+              <td className="pr-4">{question.prompt}</td>
+              <td className="pr-4 font-mono">{formatAnswer(answers[k])}</td>
+              <td className="font-mono">{formatAnswer(question.answer)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  let content;
+  if (questions.length === 0) {
+    content = (
+      <p className="text-sm text-gray-500">
+        There are no practice questions for this run.
+      </p>
+    );
+  } else if (quiz.reviewing) {
+    content = renderFeedback();
+  } else if (!active) {
+    content = renderSummary();
+  } else if (currentStep === active.pauseAt) {
+    content = renderQuestion(active);
+  } else {
+    content = (
+      <p className="text-sm text-gray-500">
+        Play on - the next question comes up at step {active.pauseAt + 1}.
+      </p>
+    );
+  }
+
+  return (
+    <div className="border rounded p-4 mb-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h2 className="text-lg font-semibold">Practice</h2>
+        <div className="flex items-center gap-2 text-sm">
+          {questions.length > 0 && (
+            <span>
+              Question {Math.min(answers.length + 1, questions.length)} of{" "}
+              {questions.length}, score {score} of {answers.length}
+            </span>
+          )}
+          <select
+            value={quiz.length}
+            onChange={(e) => restart({ length: parseInt(e.target.value) })}
+            className="p-1 border border-gray-300 rounded"
+          >
+            {QUIZ_LENGTHS.map((length) => (
+              <option key={length} value={length}>
+                {length} questions
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => restart()}
+            className="px-3 py-1 bg-gray-200 rounded"
+          >
+            New Questions
+          </button>
+        </div>
+      </div>
+      {content}
+    </div>
+  );
+};
+
+export default QuizPanel;
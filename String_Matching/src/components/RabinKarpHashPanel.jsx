@@ -0,0 +1,63 @@
+// Hash values for the current window, plus the rolling update that got us here
+const RabinKarpHashPanel = ({ hashInfo, auxiliary }) => {
+  const { base, modulus, h } = auxiliary;
+  const update = hashInfo.rollingUpdate;
+
+  return (
+    <div className="mb-4">
+      <h3 className="text-md font-semibold mb-1">Hash Information:</h3>
+      <div className="grid grid-cols-2 gap-2 text-sm">
+        <div>Pattern Hash: {hashInfo.patternHash}</div>
+        <div>Text Window Hash: {hashInfo.textHash}</div>
+        <div
+          className={
+            hashInfo.hashMatch ? "text-green-600 font-bold" : "text-red-600"
+          }
+        >
+          {hashInfo.hashMatch ? "Hashes Match!" : "Hashes Different"}
+        </div>
+        {hashInfo.spurious && (
+          <div className="text-orange-600 font-bold">
+            Spurious Hit (false positive)
+          </div>
+        )}
+        {hashInfo.verified !== undefined && (
+          <div
+            className={
+              hashInfo.verified ? "text-green-600" : "text-red-600 font-bold"
+            }
+          >
+            Fresh hash: {hashInfo.freshHash}{" "}
+            {hashInfo.verified ? "(verified)" : "(rolling hash is wrong!)"}
+          </div>
+        )}
+      </div>
+
+      <div className="mt-2 text-sm font-mono bg-gray-50 p-2 rounded overflow-x-auto">
+        <div className="text-gray-500">
+          base = {base}, q = {modulus}, h = base^(m-1) mod q = {h}
+        </div>
+        {update ? (
+          <>
+            <div>
+              remove '{update.outgoingChar}': ({update.previousHash} −{" "}
+              {update.outgoingCode} × {h}) mod q = {update.afterRemove}
+            </div>
+            <div>
+              shift: ({update.afterRemove} × {base}) mod q ={" "}
+              {update.afterMultiply}
+            </div>
+            <div>
+              add '{update.incomingChar}': ({update.afterMultiply} +{" "}
+              {update.incomingCode}) mod q = {hashInfo.textHash}
+            </div>
+          </>
+        ) : (
+          <div>First window, hash computed directly.</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RabinKarpHashPanel;
@@ -0,0 +1,42 @@
+// Base, modulus and debug settings for the Rabin-Karp rolling hash
+const RabinKarpOptions = ({ options, onChange, disabled }) => (
+  <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Hash Base
+      </label>
+      <input
+        type="text"
+        inputMode="numeric"
+        value={options.base}
+        onChange={(e) => onChange({ base: e.target.value })}
+        disabled={disabled}
+        className="w-full p-2 border border-gray-300 rounded font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+    </div>
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Modulus (prime)
+      </label>
+      <input
+        type="text"
+        inputMode="numeric"
+        value={options.modulus}
+        onChange={(e) => onChange({ modulus: e.target.value })}
+        disabled={disabled}
+        className="w-full p-2 border border-gray-300 rounded font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+    </div>
+    <label className="flex items-center gap-2 text-sm md:mt-6">
+      <input
+        type="checkbox"
+        checked={options.verifyRollingHash}
+        onChange={(e) => onChange({ verifyRollingHash: e.target.checked })}
+        disabled={disabled}
+      />
+      Verify rolling hash against a fresh hash each window
+    </label>
+  </div>
+);
+
+export default RabinKarpOptions;
@@ -0,0 +1,145 @@
+import { useState } from "react";
+import {
+  SCENARIOS,
+  MAX_SCENARIO_LENGTH,
+  generateScenario,
+} from "../scenarios/generators";
+import { randomSeed } from "../scenarios/random";
+
+const inputClass =
+  "w-full p-2 border border-gray-300 rounded font-mono focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+// Best/worst case and random inputs, loaded into the visualizer in one click.
+// rabinKarpOptions are the current hash settings, which the collision
+// scenario is built against.
+const ScenarioGenerator = ({ rabinKarpOptions, onLoad, disabled }) => {
+  const [kind, setKind] = useState("naive-worst");
+  const [textLength, setTextLength] = useState("40");
+  const [patternLength, setPatternLength] = useState("5");
+  const [alphabet, setAlphabet] = useState("ab");
+  const [seed, setSeed] = useState("1");
+  const [note, setNote] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = () => {
+    let generated;
+    try {
+      generated = generateScenario({
+        kind,
+        textLength,
+        patternLength,
+        alphabet,
+        seed,
+        rabinKarp: rabinKarpOptions,
+      });
+    } catch (err) {
+      setError(err.message);
+      setNote(null);
+      return;
+    }
+    setError(null);
+    setNote(generated.description);
+    onLoad(generated);
+  };
+
+  return (
+    <div className="border rounded p-4 mb-6">
+      <h2 className="text-lg font-semibold mb-2">Scenario Generator</h2>
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-2">
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Scenario
+          </label>
+          <select
+            value={kind}
+            onChange={(e) => setKind(e.target.value)}
+            disabled={disabled}
+            className="w-full p-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {Object.entries(SCENARIOS).map(([key, { name }]) => (
+              <option key={key} value={key}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Text Length (max {MAX_SCENARIO_LENGTH})
+          </label>
+          <input
+            type="text"
+            inputMode="numeric"
+            value={textLength}
+            onChange={(e) => setTextLength(e.target.value)}
+            disabled={disabled}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Pattern Length
+          </label>
+          <input
+            type="text"
+            inputMode="numeric"
+            value={patternLength}
+            onChange={(e) => setPatternLength(e.target.value)}
+            disabled={disabled}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Alphabet
+          </label>
+          <input
+            type="text"
+            value={alphabet}
+            onChange={(e) => setAlphabet(e.target.value)}
+            disabled={disabled || !SCENARIOS[kind].usesAlphabet}
+            className={`${inputClass} disabled:bg-gray-100`}
+          />
+        </div>
+      </div>
+      <div className="flex flex-wrap items-end gap-2">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Seed
+          </label>
+          <input
+            type="text"
+            value={seed}
+            onChange={(e) => setSeed(e.target.value)}
+            disabled={disabled}
+            className="w-32 p-2 border border-gray-300 rounded font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <button
+          onClick={() => setSeed(randomSeed())}
+          disabled={disabled}
+          className="px-4 py-2 bg-gray-200 rounded disabled:text-gray-400"
+        >
+          New Seed
+        </button>
+        <button
+          onClick={load}
+          disabled={disabled}
+          className="px-4 py-2 bg-blue-600 text-white rounded disabled:bg-gray-300"
+        >
+          Load into Visualizer
+        </button>
+      </div>
+      {SCENARIOS[kind].algorithm === "rabin-karp" && (
+        <p className="text-sm text-gray-600 mt-2">
+          Built for the current Rabin-Karp base ({rabinKarpOptions.base}) and
+          modulus ({rabinKarpOptions.modulus}).
+        </p>
+      )}
+      {note && <p className="text-sm mt-2">{note}</p>}
+      {error && <p className="text-red-600 mt-2">{error}</p>}
+    </div>
+  );
+};
+
+export default ScenarioGenerator;
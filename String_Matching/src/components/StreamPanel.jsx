@@ -0,0 +1,125 @@
+import { visibleCharacter } from "./visibleWhitespace";
+
+// Chunks listed either side of the current one
+const NEARBY_CHUNKS = 3;
+
+const span = (start, end) =>
+  start === end - 1 ? `${start}` : `${start} … ${end - 1}`;
+
+// The state a chunk was handed by the chunks before it
+const CarriedState = ({ algorithm, carried, pattern }) => {
+  if (carried.position === 0) return <span>nothing yet</span>;
+  if (algorithm === "kmp") {
+    return (
+      <span>
+        j = {carried.j}
+        {carried.j > 0 && (
+          <span className="font-mono">
+            {" "}
+            ('{pattern.slice(0, carried.j).map(visibleCharacter).join("")}'
+            pending)
+          </span>
+        )}
+      </span>
+    );
+  }
+  return (
+    <span>
+      t = {carried.textHash},{" "}
+      <span className="font-mono">
+        '{carried.window.map(visibleCharacter).join("")}'
+      </span>
+    </span>
+  );
+};
+
+// Where the text is in the stream: the chunk being read, the state it was
+// handed, the chunks around it and the matches found so far that reach back
+// over a chunk border
+const StreamPanel = ({ algorithm, stream, pattern, stepData, currentStep }) => {
+  const { chunkSize, chunks, matches } = stream;
+  const current = stepData.stream ? stepData.stream.chunk : null;
+  const first = Math.max(0, (current ?? 0) - NEARBY_CHUNKS);
+  const last = Math.min(chunks.length, (current ?? 0) + NEARBY_CHUNKS + 1);
+  const reported = matches.filter((match) => match.step <= currentStep);
+  const spanning = reported.filter((match) => match.spansBorder);
+  const chunkOf = (position) => Math.floor(position / chunkSize) + 1;
+
+  return (
+    <div className="mb-4">
+      <h3 className="text-md font-semibold mb-1">Stream:</h3>
+      <div className="flex flex-wrap gap-4 text-sm mb-2">
+        <span className="text-orange-600">┆ chunk border</span>
+        <span className="text-gray-400">not arrived yet</span>
+        <span className="text-orange-600">▁ match across a border</span>
+      </div>
+      <div className="text-sm mb-2">
+        {current === null
+          ? `Building the prefix table - no text has arrived yet (${chunks.length} chunks of ${chunkSize}).`
+          : `Reading chunk ${current + 1} of ${chunks.length} (positions ${span(
+              chunks[current].start,
+              chunks[current].end
+            )}, chunk size ${chunkSize}).`}
+      </div>
+
+      <table className="text-sm border-collapse mb-2">
+        <thead>
+          <tr className="bg-gray-50">
+            <th className="border border-gray-300 px-2 py-1">Chunk</th>
+            <th className="border border-gray-300 px-2 py-1">Positions</th>
+            <th className="border border-gray-300 px-2 py-1">Carried in</th>
+          </tr>
+        </thead>
+        <tbody>
+          {chunks.slice(first, last).map((chunk, offset) => {
+            const index = first + offset;
+            return (
+              <tr
+                key={index}
+                className={index === current ? "bg-yellow-100" : ""}
+              >
+                <td className="border border-gray-300 px-2 py-1 text-center">
+                  {index + 1}
+                </td>
+                <td className="border border-gray-300 px-2 py-1 font-mono">
+                  {span(chunk.start, chunk.end)}
+                </td>
+                <td className="border border-gray-300 px-2 py-1">
+                  {current !== null && index <= current ? (
+                    <CarriedState
+                      algorithm={algorithm}
+                      carried={chunk.carried}
+                      pattern={pattern}
+                    />
+                  ) : (
+                    <span className="text-gray-400">not arrived yet</span>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div className="text-sm">
+        Matches reported so far: {reported.length}, across a chunk border:{" "}
+        {spanning.length === 0 ? (
+          "none"
+        ) : (
+          <span className="text-orange-600">
+            {spanning
+              .map(
+                ({ start }) =>
+                  `${start} (chunks ${chunkOf(start)}–${chunkOf(
+                    start + pattern.length - 1
+                  )})`
+              )
+              .join(", ")}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StreamPanel;
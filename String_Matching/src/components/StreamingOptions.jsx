@@ -0,0 +1,30 @@
+// Streaming mode switch and chunk size, for the algorithms that can carry
+// their state from one chunk of text to the next
+const StreamingOptions = ({ options, onChange, disabled }) => (
+  <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+    <label className="flex items-center gap-2 text-sm md:mt-6">
+      <input
+        type="checkbox"
+        checked={options.streaming}
+        onChange={(e) => onChange({ streaming: e.target.checked })}
+        disabled={disabled}
+      />
+      Stream the text in chunks
+    </label>
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Chunk Size
+      </label>
+      <input
+        type="text"
+        inputMode="numeric"
+        value={options.chunkSize}
+        onChange={(e) => onChange({ chunkSize: e.target.value })}
+        disabled={disabled || !options.streaming}
+        className="w-full p-2 border border-gray-300 rounded font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+    </div>
+  </div>
+);
+
+export default StreamingOptions;
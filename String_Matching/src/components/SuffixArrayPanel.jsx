@@ -0,0 +1,130 @@
+const VISIBLE_ROWS = 21;
+const SUFFIX_PREVIEW = 24;
+
+// Sorted suffixes with the suffix array and LCP array. While sorting, rows
+// follow the current round's order with the compared prefix in bold and its
+// rank as the key; while the LCP array is built it fills in row by row;
+// during the query the binary search interval is shaded and the probed
+// suffix highlighted.
+const SuffixArrayPanel = ({ text, auxiliary, stepData }) => {
+  const { suffixArray, lcp } = auxiliary;
+  const n = suffixArray.length;
+  const { suffixBuild, lcpStep, suffixSearch } = stepData;
+
+  const columns = suffixBuild ? 5 : 4;
+  const order = suffixBuild ? suffixBuild.order : suffixArray;
+  const interval = suffixSearch?.next;
+  const focus = lcpStep
+    ? lcpStep.rank
+    : suffixSearch
+    ? suffixSearch.mid ?? suffixSearch.low
+    : 0;
+  const first = Math.max(
+    0,
+    Math.min(focus - Math.floor(VISIBLE_ROWS / 2), n - VISIBLE_ROWS)
+  );
+  const last = Math.min(n, first + VISIBLE_ROWS);
+
+  const lcpValue = (r) => {
+    if (suffixBuild) return "";
+    if (lcpStep && suffixArray[r] > lcpStep.suffix) return "";
+    return lcp[r];
+  };
+
+  const rowClass = (r) => {
+    if (lcpStep) {
+      if (r === lcpStep.rank) return "bg-yellow-200";
+      if (r === lcpStep.rank - 1) return "bg-yellow-50";
+      return "";
+    }
+    if (suffixSearch) {
+      if (r === suffixSearch.mid) return "bg-yellow-200";
+      if (r >= interval.low && r < interval.high) {
+        return suffixSearch.bound === "done" ? "bg-green-200" : "bg-blue-100";
+      }
+    }
+    return "";
+  };
+
+  const rows = [];
+  for (let r = first; r < last; r++) {
+    const suffix = order[r];
+    const shown = Math.min(n - suffix, SUFFIX_PREVIEW);
+    const sorted = suffixBuild ? Math.min(suffixBuild.length, shown) : 0;
+    rows.push(
+      <tr key={r} className={rowClass(r)}>
+        <td className="px-2 text-right text-gray-500">{r}</td>
+        <td className="px-2 text-right">{suffix}</td>
+        <td className="px-2 text-right">{lcpValue(r)}</td>
+        {suffixBuild && (
+          <td className="px-2 text-right text-gray-500">
+            {suffixBuild.ranks[suffix]}
+          </td>
+        )}
+        <td className="px-2 whitespace-pre">
+          <span className="font-bold text-blue-700">
+            {text.slice(suffix, suffix + sorted).join("")}
+          </span>
+          {text.slice(suffix + sorted, suffix + shown).join("")}
+          {n - suffix > SUFFIX_PREVIEW ? "…" : ""}
+        </td>
+      </tr>
+    );
+  }
+
+  return (
+    <div className="mb-4">
+      <h3 className="text-md font-semibold mb-1">
+        Suffix Array
+        {suffixBuild
+          ? ` (sorting by first ${suffixBuild.length} characters)`
+          : lcpStep
+          ? " (building LCP array)"
+          : ""}
+        :
+      </h3>
+      {suffixSearch && (
+        <div className="text-sm mb-1">
+          Interval: [{interval.low}, {interval.high})
+          {suffixSearch.bound === "done"
+            ? ` - ${interval.high - interval.low} occurrence(s)`
+            : ` while searching for the ${
+                suffixSearch.bound === "lower" ? "first" : "last"
+              } occurrence`}
+        </div>
+      )}
+      <div className="overflow-x-auto">
+        <table className="font-mono text-sm">
+          <thead>
+            <tr className="text-left border-b">
+              <th className="px-2 text-right">rank</th>
+              <th className="px-2 text-right">SA</th>
+              <th className="px-2 text-right">LCP</th>
+              {suffixBuild && <th className="px-2 text-right">key</th>}
+              <th className="px-2">suffix</th>
+            </tr>
+          </thead>
+          <tbody>
+            {first > 0 && (
+              <tr>
+                <td colSpan={columns} className="px-2 text-gray-500">
+                  … {first} more above
+                </td>
+              </tr>
+            )}
+            {rows}
+            {last < n && (
+              <tr>
+                <td colSpan={columns} className="px-2 text-gray-500">
+                  … {n - last} more below
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default SuffixArrayPanel;
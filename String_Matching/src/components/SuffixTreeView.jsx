@@ -0,0 +1,127 @@
+const COLUMN_WIDTH = 90;
+const ROW_HEIGHT = 36;
+const RADIUS = 10;
+const PADDING = 30;
+const MAX_LABEL = 8;
+
+// Left to right like the Aho-Corasick trie - x by tree level, y by leaf row
+const layoutTree = (nodes) => {
+  const positions = {};
+  let row = 0;
+  let levels = 0;
+
+  const visit = (id, level) => {
+    levels = Math.max(levels, level);
+    let y = null;
+    for (const child of nodes[id].children) {
+      const childY = visit(child, level + 1);
+      if (y === null) y = childY;
+    }
+    if (y === null) y = row++;
+    positions[id] = {
+      x: PADDING + level * COLUMN_WIDTH,
+      y: PADDING + y * ROW_HEIGHT,
+    };
+    return y;
+  };
+
+  visit(0, 0);
+  return { positions, rows: Math.max(row, 1), levels };
+};
+
+// Suffix tree built from the suffix array and LCP array. During the query
+// every subtree whose suffixes all lie in the current search interval is
+// highlighted, so the interval narrowing shows up as a shrinking subtree.
+const SuffixTreeView = ({ text, nodes, stepData }) => {
+  const { positions, rows, levels } = layoutTree(nodes);
+  const width = PADDING * 2 + levels * COLUMN_WIDTH + 40;
+  const height = PADDING * 2 + (rows - 1) * ROW_HEIGHT;
+
+  const search = stepData.suffixSearch;
+  const interval = search?.next;
+  const highlighted = (node) =>
+    interval !== undefined &&
+    node.low >= interval.low &&
+    node.high < interval.high;
+  const highlight = search?.bound === "done" ? "#16a34a" : "#2563eb";
+
+  const edgeLabel = (node) => {
+    const label = text.slice(node.start, node.end);
+    return label.length > MAX_LABEL
+      ? `${label.slice(0, MAX_LABEL).join("")}…`
+      : label.join("");
+  };
+
+  return (
+    <div className="mb-4">
+      <h3 className="text-md font-semibold mb-1">Suffix Tree:</h3>
+      <div className="overflow-auto border border-gray-200 rounded">
+        <svg width={width} height={height} className="font-mono text-xs">
+          {nodes.slice(1).map((node) => {
+            const from = positions[node.parent];
+            const to = positions[node.id];
+            return (
+              <g key={`edge-${node.id}`}>
+                <line
+                  x1={from.x}
+                  y1={from.y}
+                  x2={to.x}
+                  y2={to.y}
+                  stroke={highlighted(node) ? highlight : "#374151"}
+                  strokeWidth={highlighted(node) ? 2 : 1}
+                />
+                <text
+                  x={(from.x + to.x) / 2}
+                  y={(from.y + to.y) / 2 - 4}
+                  textAnchor="middle"
+                  fill="#111827"
+                >
+                  {edgeLabel(node)}
+                </text>
+              </g>
+            );
+          })}
+
+          {nodes.map((node) => {
+            const { x, y } = positions[node.id];
+            return (
+              <g key={`node-${node.id}`}>
+                <title>
+                  {node.suffix !== null
+                    ? `Suffix ${node.suffix} ends here`
+                    : `Shared prefix of length ${node.depth}`}
+                </title>
+                <circle
+                  cx={x}
+                  cy={y}
+                  r={RADIUS}
+                  fill={
+                    highlighted(node)
+                      ? highlight
+                      : node.suffix !== null
+                      ? "#e5e7eb"
+                      : "#ffffff"
+                  }
+                  stroke="#3b82f6"
+                  strokeWidth={2}
+                />
+                {node.suffix !== null && (
+                  <text
+                    x={x}
+                    y={y + 4}
+                    textAnchor="middle"
+                    fill={highlighted(node) ? "#ffffff" : "#111827"}
+                  >
+                    {node.suffix}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+    </div>
+  );
+};
+
+export default SuffixTreeView;
@@ -0,0 +1,98 @@
+import { useRef, useState } from "react";
+import { SAMPLE_CORPORA } from "../samples/corpora";
+import { TEXT_FILE_EXTENSIONS, readTextFile } from "../samples/textFile";
+
+// Multi-line text editor that also takes .txt / .fasta files (picked or
+// dropped onto it) and the built-in sample corpora. onSample gets the
+// whole sample, so its pattern can be loaded too.
+const TextInput = ({ text, onChange, onSample, disabled }) => {
+  const fileInput = useRef(null);
+  const [dragging, setDragging] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadFile = async (file) => {
+    if (!file) return;
+    try {
+      onChange(await readTextFile(file));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (!disabled) loadFile(e.dataTransfer.files[0]);
+  };
+
+  const lines = text.length === 0 ? 0 : text.split("\n").length;
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Text
+      </label>
+      <textarea
+        value={text}
+        onChange={(e) => onChange(e.target.value)}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        disabled={disabled}
+        rows={4}
+        placeholder="Type, paste or drop a .txt / .fasta file here"
+        className={`w-full p-2 border rounded font-mono focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+          dragging ? "border-blue-500 bg-blue-50" : "border-gray-300"
+        }`}
+      />
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <button
+          onClick={() => fileInput.current.click()}
+          disabled={disabled}
+          className="px-3 py-1 bg-gray-200 rounded disabled:text-gray-400"
+        >
+          Upload File
+        </button>
+        <input
+          ref={fileInput}
+          type="file"
+          accept={TEXT_FILE_EXTENSIONS.join(",")}
+          onChange={(e) => {
+            const file = e.target.files[0];
+            e.target.value = "";
+            loadFile(file);
+          }}
+          className="hidden"
+        />
+        <select
+          value=""
+          onChange={(e) => {
+            setError(null);
+            onSample(SAMPLE_CORPORA[e.target.value]);
+          }}
+          disabled={disabled}
+          className="p-1 border border-gray-300 rounded"
+        >
+          <option value="" disabled>
+            Load a sample…
+          </option>
+          {Object.entries(SAMPLE_CORPORA).map(([key, { name }]) => (
+            <option key={key} value={key}>
+              {name}
+            </option>
+          ))}
+        </select>
+        <span className="text-gray-500">
+          {text.length} characters, {lines} line{lines === 1 ? "" : "s"}
+        </span>
+      </div>
+      {error && <p className="text-red-600 text-sm mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default TextInput;
@@ -0,0 +1,296 @@
+import { useState, useRef, useEffect, useLayoutEffect, useMemo } from "react";
+import { stepComparisons } from "../engine";
+import { reportedColorAt } from "./patternColors";
+import { isWhitespaceUnit, visibleCharacter } from "./visibleWhitespace";
+
+const OVERSCAN = 10;
+const ROW_GAP = 8;
+// Room for the KMP i / j markers and the j shift arrow
+const MARKER_ROW = 16;
+const ARROW_ROW = 32;
+// Browsers won't lay out elements much wider than a few million pixels, so
+// the scrolling area is capped at this and long texts are scrolled through
+// proportionally faster
+const MAX_STRIP_WIDTH = 4000000;
+
+// Text pixels per scrolled pixel
+const scrollScale = (contentWidth, stripWidth, clientWidth) =>
+  stripWidth < contentWidth && stripWidth > clientWidth
+    ? (contentWidth - clientWidth) / (stripWidth - clientWidth)
+    : 1;
+
+// Scroll so text[start, start + length) sits in the middle of the strip
+const centreOn = (el, cell, scale, start, length) => {
+  el.scrollLeft = (start * cell - (el.clientWidth - length * cell) / 2) / scale;
+};
+
+// Text and pattern rows as one horizontally scrolling strip. Only the cells
+// inside the viewport are rendered, so texts of any length stay cheap, and
+// the strip scrolls itself to keep the pattern's window in view.
+//
+// reportedColors holds match colours by text position (see markReported),
+// shown once currentStep reaches the step that reported them.
+//
+// wildcards[j] marks pattern positions that are wildcards or classes, they
+// are drawn dashed since they stand for more than one character.
+// Spaces, tabs and line breaks are drawn as faint ·, → and ↵.
+//
+// scrollTarget ({ index }) asks the strip to centre a text position, e.g.
+// when the minimap is clicked.
+//
+// Steps with pointers (KMP) get i / j markers over the text and under the
+// pattern, and a prefixUse shift is drawn as an arrow from the old j to the
+// new one.
+//
+// In streaming mode chunkBorders lists the text positions where a chunk
+// starts, drawn as dashed lines, and text from position `arrived` on hasn't
+// arrived yet, so it's greyed out.
+const TextStrip = ({
+  text,
+  pattern,
+  stepData,
+  showPattern = true,
+  wildcards = [],
+  reportedColors = {},
+  currentStep = 0,
+  scrollTarget = null,
+  compact = false,
+  chunkBorders = [],
+  arrived = null,
+}) => {
+  const cell = compact ? 24 : 32;
+  const containerRef = useRef(null);
+  const [viewport, setViewport] = useState({ left: 0, width: 0 });
+
+  // Track the visible area, including resizes
+  useLayoutEffect(() => {
+    const el = containerRef.current;
+    const update = () =>
+      setViewport({ left: el.scrollLeft, width: el.clientWidth });
+    update();
+
+    const observer = new ResizeObserver(update);
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const windowStart = stepData.textIndex || 0;
+  const windowLength = Math.max(pattern.length, 1);
+  const contentWidth =
+    Math.max(text.length, windowStart + pattern.length) * cell;
+  const stripWidth = Math.min(contentWidth, MAX_STRIP_WIDTH);
+  const scale = scrollScale(contentWidth, stripWidth, viewport.width);
+  // Where the viewport starts in the text, in (unscaled) pixels
+  const textLeft = viewport.left * scale;
+
+  // Keep the current window on screen
+  useEffect(() => {
+    const el = containerRef.current;
+    const scale = scrollScale(contentWidth, stripWidth, el.clientWidth);
+    const left = windowStart * cell;
+    const right = left + windowLength * cell;
+    const visibleLeft = el.scrollLeft * scale;
+    if (left < visibleLeft || right > visibleLeft + el.clientWidth) {
+      centreOn(el, cell, scale, windowStart, windowLength);
+    }
+  }, [windowStart, windowLength, cell, contentWidth, stripWidth]);
+
+  useEffect(() => {
+    if (!scrollTarget) return;
+    const el = containerRef.current;
+    const scale = scrollScale(contentWidth, stripWidth, el.clientWidth);
+    centreOn(el, cell, scale, scrollTarget.index, 1);
+  }, [scrollTarget, cell, contentWidth, stripWidth]);
+
+  // Look up comparison results by position once per step, not once per cell
+  const { textStatus, patternStatus } = useMemo(() => {
+    const textStatus = new Map();
+    const patternStatus = new Map();
+    stepComparisons(stepData).forEach((c) => {
+      textStatus.set(c.textIndex, textStatus.get(c.textIndex) || c.match);
+      patternStatus.set(
+        c.patternIndex,
+        patternStatus.get(c.patternIndex) || c.match
+      );
+    });
+    return { textStatus, patternStatus };
+  }, [stepData]);
+
+  const first = Math.max(0, Math.floor(textLeft / cell) - OVERSCAN);
+  const last = Math.min(
+    text.length,
+    Math.ceil((textLeft + viewport.width) / cell) + OVERSCAN
+  );
+  // Cells are placed relative to the viewport, which is where textLeft is
+  const cellLeft = (index) => viewport.left + index * cell - textLeft;
+
+  const statusClass = (status, fallback) =>
+    status === true
+      ? "bg-green-200"
+      : status === false
+      ? "bg-red-200"
+      : fallback;
+
+  const pointers = showPattern ? stepData.pointers : null;
+  const shift = pointers ? stepData.prefixUse : null;
+  const textTop = pointers ? MARKER_ROW : 0;
+  const patternTop = textTop + cell + ROW_GAP;
+  // Pattern position j's centre, within the arrow below the pattern
+  const centre = (j) => j * cell + cell / 2;
+
+  const textCells = [];
+  for (let index = first; index < last; index++) {
+    const isPatternStart = index === stepData.textIndex;
+    const reportedColor = reportedColorAt(reportedColors, index, currentStep);
+    textCells.push(
+      <div
+        key={index}
+        style={{
+          left: cellLeft(index),
+          top: textTop,
+          width: cell,
+          height: cell,
+          boxShadow: reportedColor
+            ? `inset 0 -4px 0 ${reportedColor}`
+            : undefined,
+        }}
+        className={`absolute flex items-center justify-center border ${
+          isPatternStart ? "border-blue-500 border-2" : "border-gray-200"
+        } ${statusClass(textStatus.get(index), "")} ${
+          isWhitespaceUnit(text[index]) ||
+          (arrived !== null && index >= arrived)
+            ? "text-gray-400"
+            : ""
+        } ${arrived !== null && index >= arrived ? "bg-gray-50" : ""}`}
+      >
+        {visibleCharacter(text[index])}
+      </div>
+    );
+  }
+
+  const patternCells = [];
+  if (showPattern) {
+    for (let j = 0; j < pattern.length; j++) {
+      const index = windowStart + j;
+      if (index < first || index >= last) continue;
+      patternCells.push(
+        <div
+          key={j}
+          title={wildcards[j] ? pattern[j] : undefined}
+          style={{
+            left: cellLeft(index),
+            top: patternTop,
+            width: cell,
+            height: cell,
+          }}
+          className={`absolute flex items-center justify-center overflow-hidden border ${
+            wildcards[j]
+              ? "border-purple-500 border-dashed text-xs"
+              : "border-blue-500"
+          } ${statusClass(
+            patternStatus.get(j),
+            wildcards[j] ? "bg-purple-100" : "bg-blue-100"
+          )}`}
+        >
+          {visibleCharacter(pattern[j])}
+        </div>
+      );
+    }
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      onScroll={(e) =>
+        setViewport({
+          left: e.currentTarget.scrollLeft,
+          width: e.currentTarget.clientWidth,
+        })
+      }
+      className={`overflow-x-auto mb-4 font-mono ${compact ? "text-sm" : ""}`}
+    >
+      <div
+        className="relative"
+        style={{
+          width: stripWidth,
+          height: showPattern
+            ? textTop + cell * 2 + ROW_GAP + (pointers ? ARROW_ROW : 0)
+            : cell,
+        }}
+      >
+        {textCells}
+        {patternCells}
+        {chunkBorders
+          .filter((border) => border >= first && border <= last)
+          .map((border) => (
+            <div
+              key={`border-${border}`}
+              className="absolute border-l-2 border-dashed border-orange-500 pointer-events-none"
+              style={{ left: cellLeft(border) - 1, top: textTop, height: cell }}
+            />
+          ))}
+        {pointers && (
+          <>
+            <div
+              className="absolute text-xs text-blue-700 font-bold text-center"
+              style={{ left: cellLeft(pointers.i), top: 0, width: cell }}
+            >
+              i ▾
+            </div>
+            <div
+              className="absolute text-xs text-blue-700 font-bold text-center"
+              style={{
+                left: cellLeft(windowStart + pointers.j),
+                top: patternTop + cell,
+                width: cell,
+              }}
+            >
+              ▴ j
+            </div>
+          </>
+        )}
+        {shift && (
+          <svg
+            className="absolute pointer-events-none"
+            style={{ left: cellLeft(windowStart), top: patternTop + cell }}
+            width={(shift.oldJ + 1) * cell + 80}
+            height={ARROW_ROW}
+          >
+            <defs>
+              <marker
+                id="kmp-shift-arrow"
+                markerWidth="6"
+                markerHeight="6"
+                refX="5"
+                refY="3"
+                orient="auto"
+              >
+                <path d="M0,0 L6,3 L0,6 z" fill="#ea580c" />
+              </marker>
+            </defs>
+            <path
+              d={`M ${centre(shift.oldJ)} 16 Q ${
+                (centre(shift.oldJ) + centre(shift.newJ)) / 2
+              } ${ARROW_ROW + 8} ${centre(shift.newJ)} 16`}
+              fill="none"
+              stroke="#ea580c"
+              strokeWidth="2"
+              markerEnd="url(#kmp-shift-arrow)"
+            />
+            <text
+              x={centre(shift.oldJ) + cell / 2}
+              y={ARROW_ROW - 4}
+              textAnchor="start"
+              fontSize="10"
+              fill="#ea580c"
+            >
+              j: {shift.oldJ} → {shift.newJ}
+            </text>
+          </svg>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TextStrip;
@@ -0,0 +1,209 @@
+import { visibleCharacter } from "./visibleWhitespace";
+
+const COLUMN_WIDTH = 56;
+const ROW_HEIGHT = 60;
+const RADIUS = 13;
+const PADDING = 40;
+
+const position = (state) => ({
+  x: PADDING + state.x * COLUMN_WIDTH,
+  y: PADDING + state.y * ROW_HEIGHT,
+});
+
+// Straight edges stop at the circles' rims. Edges that go back (loops) bend
+// above the row and edges that jump over states on their row (skipping a
+// repetition) bend below it - both are ε-edges, so they have no label.
+const edgeGeometry = (edge, states) => {
+  const fromState = states[edge.from];
+  const toState = states[edge.to];
+  const from = position(fromState);
+  const to = position(toState);
+  const backwards = toState.x <= fromState.x;
+  const jumps =
+    fromState.y === toState.y &&
+    states.some(
+      (s) => s.y === fromState.y && s.x > fromState.x && s.x < toState.x
+    );
+
+  if (backwards || jumps) {
+    const side = backwards ? -1 : 1;
+    const bend = Math.min(
+      18 + (6 * Math.abs(to.x - from.x)) / COLUMN_WIDTH,
+      50
+    );
+    const y = from.y + side * RADIUS;
+    return {
+      path: `M ${from.x} ${y} Q ${(from.x + to.x) / 2} ${y + side * bend} ${
+        to.x
+      } ${y}`,
+    };
+  }
+
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const length = Math.hypot(dx, dy);
+  const ux = dx / length;
+  const uy = dy / length;
+  return {
+    path: `M ${from.x + ux * RADIUS} ${from.y + uy * RADIUS} L ${
+      to.x - ux * RADIUS
+    } ${to.y - uy * RADIUS}`,
+    labelX: (from.x + to.x) / 2,
+    labelY: (from.y + to.y) / 2 - 5,
+  };
+};
+
+// The Thompson NFA of the regex, with the states active after this step's
+// character in yellow and the transitions it took in orange, plus where
+// each active thread started in the text
+const ThompsonNFA = ({ auxiliary, stepData }) => {
+  const { states, edges, start, accept, width, height } = auxiliary.nfa;
+  const svgWidth = PADDING * 2 + width * COLUMN_WIDTH;
+  const svgHeight = PADDING * 2 + (height - 1) * ROW_HEIGHT;
+
+  const nfaState = stepData.nfaState;
+  const threads = nfaState?.threads || [];
+  const startOf = new Map(threads.map((t) => [t.state, t.start]));
+  const fired = new Set(
+    (nfaState?.fired || []).map(({ from, to }) => `${from}-${to}`)
+  );
+  const startPosition = position(states[start]);
+
+  return (
+    <div className="mb-4">
+      <h3 className="text-md font-semibold mb-1">Thompson NFA:</h3>
+      <div className="flex flex-wrap gap-4 text-sm mb-2">
+        <span>— character</span>
+        <span className="text-gray-500">- - ε</span>
+        <span className="text-orange-500">— taken on this character</span>
+        <span>
+          <span className="inline-block w-3 h-3 bg-yellow-300 border border-blue-500 rounded-full align-middle" />{" "}
+          active
+        </span>
+      </div>
+      <div className="overflow-auto border border-gray-200 rounded">
+        <svg width={svgWidth} height={svgHeight} className="font-mono text-xs">
+          <defs>
+            <marker
+              id="nfa-arrow"
+              viewBox="0 0 10 10"
+              refX="10"
+              refY="5"
+              markerWidth="6"
+              markerHeight="6"
+              orient="auto-start-reverse"
+            >
+              <path d="M 0 0 L 10 5 L 0 10 z" fill="currentColor" />
+            </marker>
+          </defs>
+
+          {/* Arrow into the start state */}
+          <line
+            x1={startPosition.x - PADDING + 8}
+            y1={startPosition.y}
+            x2={startPosition.x - RADIUS}
+            y2={startPosition.y}
+            stroke="#374151"
+            markerEnd="url(#nfa-arrow)"
+            style={{ color: "#374151" }}
+          />
+
+          {edges.map((edge, index) => {
+            const { path, labelX, labelY } = edgeGeometry(edge, states);
+            const taken = fired.has(`${edge.from}-${edge.to}`);
+            const color = taken
+              ? "#f97316"
+              : edge.epsilon
+              ? "#9ca3af"
+              : "#374151";
+            return (
+              <g key={index}>
+                <path
+                  d={path}
+                  fill="none"
+                  stroke={color}
+                  strokeWidth={taken ? 3 : 1}
+                  strokeDasharray={edge.epsilon ? "4 3" : undefined}
+                  markerEnd="url(#nfa-arrow)"
+                  style={{ color }}
+                />
+                {!edge.epsilon && (
+                  <text
+                    x={labelX}
+                    y={labelY}
+                    textAnchor="middle"
+                    fill="#111827"
+                  >
+                    {edge.label}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+
+          {states.map((state) => {
+            const { x, y } = position(state);
+            const active = startOf.has(state.id);
+            return (
+              <g key={state.id}>
+                <title>
+                  {active
+                    ? `State ${state.id}, thread started at ${startOf.get(
+                        state.id
+                      )}`
+                    : `State ${state.id}`}
+                </title>
+                <circle
+                  cx={x}
+                  cy={y}
+                  r={RADIUS}
+                  fill={active ? "#fde047" : "#dbeafe"}
+                  stroke="#3b82f6"
+                />
+                {state.id === accept && (
+                  <circle
+                    cx={x}
+                    cy={y}
+                    r={RADIUS - 3}
+                    fill="none"
+                    stroke="#3b82f6"
+                  />
+                )}
+                <text x={x} y={y + 4} textAnchor="middle" fill="#111827">
+                  {state.id}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+
+      {nfaState && (
+        <div className="text-sm mt-2">
+          <div>
+            Before '{visibleCharacter(nfaState.character)}': {"{"}
+            {nfaState.previous.join(", ")}
+            {"}"}
+          </div>
+          <div>
+            Active threads:{" "}
+            {threads.length === 0
+              ? "none"
+              : [...threads]
+                  .sort((a, b) => a.state - b.state)
+                  .map(({ state, start }) => `${state} (from ${start})`)
+                  .join(", ")}
+          </div>
+          {stepData.regexMatch && (
+            <div className="font-semibold text-green-700">
+              Match from {stepData.regexMatch.start} to{" "}
+              {stepData.regexMatch.end}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ThompsonNFA;
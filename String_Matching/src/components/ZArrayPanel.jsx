@@ -0,0 +1,92 @@
+const VISIBLE_CELLS = 40;
+
+// Z-array over pattern + '$' + text. The [L, R] box is shaded, k is
+// outlined, the cell Z[k] was copied from is yellow and this step's
+// comparisons are green / red. Long strings show a window around k.
+const ZArrayPanel = ({ text, pattern, auxiliary, stepData }) => {
+  const zBox = stepData.zBox;
+  const combined = [...pattern, "$", ...text];
+  const size = combined.length;
+  const k = zBox?.k ?? 0;
+  const first = Math.max(0, Math.min(k - 10, size - VISIBLE_CELLS));
+  const last = Math.min(size, first + VISIBLE_CELLS);
+  const copiedFrom =
+    zBox && zBox.inherited !== null ? k - zBox.previousLeft : null;
+  const compared = new Set(zBox?.compared || []);
+
+  const cellClass = (index) => {
+    if (compared.has(index)) {
+      return index < k + zBox.value ? "bg-green-200" : "bg-red-200";
+    }
+    if (zBox && index >= zBox.left && index <= zBox.right && zBox.left > 0) {
+      return "bg-blue-100";
+    }
+    return index === pattern.length ? "bg-gray-100" : "";
+  };
+
+  const columns = [];
+  for (let index = first; index < last; index++) {
+    columns.push(
+      <div key={index} className="flex flex-col items-center">
+        <div className="h-5 text-xs text-gray-500">{index}</div>
+        <div
+          className={`w-8 h-8 flex items-center justify-center border ${
+            index === k ? "border-blue-600 border-2" : "border-gray-300"
+          } ${cellClass(index)}`}
+        >
+          {combined[index]}
+        </div>
+        <div
+          className={`w-8 h-8 flex items-center justify-center border border-gray-300 ${
+            index === copiedFrom
+              ? "bg-yellow-200"
+              : index <= k && auxiliary.zArray[index] === pattern.length
+              ? "bg-green-100 font-bold"
+              : ""
+          }`}
+        >
+          {index === 0 ? "-" : index <= k ? auxiliary.zArray[index] : ""}
+        </div>
+        <div className="h-5 text-xs text-blue-700 font-bold">
+          {[
+            zBox && zBox.left > 0 && index === zBox.left && "L",
+            zBox && zBox.left > 0 && index === zBox.right && "R",
+          ]
+            .filter(Boolean)
+            .join(",")}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mb-4">
+      <h3 className="text-md font-semibold mb-1">
+        Z-Array over pattern + '$' + text:
+      </h3>
+      <div className="overflow-x-auto">
+        <div className="flex font-mono">
+          {first > 0 && (
+            <div className="flex items-center px-1 text-gray-500">…</div>
+          )}
+          {columns}
+          {last < size && (
+            <div className="flex items-center px-1 text-gray-500">…</div>
+          )}
+        </div>
+      </div>
+      {zBox && (
+        <div className="text-sm mt-1">
+          Box [L, R] ={" "}
+          {zBox.left > 0 ? `[${zBox.left}, ${zBox.right}]` : "empty"}
+          {copiedFrom !== null &&
+            ` · Z[${k}] started from Z[${copiedFrom}] = ${
+              auxiliary.zArray[copiedFrom]
+            }, capped at R - k + 1 = ${zBox.previousRight - k + 1}`}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ZArrayPanel;
@@ -0,0 +1,26 @@
+// Long runs have hundreds of thousands of steps, far more than a chart can
+// draw points for, so the charts group consecutive steps into buckets of the
+// same size and draw one point per bucket.
+export const MAX_CHART_POINTS = 300;
+
+// Steps per bucket for a run of stepCount steps
+export const bucketSize = (stepCount) =>
+  Math.max(1, Math.ceil(stepCount / MAX_CHART_POINTS));
+
+// One row per bucket: start is the bucket's first step, comparisons the sum
+// over its steps and totalComparisons the running total at its last step
+export const bucketHistory = (history, size) => {
+  const rows = [];
+  for (let start = 0; start < history.length; start += size) {
+    const end = Math.min(start + size, history.length) - 1;
+    let comparisons = 0;
+    for (let k = start; k <= end; k++) comparisons += history[k].comparisons;
+    rows.push({
+      start,
+      step: history[start].step,
+      comparisons,
+      totalComparisons: history[end].totalComparisons,
+    });
+  }
+  return rows;
+};
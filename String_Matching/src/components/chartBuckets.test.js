@@ -0,0 +1,36 @@
+import { describe, expect, it } from "vitest";
+import { MAX_CHART_POINTS, bucketSize, bucketHistory } from "./chartBuckets";
+
+const historyOf = (perStep) => {
+  let totalComparisons = 0;
+  return perStep.map((comparisons, step) => {
+    totalComparisons += comparisons;
+    return { step, comparisons, totalComparisons };
+  });
+};
+
+describe("bucketHistory", () => {
+  it("keeps one point per step for short runs", () => {
+    const history = historyOf([1, 2, 3]);
+    expect(bucketSize(history.length)).toBe(1);
+    expect(bucketHistory(history, 1)).toEqual(
+      history.map((row, start) => ({ ...row, start }))
+    );
+  });
+
+  it("sums comparisons per bucket and ends on the running total", () => {
+    const history = historyOf([1, 2, 3, 4, 5]);
+    expect(bucketHistory(history, 2)).toEqual([
+      { start: 0, step: 0, comparisons: 3, totalComparisons: 3 },
+      { start: 2, step: 2, comparisons: 7, totalComparisons: 10 },
+      { start: 4, step: 4, comparisons: 5, totalComparisons: 15 },
+    ]);
+  });
+
+  it("draws long runs with at most MAX_CHART_POINTS points", () => {
+    const history = historyOf(Array(400000).fill(2));
+    const rows = bucketHistory(history, bucketSize(history.length));
+    expect(rows.length).toBeLessThanOrEqual(MAX_CHART_POINTS);
+    expect(rows.at(-1).totalComparisons).toBe(800000);
+  });
+});
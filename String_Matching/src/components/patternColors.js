@@ -0,0 +1,31 @@
+// Colours used to tell patterns apart in multi-pattern mode
+export const PATTERN_COLORS = [
+  "#2563eb",
+  "#dc2626",
+  "#16a34a",
+  "#9333ea",
+  "#ea580c",
+  "#0891b2",
+  "#db2777",
+  "#65a30d",
+];
+
+export const patternColor = (patternIndex) =>
+  PATTERN_COLORS[patternIndex % PATTERN_COLORS.length];
+
+// Text positions coloured by the matches covering them, each colour shown
+// from the step that reported the match on. marks maps a position to its
+// { step, color } entries; later entries win.
+export const markReported = (marks, start, length, step, color) => {
+  for (let k = start; k < start + length; k++) {
+    (marks[k] ||= []).push({ step, color });
+  }
+};
+
+export const reportedColorAt = (marks, index, currentStep) => {
+  let color;
+  (marks[index] || []).forEach((mark) => {
+    if (mark.step <= currentStep) color = mark.color;
+  });
+  return color;
+};
@@ -0,0 +1,15 @@
+// Whitespace drawn as a visible symbol in the character grid, so spaces,
+// tabs and line breaks can be told apart (a "\r\n" grapheme is one unit)
+const SYMBOLS = {
+  " ": "·",
+  "\t": "→",
+  "\n": "↵",
+  "\r": "␍",
+  "\r\n": "↵",
+};
+
+export const isWhitespaceUnit = (unit) =>
+  typeof unit === "string" && SYMBOLS[unit] !== undefined;
+
+export const visibleCharacter = (unit) =>
+  isWhitespaceUnit(unit) ? SYMBOLS[unit] : unit;
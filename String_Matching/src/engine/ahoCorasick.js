@@ -0,0 +1,198 @@
+import { createProgressReporter } from "./progress";
+
+export const AHO_CORASICK_PSEUDOCODE = [
+  { id: "build", text: "build the trie, failure links and output links" },
+  { id: "init", text: "state ← root" },
+  { id: "for", text: "for i ← 0 to n − 1" },
+  {
+    id: "fail",
+    text: "  while state ≠ root and state has no edge T[i]: state ← fail(state)",
+  },
+  {
+    id: "goto",
+    text: "  if state has an edge T[i]: state ← goto(state, T[i])",
+  },
+  { id: "report", text: "  report every pattern in output(state)" },
+];
+
+// Build the Aho-Corasick automaton - a trie of all patterns with failure
+// links (longest proper suffix that is also in the trie) and output links
+// (nearest node down the failure chain that ends a pattern)
+export const buildAhoCorasickAutomaton = (patterns) => {
+  const nodes = [
+    {
+      id: 0,
+      char: "",
+      depth: 0,
+      parent: null,
+      children: {},
+      fail: 0,
+      outputLink: null,
+      patterns: [],
+    },
+  ];
+
+  // Goto function - insert every pattern into the trie
+  patterns.forEach((pattern, patternIndex) => {
+    let state = 0;
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (nodes[state].children[char] === undefined) {
+        nodes.push({
+          id: nodes.length,
+          char,
+          depth: nodes[state].depth + 1,
+          parent: state,
+          children: {},
+          fail: 0,
+          outputLink: null,
+          patterns: [],
+        });
+        nodes[state].children[char] = nodes.length - 1;
+      }
+      state = nodes[state].children[char];
+    }
+    nodes[state].patterns.push(patternIndex);
+  });
+
+  // Failure and output links, breadth first so shallower nodes are done first
+  const queue = Object.values(nodes[0].children);
+  while (queue.length > 0) {
+    const state = queue.shift();
+    const node = nodes[state];
+
+    for (const [char, child] of Object.entries(node.children)) {
+      let fail = node.fail;
+      while (fail !== 0 && nodes[fail].children[char] === undefined) {
+        fail = nodes[fail].fail;
+      }
+      const target = nodes[fail].children[char];
+      nodes[child].fail = target !== undefined && target !== child ? target : 0;
+
+      const failNode = nodes[nodes[child].fail];
+      nodes[child].outputLink =
+        failNode.patterns.length > 0 ? failNode.id : failNode.outputLink;
+
+      queue.push(child);
+    }
+  }
+
+  return nodes;
+};
+
+// Aho-Corasick algorithm - matches every pattern in a single pass over the text
+export const ahoCorasickStringMatching = (text, patterns, options = {}) => {
+  const patternList = (Array.isArray(patterns) ? patterns : [patterns]).filter(
+    (p) => p.length > 0
+  );
+  const nodes = buildAhoCorasickAutomaton(patternList);
+  // Patterns may be arrays of units, keep a readable version for descriptions
+  const patternLabels = patternList.map((p) =>
+    Array.isArray(p) ? p.join("") : p
+  );
+  const steps = [];
+  const occurrences = [];
+  let totalComparisons = 0;
+  const history = [];
+
+  let state = 0;
+  const reportProgress = createProgressReporter(
+    options.onProgress,
+    text.length
+  );
+
+  for (let i = 0; i < text.length; i++) {
+    reportProgress(i);
+    const char = text[i];
+    const fromState = state;
+    const failureTransitions = [];
+    let stepComparisons = 0;
+
+    // Follow failure links until we can take a goto transition
+    while (true) {
+      stepComparisons++;
+      totalComparisons++;
+      if (nodes[state].children[char] !== undefined) {
+        state = nodes[state].children[char];
+        break;
+      }
+      if (state === 0) break;
+      failureTransitions.push({ from: state, to: nodes[state].fail });
+      state = nodes[state].fail;
+    }
+
+    // Report everything ending here - this node and its output link chain
+    const reported = [];
+    for (
+      let out =
+        nodes[state].patterns.length > 0 ? state : nodes[state].outputLink;
+      out !== null;
+      out = nodes[out].outputLink
+    ) {
+      for (const patternIndex of nodes[out].patterns) {
+        const position = i - patternList[patternIndex].length + 1;
+        reported.push({ patternIndex, position });
+        occurrences.push({ patternIndex, position });
+      }
+    }
+
+    const moved = state !== 0 || nodes[0].children[char] !== undefined;
+    let description;
+    if (reported.length > 0) {
+      description = `Read '${char}', reached state ${state} and reported ${reported
+        .map((r) => `"${patternLabels[r.patternIndex]}" at ${r.position}`)
+        .join(", ")}.`;
+    } else if (failureTransitions.length > 0) {
+      description = `Read '${char}', followed ${failureTransitions.length} failure link(s) to state ${state}.`;
+    } else if (moved) {
+      description = `Read '${char}', moved from state ${fromState} to state ${state}.`;
+    } else {
+      description = `Read '${char}', no transition from the root, staying at state 0.`;
+    }
+
+    steps.push({
+      textIndex: i,
+      patternIndex: 0,
+      comparisons: [{ textIndex: i, patternIndex: -1, match: moved }],
+      totalComparisons: totalComparisons,
+      description,
+      automaton: {
+        fromState,
+        state,
+        failureTransitions,
+        reported,
+      },
+      code: {
+        lines: [
+          ...(i === 0 ? ["build", "init"] : []),
+          "for",
+          ...(failureTransitions.length > 0 ? ["fail"] : []),
+          ...(moved ? ["goto"] : []),
+          ...(reported.length > 0 ? ["report"] : []),
+        ],
+        variables: { i, "T[i]": char, "previous state": fromState, state },
+      },
+    });
+
+    history.push({
+      step: i,
+      comparisons: stepComparisons,
+      totalComparisons: totalComparisons,
+    });
+  }
+
+  return {
+    steps,
+    matches: [...new Set(occurrences.map((o) => o.position))].sort(
+      (a, b) => a - b
+    ),
+    comparisons: totalComparisons,
+    history,
+    auxiliary: {
+      patterns: patternList,
+      patternLabels,
+      nodes,
+      occurrences,
+    },
+  };
+};
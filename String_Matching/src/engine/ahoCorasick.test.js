@@ -0,0 +1,27 @@
+import { describe, expect, it } from "vitest";
+import { ahoCorasickStringMatching } from "./ahoCorasick";
+
+describe("ahoCorasickStringMatching", () => {
+  it("reports every pattern ending at each position", () => {
+    const trace = ahoCorasickStringMatching("ushers", [
+      "he",
+      "she",
+      "his",
+      "hers",
+    ]);
+    expect(trace.matches).toEqual([1, 2]);
+    expect(trace.comparisons).toBe(7);
+    expect(trace.auxiliary.occurrences).toEqual([
+      { patternIndex: 1, position: 1 },
+      { patternIndex: 0, position: 2 },
+      { patternIndex: 3, position: 2 },
+    ]);
+  });
+
+  it("follows output links to patterns inside other patterns", () => {
+    const trace = ahoCorasickStringMatching("abccab", ["a", "ab", "bc", "c"]);
+    expect(trace.matches).toEqual([0, 1, 2, 3, 4]);
+    expect(trace.comparisons).toBe(10);
+    expect(trace.auxiliary.occurrences).toHaveLength(7);
+  });
+});
@@ -0,0 +1,183 @@
+import { createProgressReporter } from "./progress";
+import { symbolMatches } from "./patternSyntax";
+
+export const DEFAULT_APPROXIMATE_OPTIONS = {
+  distance: "levenshtein",
+  maxErrors: 1,
+};
+
+export const APPROXIMATE_PSEUDOCODE = [
+  { id: "init", text: "C[0] ← 0, C[j] ← j for j = 1 … m (Hamming: ∞)" },
+  { id: "for", text: "for i ← 0 to n − 1" },
+  { id: "top", text: "  C′[0] ← 0" },
+  { id: "inner", text: "  for j ← 1 to m" },
+  {
+    id: "cell",
+    text: "    C′[j] ← min(C[j − 1] + [P[j − 1] ≠ T[i]], C[j] + 1, C′[j − 1] + 1)",
+  },
+  { id: "report", text: "  if C′[m] ≤ k, report a match ending at i" },
+  { id: "swap", text: "  C ← C′" },
+];
+
+const toErrorBudget = (value, m) => {
+  const k = Number(value);
+  if (String(value).trim() === "" || !Number.isInteger(k) || k < 0) {
+    throw new Error("Error budget k must be a whole number of 0 or more.");
+  }
+  if (k >= m) {
+    throw new Error(
+      `Error budget k must be smaller than the pattern length (${m}).`
+    );
+  }
+  return k;
+};
+
+// Walk back through the DP columns from (m, end) to find where the match
+// starts and how the pattern lines up with the text. The alignment holds
+// { textIndex, patternIndex, op } pairs, with null opposite a gap. Diagonal
+// moves are tried first, so Hamming runs only ever take those.
+const traceBack = (columns, initialColumn, text, pattern, end) => {
+  const column = (c) => (c < 0 ? initialColumn : columns[c]);
+  const alignment = [];
+  let j = pattern.length;
+  let c = end;
+
+  while (j > 0) {
+    const value = column(c)[j];
+    const matched = c >= 0 && symbolMatches(pattern[j - 1], text[c]);
+    const diagonal = c >= 0 ? column(c - 1)[j - 1] : null;
+
+    if (diagonal !== null && value === diagonal + (matched ? 0 : 1)) {
+      alignment.unshift({
+        textIndex: c,
+        patternIndex: j - 1,
+        op: matched ? "match" : "substitute",
+      });
+      j--;
+      c--;
+    } else if (value === column(c)[j - 1] + 1) {
+      // Pattern character with nothing opposite it in the text
+      alignment.unshift({ textIndex: null, patternIndex: j - 1, op: "delete" });
+      j--;
+    } else {
+      // Extra text character inside the match
+      alignment.unshift({ textIndex: c, patternIndex: null, op: "insert" });
+      c--;
+    }
+  }
+
+  return { start: c + 1, alignment };
+};
+
+// Sellers' algorithm: the edit distance DP with a free starting point, so
+// row 0 is 0 in every column. One column is filled per text character and
+// C[m] <= k reports an approximate match ending there. With Hamming distance
+// only the diagonal (match / substitute) move exists.
+export const approximateStringMatching = (text, pattern, options = {}) => {
+  const steps = [];
+  const approximateMatches = [];
+  let totalComparisons = 0;
+  const history = [];
+  const m = pattern.length;
+  const hamming = options.distance === "hamming";
+  const k = toErrorBudget(
+    options.maxErrors ?? DEFAULT_APPROXIMATE_OPTIONS.maxErrors,
+    m
+  );
+  const reportProgress = createProgressReporter(
+    options.onProgress,
+    text.length
+  );
+
+  // Before any text: a prefix of length j needs j deletions (Levenshtein)
+  // or can't be aligned at all (Hamming, shown as null)
+  const initialColumn = Array.from({ length: m + 1 }, (_, j) =>
+    j === 0 ? 0 : hamming ? null : j
+  );
+  const columns = [];
+  let previous = initialColumn;
+
+  for (let i = 0; i < text.length; i++) {
+    reportProgress(i);
+    const column = [0];
+    const comparisons = [];
+
+    for (let j = 1; j <= m; j++) {
+      const match = symbolMatches(pattern[j - 1], text[i]);
+      comparisons.push({ textIndex: i, patternIndex: j - 1, match });
+      totalComparisons++;
+
+      const diagonal =
+        previous[j - 1] === null ? null : previous[j - 1] + (match ? 0 : 1);
+      column[j] = hamming
+        ? diagonal
+        : Math.min(diagonal, previous[j] + 1, column[j - 1] + 1);
+    }
+    columns.push(column);
+    previous = column;
+
+    const distance = column[m];
+    let description;
+    let reported = null;
+    if (distance !== null && distance <= k) {
+      const { start, alignment } = traceBack(
+        columns,
+        initialColumn,
+        text,
+        pattern,
+        i
+      );
+      reported = { start, end: i, distance, alignment };
+      approximateMatches.push(reported);
+      const errors = distance === 1 ? "1 error" : `${distance} errors`;
+      description = `C[${m}] = ${distance} <= k: match at ${start}..${i} with ${errors}!`;
+    } else if (distance === null) {
+      description = `Filled column ${i}, the whole pattern doesn't fit up to here yet.`;
+    } else {
+      description = `Filled column ${i}: C[${m}] = ${distance} > k, no match ends here.`;
+    }
+
+    history.push({
+      step: i,
+      comparisons: m,
+      totalComparisons: totalComparisons,
+    });
+
+    steps.push({
+      textIndex: i,
+      patternIndex: 0,
+      comparisons,
+      totalComparisons: totalComparisons,
+      description,
+      dpColumn: column,
+      ...(reported && { approximateMatch: reported }),
+      code: {
+        lines: [
+          ...(i === 0 ? ["init"] : []),
+          "for",
+          "top",
+          "inner",
+          "cell",
+          ...(reported ? ["report"] : []),
+          "swap",
+        ],
+        variables: { i, "T[i]": text[i], "C′[m]": distance ?? "∞", k },
+      },
+    });
+  }
+
+  return {
+    steps,
+    matches: [...new Set(approximateMatches.map((r) => r.start))].sort(
+      (a, b) => a - b
+    ),
+    comparisons: totalComparisons,
+    history,
+    auxiliary: {
+      distance: hamming ? "hamming" : "levenshtein",
+      maxErrors: k,
+      initialColumn,
+      approximateMatches,
+    },
+  };
+};
@@ -0,0 +1,41 @@
+import { describe, expect, it } from "vitest";
+import { approximateStringMatching } from "./approximate";
+
+const summary = (trace) =>
+  trace.auxiliary.approximateMatches.map(({ start, end, distance }) => [
+    start,
+    end,
+    distance,
+  ]);
+
+describe("approximateStringMatching", () => {
+  it("finds substitutions within Hamming distance k", () => {
+    const trace = approximateStringMatching("the cat sat on a mat", "cat", {
+      distance: "hamming",
+      maxErrors: "1",
+    });
+    expect(trace.matches).toEqual([4, 8, 17]);
+    expect(trace.comparisons).toBe(60);
+    expect(summary(trace)).toEqual([
+      [4, 6, 0],
+      [8, 10, 1],
+      [17, 19, 1],
+    ]);
+  });
+
+  it("also finds insertions and deletions within Levenshtein distance k", () => {
+    const trace = approximateStringMatching("the cat sat on a mat", "cat", {
+      distance: "levenshtein",
+      maxErrors: "1",
+    });
+    expect(trace.matches).toEqual([4, 8, 17]);
+    expect(trace.comparisons).toBe(60);
+    expect(summary(trace)).toEqual([
+      [4, 5, 1],
+      [4, 6, 0],
+      [4, 7, 1],
+      [8, 10, 1],
+      [17, 19, 1],
+    ]);
+  });
+});
@@ -0,0 +1,180 @@
+import { createProgressReporter } from "./progress";
+
+export const BOYER_MOORE_PSEUDOCODE = [
+  { id: "tables", text: "build the bad character and good suffix tables" },
+  { id: "init", text: "s ← 0" },
+  { id: "while", text: "while s ≤ n − m" },
+  { id: "start", text: "  j ← m − 1" },
+  { id: "compare", text: "  while j ≥ 0 and P[j] = T[s + j]" },
+  { id: "advance", text: "    j ← j − 1" },
+  { id: "full", text: "  if j < 0" },
+  { id: "report", text: "    report a match at s, s ← s + goodSuffix[0]" },
+  {
+    id: "shift",
+    text: "  else s ← s + max(badCharacterShift, goodSuffix[j + 1])",
+  },
+];
+
+// Bad character rule - last position of every character in the pattern
+export const computeBadCharacterTable = (pattern) => {
+  const table = {};
+  for (let i = 0; i < pattern.length; i++) {
+    table[pattern[i]] = i;
+  }
+  return table;
+};
+
+// Good suffix rule (strong version) - shift[j + 1] is how far to move the
+// pattern after a mismatch at pattern position j, shift[0] after a full match
+export const computeGoodSuffixTable = (pattern) => {
+  const m = pattern.length;
+  const shift = Array(m + 1).fill(0);
+  const borderPos = Array(m + 1).fill(0);
+
+  // Case 1: the matched suffix occurs somewhere else in the pattern
+  let i = m;
+  let j = m + 1;
+  borderPos[i] = j;
+  while (i > 0) {
+    while (j <= m && pattern[i - 1] !== pattern[j - 1]) {
+      if (shift[j] === 0) {
+        shift[j] = j - i;
+      }
+      j = borderPos[j];
+    }
+    i--;
+    j--;
+    borderPos[i] = j;
+  }
+
+  // Case 2: only a prefix of the pattern matches part of the suffix
+  j = borderPos[0];
+  for (i = 0; i <= m; i++) {
+    if (shift[i] === 0) {
+      shift[i] = j;
+    }
+    if (i === j) {
+      j = borderPos[j];
+    }
+  }
+
+  return shift;
+};
+
+// Boyer-Moore algorithm - compares right to left and skips ahead using
+// whichever of the two rules gives the bigger shift
+export const boyerMooreStringMatching = (text, pattern, options = {}) => {
+  const badCharacter = computeBadCharacterTable(pattern);
+  const goodSuffix = computeGoodSuffixTable(pattern);
+  const steps = [];
+  const foundMatches = [];
+  let totalComparisons = 0;
+  const history = [];
+
+  const m = pattern.length;
+  let s = 0; // current alignment of the pattern in the text
+  let step = 0;
+  const reportProgress = createProgressReporter(
+    options.onProgress,
+    text.length
+  );
+
+  while (s <= text.length - m) {
+    reportProgress(s);
+    const currentComparisons = [];
+    let stepComparisons = 0;
+    let j = m - 1;
+
+    // Compare right to left until we hit a mismatch
+    while (j >= 0) {
+      const match = text[s + j] === pattern[j];
+      currentComparisons.push({
+        textIndex: s + j,
+        patternIndex: j,
+        match,
+      });
+      totalComparisons++;
+      stepComparisons++;
+
+      if (!match) break;
+      j--;
+    }
+
+    let shiftInfo;
+    let description;
+
+    if (j < 0) {
+      // Whole pattern matched, slide by the full-match good suffix shift
+      foundMatches.push(s);
+      shiftInfo = {
+        rule: "good-suffix",
+        shift: goodSuffix[0],
+        badCharacterShift: null,
+        goodSuffixShift: goodSuffix[0],
+      };
+      description = `Match found at position ${s}! Good suffix rule shifts pattern by ${goodSuffix[0]}.`;
+    } else {
+      const mismatched = text[s + j];
+      const lastOccurrence =
+        badCharacter[mismatched] !== undefined ? badCharacter[mismatched] : -1;
+      const badCharacterShift = Math.max(1, j - lastOccurrence);
+      const goodSuffixShift = goodSuffix[j + 1];
+      const useGoodSuffix = goodSuffixShift > badCharacterShift;
+
+      shiftInfo = {
+        rule: useGoodSuffix ? "good-suffix" : "bad-character",
+        shift: Math.max(badCharacterShift, goodSuffixShift),
+        badCharacterShift,
+        goodSuffixShift,
+        mismatchedChar: mismatched,
+      };
+      description = useGoodSuffix
+        ? `Mismatch at position ${
+            s + j
+          }, good suffix rule shifts pattern by ${goodSuffixShift}.`
+        : `Mismatch on '${mismatched}' at position ${
+            s + j
+          }, bad character rule shifts pattern by ${badCharacterShift}.`;
+    }
+
+    steps.push({
+      textIndex: s,
+      patternIndex: m - 1,
+      comparisons: [...currentComparisons],
+      totalComparisons: totalComparisons,
+      description,
+      shiftInfo,
+      code: {
+        lines: [
+          ...(s === 0 ? ["tables", "init"] : []),
+          "while",
+          "start",
+          "compare",
+          ...(j < m - 1 ? ["advance"] : []),
+          "full",
+          j < 0 ? "report" : "shift",
+        ],
+        variables: { s, j, shift: shiftInfo.shift },
+      },
+    });
+
+    history.push({
+      step: step++,
+      comparisons: stepComparisons,
+      totalComparisons: totalComparisons,
+    });
+
+    s += shiftInfo.shift;
+  }
+
+  return {
+    steps,
+    matches: foundMatches,
+    comparisons: totalComparisons,
+    history,
+    auxiliary: {
+      badCharacterTable: badCharacter,
+      goodSuffixTable: goodSuffix,
+    },
+  };
+};
@@ -0,0 +1,31 @@
+import { describe, expect, it } from "vitest";
+import {
+  boyerMooreStringMatching,
+  computeBadCharacterTable,
+  computeGoodSuffixTable,
+} from "./boyerMoore";
+
+describe("Boyer-Moore tables", () => {
+  it("keeps the last position of every character", () => {
+    expect(computeBadCharacterTable("abcab")).toEqual({ a: 3, b: 4, c: 2 });
+  });
+
+  it("shifts by the strong good suffix rule", () => {
+    expect(computeGoodSuffixTable("abcab")).toEqual([3, 3, 3, 3, 5, 1]);
+  });
+});
+
+describe("boyerMooreStringMatching", () => {
+  it.each([
+    ["abababcabab", "abab", [0, 2, 7], 16],
+    ["aaaaaaaaab", "aaab", [6], 10],
+    ["the quick brown fox", "fox", [16], 9],
+    ["GCATCGCAGAGAGTATACAGTACG", "GCAGAGAG", [5], 17],
+    ["abc", "d", [], 3],
+    ["ab", "abc", [], 0],
+  ])("finds %j in %j", (text, pattern, matches, comparisons) => {
+    const trace = boyerMooreStringMatching(text, pattern);
+    expect(trace.matches).toEqual(matches);
+    expect(trace.comparisons).toBe(comparisons);
+  });
+});
@@ -0,0 +1,209 @@
+// Counting-only versions of the exact matchers for the benchmark. They do the
+// same comparisons as the traced versions (so the counts agree with the
+// visualizer) but don't record any steps. Literal patterns only, and no
+// matching options - text and pattern are plain arrays of characters.
+// Each returns { matches, comparisons, preprocessingComparisons }.
+import {
+  DEFAULT_RABIN_KARP_OPTIONS,
+  calculateHash,
+  modPow,
+  toBigInt,
+} from "./rabinKarp";
+import { computeBadCharacterTable, computeGoodSuffixTable } from "./boyerMoore";
+import { buildCharacterMasks } from "./shiftAnd";
+import { symbolCode } from "./matching";
+
+const countNaive = (text, pattern) => {
+  const matches = [];
+  let comparisons = 0;
+  for (let i = 0; i <= text.length - pattern.length; i++) {
+    let j = 0;
+    while (j < pattern.length) {
+      comparisons++;
+      if (text[i + j] !== pattern[j]) break;
+      j++;
+    }
+    if (j === pattern.length) matches.push(i);
+  }
+  return { matches, comparisons, preprocessingComparisons: 0 };
+};
+
+const countKMP = (text, pattern) => {
+  const m = pattern.length;
+  const lps = Array(m).fill(0);
+  let preprocessingComparisons = 0;
+  for (let i = 1, len = 0; i < m; ) {
+    preprocessingComparisons++;
+    if (pattern[i] === pattern[len]) {
+      lps[i++] = ++len;
+    } else if (len !== 0) {
+      len = lps[len - 1];
+    } else {
+      lps[i++] = 0;
+    }
+  }
+
+  const matches = [];
+  let comparisons = 0;
+  let i = 0;
+  let j = 0;
+  while (i < text.length) {
+    comparisons++;
+    if (text[i] === pattern[j] && j === m - 1) {
+      matches.push(i - j);
+      i++;
+      j = lps[j];
+    } else if (text[i] === pattern[j]) {
+      i++;
+      j++;
+    } else if (j !== 0) {
+      j = lps[j - 1];
+    } else {
+      i++;
+    }
+  }
+  return { matches, comparisons, preprocessingComparisons };
+};
+
+const countRabinKarp = (text, pattern, options = {}) => {
+  const settings = { ...DEFAULT_RABIN_KARP_OPTIONS, ...options };
+  const base = toBigInt(settings.base, "base");
+  const modulus = toBigInt(settings.modulus, "modulus");
+  const m = pattern.length;
+  const h = modPow(base, BigInt(Math.max(m - 1, 0)), modulus);
+  const patternHash = calculateHash(pattern, 0, m, base, modulus);
+  let textHash = calculateHash(
+    text,
+    0,
+    Math.min(m, text.length),
+    base,
+    modulus
+  );
+
+  const matches = [];
+  let comparisons = 0;
+  for (let i = 0; i <= text.length - m; i++) {
+    // One for the hash, then character by character on a hash hit
+    comparisons++;
+    if (textHash === patternHash) {
+      let j = 0;
+      while (j < m) {
+        comparisons++;
+        if (text[i + j] !== pattern[j]) break;
+        j++;
+      }
+      if (j === m) matches.push(i);
+    }
+    if (i < text.length - m) {
+      const outgoing = symbolCode(text[i]);
+      const incoming = symbolCode(text[i + m]);
+      const afterRemove =
+        (((textHash - outgoing * h) % modulus) + modulus) % modulus;
+      textHash = (afterRemove * base + incoming) % modulus;
+    }
+  }
+  return { matches, comparisons, preprocessingComparisons: 0 };
+};
+
+const countBoyerMoore = (text, pattern) => {
+  const badCharacter = computeBadCharacterTable(pattern);
+  const goodSuffix = computeGoodSuffixTable(pattern);
+  const m = pattern.length;
+  const matches = [];
+  let comparisons = 0;
+  let s = 0;
+  while (s <= text.length - m) {
+    let j = m - 1;
+    while (j >= 0) {
+      comparisons++;
+      if (text[s + j] !== pattern[j]) break;
+      j--;
+    }
+    if (j < 0) {
+      matches.push(s);
+      s += goodSuffix[0];
+    } else {
+      const lastOccurrence = badCharacter[text[s + j]] ?? -1;
+      s += Math.max(j - lastOccurrence, 1, goodSuffix[j + 1]);
+    }
+  }
+  return { matches, comparisons, preprocessingComparisons: 0 };
+};
+
+// Shift-And and Shift-Or both do one word operation per text character
+const countShiftAnd = (text, pattern) => {
+  const m = pattern.length;
+  const masks = buildCharacterMasks(text, pattern);
+  const all = (1n << BigInt(m)) - 1n;
+  const accept = 1n << BigInt(m - 1);
+  const matches = [];
+  let state = 0n;
+  for (let i = 0; i < text.length; i++) {
+    state = ((state << 1n) | 1n) & all & masks.get(text[i]);
+    if (state & accept) matches.push(i - m + 1);
+  }
+  return { matches, comparisons: text.length, preprocessingComparisons: 0 };
+};
+
+const countShiftOr = (text, pattern) => {
+  const m = pattern.length;
+  const all = (1n << BigInt(m)) - 1n;
+  const masks = new Map(
+    [...buildCharacterMasks(text, pattern)].map(([character, mask]) => [
+      character,
+      ~mask & all,
+    ])
+  );
+  const accept = 1n << BigInt(m - 1);
+  const matches = [];
+  let state = all;
+  for (let i = 0; i < text.length; i++) {
+    state = ((state << 1n) | masks.get(text[i])) & all;
+    if ((state & accept) === 0n) matches.push(i - m + 1);
+  }
+  return { matches, comparisons: text.length, preprocessingComparisons: 0 };
+};
+
+// Comparisons up to the separator build the pattern's own Z-values
+const countZ = (text, pattern) => {
+  const m = pattern.length;
+  const combined = [...pattern, null, ...text];
+  const size = combined.length;
+  const z = Array(size).fill(0);
+  const matches = [];
+  let comparisons = 0;
+  let preprocessingComparisons = 0;
+  let left = 0;
+  let right = 0;
+  for (let k = 1; k < size; k++) {
+    let value = k <= right ? Math.min(z[k - left], right - k + 1) : 0;
+    let compared = 0;
+    while (k + value < size) {
+      compared++;
+      if (combined[value] !== combined[k + value]) break;
+      value++;
+    }
+    z[k] = value;
+    if (value > 0 && k + value - 1 > right) {
+      left = k;
+      right = k + value - 1;
+    }
+    if (k > m) {
+      comparisons += compared;
+      if (value === m) matches.push(k - m - 1);
+    } else {
+      preprocessingComparisons += compared;
+    }
+  }
+  return { matches, comparisons, preprocessingComparisons };
+};
+
+export const COUNTING_MATCHERS = {
+  naive: countNaive,
+  kmp: countKMP,
+  "rabin-karp": countRabinKarp,
+  "boyer-moore": countBoyerMoore,
+  "shift-and": countShiftAnd,
+  "shift-or": countShiftOr,
+  "z-algorithm": countZ,
+};
@@ -0,0 +1,32 @@
+import { describe, expect, it } from "vitest";
+import { COUNTING_MATCHERS } from "./counting";
+import { runAlgorithm } from ".";
+
+const INPUTS = [
+  ["abababcabab", "abab"],
+  ["aaaaaaaaab", "aaab"],
+  ["the quick brown fox", "fox"],
+  ["GCATCGCAGAGAGTATACAGTACG", "GCAGAGAG"],
+  ["mississippi", "issi"],
+  ["abc", "d"],
+  ["ab", "abc"],
+];
+
+describe("COUNTING_MATCHERS", () => {
+  // The benchmark's numbers are only worth anything if they are the ones the
+  // visualizer shows
+  it.each(Object.keys(COUNTING_MATCHERS))(
+    "%s counts the same as the traced version",
+    (algorithm) => {
+      for (const [text, pattern] of INPUTS) {
+        const trace = runAlgorithm(algorithm, text, pattern);
+        const counted = COUNTING_MATCHERS[algorithm]([...text], [...pattern]);
+        expect(counted.matches).toEqual(trace.matches);
+        expect(counted.comparisons).toBe(trace.comparisons);
+        expect(counted.preprocessingComparisons).toBe(
+          trace.auxiliary.preprocessingComparisons ?? 0
+        );
+      }
+    }
+  );
+});
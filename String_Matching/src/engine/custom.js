@@ -0,0 +1,137 @@
+// Step generators written in the plugin editor. A generator is a function*
+// taking (text, pattern) - both arrays of units - that yields one step per
+// animation frame:
+//
+//   {
+//     textIndex:    number - where the pattern sits under the text
+//     comparisons?: { textIndex, patternIndex, match }[]
+//                          - character comparisons made in this step
+//     description?: string
+//     match?:       number - start of a match found in this step
+//   }
+//
+// customStringMatching() checks every step, fills in the running totals
+// and builds a normal trace from them. It stops the generator once it
+// has yielded stepLimit steps, so a loop that never ends can't run away
+// with the memory - the sandbox worker it runs in takes care of loops that
+// never yield.
+export const DEFAULT_STEP_LIMIT = 5000;
+export const MAX_STEP_LIMIT = 100000;
+// Milliseconds a run may take before its worker is killed
+export const SANDBOX_TIME_LIMIT = 5000;
+
+export const toStepLimit = (value) => {
+  const limit = Number(value);
+  if (
+    String(value).trim() === "" ||
+    !Number.isInteger(limit) ||
+    limit < 1 ||
+    limit > MAX_STEP_LIMIT
+  ) {
+    throw new Error(
+      `Step limit must be a whole number from 1 to ${MAX_STEP_LIMIT}.`
+    );
+  }
+  return limit;
+};
+
+const isPosition = (value) => Number.isInteger(value) && value >= 0;
+
+// One yielded value as a trace step, or an error saying what's wrong with it
+const toStep = (raw, index) => {
+  const where = `Step ${index + 1}`;
+  if (!raw || typeof raw !== "object") {
+    throw new Error(`${where} isn't an object.`);
+  }
+  const textIndex = raw.textIndex ?? 0;
+  if (!isPosition(textIndex)) {
+    throw new Error(`${where}: textIndex must be a position in the text.`);
+  }
+  const comparisons = raw.comparisons ?? [];
+  if (!Array.isArray(comparisons)) {
+    throw new Error(`${where}: comparisons must be an array.`);
+  }
+  comparisons.forEach((c) => {
+    if (!c || !isPosition(c.textIndex) || !isPosition(c.patternIndex)) {
+      throw new Error(
+        `${where}: every comparison needs a textIndex and a patternIndex.`
+      );
+    }
+  });
+  if (raw.match !== undefined && !isPosition(raw.match)) {
+    throw new Error(`${where}: match must be a position in the text.`);
+  }
+
+  return {
+    textIndex,
+    patternIndex: 0,
+    comparisons: comparisons.map(({ textIndex, patternIndex, match }) => ({
+      textIndex,
+      patternIndex,
+      match: Boolean(match),
+    })),
+    description: typeof raw.description === "string" ? raw.description : where,
+    ...(raw.match !== undefined && { customMatch: raw.match }),
+  };
+};
+
+export const customStringMatching = (
+  generator,
+  text,
+  pattern,
+  options = {}
+) => {
+  const stepLimit = toStepLimit(options.stepLimit ?? DEFAULT_STEP_LIMIT);
+  const steps = [];
+  const history = [];
+  const matches = new Set();
+  let totalComparisons = 0;
+
+  if (typeof generator !== "function") {
+    throw new Error("The plugin source must be a function* (text, pattern).");
+  }
+  const iterator = generator(text, pattern);
+  if (!iterator || typeof iterator.next !== "function") {
+    throw new Error(
+      "The step generator has to be a generator function (function*) that yields its steps."
+    );
+  }
+
+  for (;;) {
+    let next;
+    try {
+      next = iterator.next();
+    } catch (err) {
+      throw new Error(
+        `The step generator failed after ${steps.length} ${
+          steps.length === 1 ? "step" : "steps"
+        }: ${err.message}`
+      );
+    }
+    if (next.done) break;
+    if (steps.length === stepLimit) {
+      throw new Error(
+        `The step generator was stopped after ${stepLimit} steps - raise the step limit or check for a loop that never ends.`
+      );
+    }
+
+    const step = toStep(next.value, steps.length);
+    totalComparisons += step.comparisons.length;
+    step.totalComparisons = totalComparisons;
+    if (step.customMatch !== undefined) matches.add(step.customMatch);
+    history.push({
+      step: steps.length,
+      comparisons: step.comparisons.length,
+      totalComparisons,
+    });
+    steps.push(step);
+  }
+
+  return {
+    steps,
+    matches: [...matches].sort((a, b) => a - b),
+    comparisons: totalComparisons,
+    history,
+    auxiliary: { stepLimit },
+  };
+};
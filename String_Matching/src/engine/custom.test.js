@@ -0,0 +1,63 @@
+import { describe, expect, it } from "vitest";
+import { customStringMatching } from "./custom";
+import { naiveStringMatching } from "./naive";
+
+// The naive algorithm as a step generator, like the editor's template
+function* naive(text, pattern) {
+  for (let i = 0; i + pattern.length <= text.length; i++) {
+    const comparisons = [];
+    let j = 0;
+    while (j < pattern.length) {
+      const match = text[i + j] === pattern[j];
+      comparisons.push({ textIndex: i + j, patternIndex: j, match });
+      if (!match) break;
+      j++;
+    }
+    yield {
+      textIndex: i,
+      comparisons,
+      ...(j === pattern.length && { match: i }),
+    };
+  }
+}
+
+describe("customStringMatching", () => {
+  it("turns the yielded steps into a trace", () => {
+    const trace = customStringMatching(naive, "abababcabab", "abab");
+    const reference = naiveStringMatching("abababcabab", "abab");
+    expect(trace.matches).toEqual([0, 2, 7]);
+    expect(trace.comparisons).toBe(reference.comparisons);
+    expect(trace.steps).toHaveLength(8);
+  });
+
+  it("stops a generator that yields past the step limit", () => {
+    function* forever() {
+      for (;;) yield { textIndex: 0 };
+    }
+    expect(() =>
+      customStringMatching(forever, "abc", "a", { stepLimit: 10 })
+    ).toThrow("stopped after 10 steps");
+  });
+
+  it("rejects plain functions and malformed steps", () => {
+    expect(() => customStringMatching(() => [], "abc", "a")).toThrow(
+      "generator function"
+    );
+    function* bad() {
+      yield { textIndex: -1 };
+    }
+    expect(() => customStringMatching(bad, "abc", "a")).toThrow(
+      "Step 1: textIndex must be a position in the text."
+    );
+  });
+
+  it("reports errors thrown by the generator", () => {
+    function* broken() {
+      yield { textIndex: 0 };
+      throw new Error("oops");
+    }
+    expect(() => customStringMatching(broken, "abc", "a")).toThrow(
+      "failed after 1 step: oops"
+    );
+  });
+});
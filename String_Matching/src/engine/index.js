@@ -0,0 +1,417 @@
+// UI-free trace engine for the string matching algorithms.
+//
+// Every algorithm takes (text, pattern, options) and returns a plain trace.
+// Multi-pattern algorithms (Aho-Corasick) take an array of patterns instead.
+//
+//   {
+//     steps:       Step[]     - one entry per animation frame (see below)
+//     matches:     number[]   - start positions of every occurrence, ascending
+//     comparisons: number     - total comparisons performed
+//     history:     { step, comparisons, totalComparisons }[]
+//                             - comparisons made per step, plus running total
+//     auxiliary:   object     - algorithm specific data (e.g. KMP prefixTable)
+//     truncated?:  { totalSteps } - set when steps and history were cut short
+//                             (see truncate.js), matches and comparisons
+//                             still cover the whole run
+//   }
+//
+// A Step looks like:
+//
+//   {
+//     textIndex:        number - text position the pattern is aligned with
+//     patternIndex:     number - pattern position the step starts from
+//     comparisons:      { textIndex, patternIndex, match }[]
+//                              - character comparisons made in this step
+//     carried?:         number - KMP only, how many pattern characters from
+//                                textIndex on are already known to match;
+//                                stepComparisons() lists them as comparisons
+//     totalComparisons: number - running total after this step
+//     description:      string - human readable summary of the step
+//     code?:            { lines, variables }
+//                              - pseudocode line ids this step ran (see
+//                                BUILTIN_ALGORITHMS) and the loop variables
+//                                it saw
+//     phase?:           "preprocessing" | "search"
+//                              - set by algorithms that animate preprocessing
+//     prefixUse?:       { oldJ, newJ }  - KMP only, prefix table shift
+//     pointers?:        { i, j }  - KMP only, text and pattern positions
+//                                compared in this step
+//     lpsBuild?:        { i, len, compared, match, fallback, filled, table }
+//                              - KMP preprocessing only, prefix table so far
+//     hashInfo?:        { patternHash, textHash, hashMatch, spurious?,
+//                         rollingUpdate, freshHash?, verified? }
+//                              - Rabin-Karp only, hashes as decimal strings
+//     shiftInfo?:       { rule, shift, badCharacterShift, goodSuffixShift }
+//                              - Boyer-Moore only, which rule moved the pattern
+//     automaton?:       { fromState, state, failureTransitions, reported }
+//                              - Aho-Corasick only, reported holds
+//                                { patternIndex, position } occurrences
+//     bitState?:        { character, mask, previous, state }
+//                              - Shift-And / Shift-Or only, bit vectors as
+//                                binary strings (pattern position 0 rightmost)
+//     zBox?:            { k, value, inherited, previousLeft, previousRight,
+//                         left, right, compared }
+//                              - Z-algorithm only, positions k, [L, R] and
+//                                compared are indices into pattern + '$' + text
+//     dpColumn?:        number[] - Approximate only, DP column m + 1 long
+//                                after reading text[textIndex] (null where a
+//                                Hamming alignment is impossible)
+//     approximateMatch?: { start, end, distance, alignment }
+//                              - Approximate only, match ending at this step
+//     suffixBuild?:     { length, order, ranks }
+//                              - Suffix array construction, suffixes sorted
+//                                by their first `length` characters
+//     lcpStep?:         { suffix, rank, previous, value }
+//                              - Suffix array construction, one LCP entry
+//     suffixSearch?:    { bound, low, high, mid, outcome, next }
+//                              - Suffix array query, binary search interval
+//                                [low, high) before and after the probe
+//     nfaState?:        { character, previous, fired, threads }
+//                              - Regex only, NFA states active before reading
+//                                the character, the transitions it took and
+//                                the { state, start } threads active after
+//     regexMatch?:      { start, end } - Regex only, match ending at this step
+//     customMatch?:     number - custom step generators only (see ./custom),
+//                                start of a match found in this step
+//     stream?:          { chunk, arrival?, spansBorder? }
+//                              - streaming mode only, the chunk being read;
+//                                arrival on the step where it arrives,
+//                                spansBorder when the match reported here
+//                                started in an earlier chunk
+//   }
+//
+// runAlgorithm() and runMatcher() throw on an empty pattern (or an empty
+// entry in a pattern list) instead of returning a trace.
+//
+// Text and pattern may also be arrays of units instead of strings.
+// runAlgorithm() additionally takes options.matching (see ./matching): it then
+// splits the inputs into units itself, and the trace also carries
+//
+//     input:        { text, pattern } - display string per unit, for the grid
+//     matchOffsets: { start, end }[]  - every match as a UTF-16 span of the
+//                                       original text
+//
+// Indices in steps and matches always count units, not UTF-16 code units.
+//
+// options.patternMode = "wildcard" parses the pattern for ? and [classes]
+// (see ./patternSyntax) - only algorithms with "wildcard" in their
+// patternModes accept that, and input.pattern then holds one label per
+// pattern element. patternMode = "regex" is for the algorithms with "regex"
+// in theirs, which parse the pattern themselves.
+//
+// options.streaming = true feeds the text to STREAMING_ALGORITHMS in chunks
+// of options.chunkSize units (see ./streaming), adding auxiliary.stream.
+//
+// Every algorithm also accepts options.onProgress(fraction), called now and
+// then during long runs (the trace worker uses it to report progress).
+//
+// Custom step generators written in the plugin editor are turned into
+// traces by customStringMatching() (see ./custom) and run with runMatcher().
+//
+// Nothing in here touches React, so traces can be reused from grading
+// scripts, tests or other views.
+import { naiveStringMatching, NAIVE_PSEUDOCODE } from "./naive";
+import {
+  shiftAndStringMatching,
+  buildCharacterMasks,
+  SHIFT_AND_PSEUDOCODE,
+} from "./shiftAnd";
+import { shiftOrStringMatching, SHIFT_OR_PSEUDOCODE } from "./shiftOr";
+import { zStringMatching, Z_PSEUDOCODE } from "./zAlgorithm";
+import {
+  suffixArrayStringMatching,
+  buildSuffixArray,
+  computeLCPArray,
+  buildSuffixTree,
+  SUFFIX_ARRAY_PSEUDOCODE,
+} from "./suffixArray";
+import {
+  approximateStringMatching,
+  DEFAULT_APPROXIMATE_OPTIONS,
+  APPROXIMATE_PSEUDOCODE,
+} from "./approximate";
+import {
+  kmpStringMatching,
+  computeKMPPrefixTable,
+  KMP_PSEUDOCODE,
+} from "./kmp";
+import {
+  rabinKarpStringMatching,
+  DEFAULT_RABIN_KARP_OPTIONS,
+  RABIN_KARP_PSEUDOCODE,
+} from "./rabinKarp";
+import {
+  boyerMooreStringMatching,
+  computeBadCharacterTable,
+  computeGoodSuffixTable,
+  BOYER_MOORE_PSEUDOCODE,
+} from "./boyerMoore";
+import { regexStringMatching, parseRegex, REGEX_PSEUDOCODE } from "./regex";
+import {
+  customStringMatching,
+  DEFAULT_STEP_LIMIT,
+  SANDBOX_TIME_LIMIT,
+  toStepLimit,
+} from "./custom";
+import {
+  streamingStringMatching,
+  STREAMING_ALGORITHMS,
+  DEFAULT_STREAMING_OPTIONS,
+} from "./streaming";
+import { prepareInput, DEFAULT_MATCHING_OPTIONS } from "./matching";
+import { parsePattern, describePattern } from "./patternSyntax";
+import {
+  ahoCorasickStringMatching,
+  buildAhoCorasickAutomaton,
+  AHO_CORASICK_PSEUDOCODE,
+} from "./ahoCorasick";
+
+// Every algorithm the engine can run, in the order the visualizer shows
+// them. The built-in plugins (see ../plugins/builtins) are these plus their
+// options, panels and explanation.
+//
+//   {
+//     id:            string   - what runAlgorithm() is called with
+//     name:          string   - display name
+//     generator:     (text, pattern, options) => trace
+//     pseudocode:    { id, text }[] - lines indented with spaces, steps refer
+//                                     to them by id in step.code.lines
+//     patternModes?: string[] - pattern modes it can run, ["literal"] if unset
+//     multiPattern?: true     - searches for a list of patterns at once
+//     textScan?:     true     - reads the text one character per step instead
+//                              of sliding the pattern along it, so there's no
+//                              pattern window to draw
+//   }
+export const BUILTIN_ALGORITHMS = [
+  {
+    id: "naive",
+    name: "Naive",
+    generator: naiveStringMatching,
+    pseudocode: NAIVE_PSEUDOCODE,
+    patternModes: ["literal", "wildcard"],
+  },
+  {
+    id: "kmp",
+    name: "KMP",
+    generator: kmpStringMatching,
+    pseudocode: KMP_PSEUDOCODE,
+  },
+  {
+    id: "rabin-karp",
+    name: "Rabin-Karp",
+    generator: rabinKarpStringMatching,
+    pseudocode: RABIN_KARP_PSEUDOCODE,
+  },
+  {
+    id: "boyer-moore",
+    name: "Boyer-Moore",
+    generator: boyerMooreStringMatching,
+    pseudocode: BOYER_MOORE_PSEUDOCODE,
+  },
+  {
+    id: "aho-corasick",
+    name: "Aho-Corasick",
+    generator: ahoCorasickStringMatching,
+    pseudocode: AHO_CORASICK_PSEUDOCODE,
+    multiPattern: true,
+    textScan: true,
+  },
+  {
+    id: "shift-and",
+    name: "Shift-And",
+    generator: shiftAndStringMatching,
+    pseudocode: SHIFT_AND_PSEUDOCODE,
+    patternModes: ["literal", "wildcard"],
+  },
+  {
+    id: "shift-or",
+    name: "Shift-Or",
+    generator: shiftOrStringMatching,
+    pseudocode: SHIFT_OR_PSEUDOCODE,
+    patternModes: ["literal", "wildcard"],
+  },
+  {
+    id: "z-algorithm",
+    name: "Z-Algorithm",
+    generator: zStringMatching,
+    pseudocode: Z_PSEUDOCODE,
+  },
+  {
+    id: "approximate",
+    name: "Approximate (Sellers)",
+    generator: approximateStringMatching,
+    pseudocode: APPROXIMATE_PSEUDOCODE,
+    patternModes: ["literal", "wildcard"],
+    textScan: true,
+  },
+  {
+    id: "suffix-array",
+    name: "Suffix Array",
+    generator: suffixArrayStringMatching,
+    pseudocode: SUFFIX_ARRAY_PSEUDOCODE,
+  },
+  {
+    id: "regex",
+    name: "Regex (Thompson NFA)",
+    generator: regexStringMatching,
+    pseudocode: REGEX_PSEUDOCODE,
+    patternModes: ["regex"],
+    textScan: true,
+  },
+];
+
+export const findAlgorithm = (id) =>
+  BUILTIN_ALGORITHMS.find((algorithm) => algorithm.id === id);
+
+// Pattern modes an algorithm (or a plugin, which has the same fields) runs
+export const patternModesOf = (algorithm) =>
+  algorithm.patternModes ?? ["literal"];
+
+// Can this algorithm run a pattern written in this pattern mode?
+export const supportsPatternMode = (id, patternMode) => {
+  const algorithm = findAlgorithm(id);
+  return Boolean(algorithm) && patternModesOf(algorithm).includes(patternMode);
+};
+
+// A step's comparisons with the characters it carried spelled out in front
+// (as { textIndex, patternIndex, match: true, carried: true }), for drawing
+export const stepComparisons = (step) => {
+  const comparisons = step.comparisons || [];
+  if (!step.carried) return comparisons;
+  const carried = Array.from({ length: step.carried }, (_, k) => ({
+    textIndex: step.textIndex + k,
+    patternIndex: k,
+    match: true,
+    carried: true,
+  }));
+  return [...carried, ...comparisons];
+};
+
+// Run one of the BUILTIN_ALGORITHMS by id and return its trace
+export const runAlgorithm = (algorithm, text, pattern, options = {}) => {
+  const entry = findAlgorithm(algorithm);
+  if (!entry) {
+    throw new Error(`Unknown algorithm: ${algorithm}`);
+  }
+  const matcher =
+    options.streaming && STREAMING_ALGORITHMS.includes(algorithm)
+      ? (t, p, o) => streamingStringMatching(algorithm, t, p, o)
+      : entry.generator;
+  const patternMode = options.patternMode ?? "literal";
+  const patternModes = patternModesOf(entry);
+  if (!patternModes.includes(patternMode)) {
+    throw new Error(
+      patternModes.includes("regex")
+        ? `${entry.name} only supports regular expressions.`
+        : patternMode === "regex"
+        ? `${entry.name} doesn't support regular expressions.`
+        : `${entry.name} only supports literal patterns.`
+    );
+  }
+  return runMatcher(matcher, text, pattern, options);
+};
+
+// Run any (text, pattern, options) matcher the way runAlgorithm() runs the
+// built-in ones, e.g. a step generator from the plugin editor
+export const runMatcher = (matcher, text, pattern, options = {}) => {
+  // An empty pattern occurs everywhere or nowhere depending on who you ask,
+  // so none of the algorithms get to decide
+  const patterns = Array.isArray(pattern) ? pattern : [pattern];
+  if (patterns.length === 0 || patterns.some((p) => p.length === 0)) {
+    throw new Error("Pattern must not be empty.");
+  }
+
+  const wildcard = options.patternMode === "wildcard";
+  if (!options.matching && !wildcard) {
+    return matcher(text, pattern, options);
+  }
+
+  // Split everything into comparable units first
+  const preparedText = prepareInput(text, options.matching);
+  const multiPattern = Array.isArray(pattern);
+  const preparedPatterns = (multiPattern ? pattern : [pattern]).map((p) =>
+    prepareInput(p, options.matching)
+  );
+  // Wildcard patterns become one parsed element per unit they consume
+  const patternUnits = preparedPatterns.map((p) =>
+    wildcard ? parsePattern(p) : p.keys
+  );
+  const patternLabels = preparedPatterns.map((p, k) =>
+    wildcard ? patternUnits[k].map((element) => element.label) : p.display
+  );
+  const trace = matcher(
+    preparedText.keys,
+    multiPattern ? patternUnits : patternUnits[0],
+    options
+  );
+
+  // Map unit positions back to spans of the original text
+  const toOffsets = (position, length) => ({
+    start: preparedText.starts[position],
+    end: preparedText.ends[position + Math.max(length, 1) - 1],
+  });
+  let matchOffsets;
+  if (multiPattern) {
+    matchOffsets = trace.auxiliary.occurrences.map(
+      ({ patternIndex, position }) =>
+        toOffsets(position, patternUnits[patternIndex].length)
+    );
+  } else if (
+    trace.auxiliary.approximateMatches ||
+    trace.auxiliary.regexMatches
+  ) {
+    // Approximate and regex matches vary in length
+    matchOffsets = (
+      trace.auxiliary.approximateMatches || trace.auxiliary.regexMatches
+    ).map(({ start, end }) => toOffsets(start, end - start + 1));
+  } else {
+    matchOffsets = trace.matches.map((position) =>
+      toOffsets(position, patternUnits[0].length)
+    );
+  }
+
+  return {
+    ...trace,
+    input: {
+      text: preparedText.display,
+      pattern: multiPattern ? patternLabels : patternLabels[0],
+    },
+    matchOffsets,
+  };
+};
+
+export {
+  prepareInput,
+  DEFAULT_MATCHING_OPTIONS,
+  parsePattern,
+  describePattern,
+  naiveStringMatching,
+  kmpStringMatching,
+  computeKMPPrefixTable,
+  rabinKarpStringMatching,
+  DEFAULT_RABIN_KARP_OPTIONS,
+  boyerMooreStringMatching,
+  computeBadCharacterTable,
+  computeGoodSuffixTable,
+  ahoCorasickStringMatching,
+  buildAhoCorasickAutomaton,
+  shiftAndStringMatching,
+  buildCharacterMasks,
+  approximateStringMatching,
+  DEFAULT_APPROXIMATE_OPTIONS,
+  suffixArrayStringMatching,
+  buildSuffixArray,
+  computeLCPArray,
+  buildSuffixTree,
+  zStringMatching,
+  shiftOrStringMatching,
+  regexStringMatching,
+  parseRegex,
+  streamingStringMatching,
+  STREAMING_ALGORITHMS,
+  DEFAULT_STREAMING_OPTIONS,
+  customStringMatching,
+  DEFAULT_STEP_LIMIT,
+  SANDBOX_TIME_LIMIT,
+  toStepLimit,
+};
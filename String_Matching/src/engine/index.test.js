@@ -0,0 +1,108 @@
+import { describe, expect, it } from "vitest";
+import { runAlgorithm, BUILTIN_ALGORITHMS, patternModesOf } from ".";
+
+// The algorithms that report exactly the occurrences of one pattern
+const EXACT_ALGORITHMS = [
+  "naive",
+  "kmp",
+  "rabin-karp",
+  "boyer-moore",
+  "shift-and",
+  "shift-or",
+  "z-algorithm",
+  "suffix-array",
+];
+
+// Every start position, the slow way
+const occurrences = (text, pattern) => {
+  const positions = [];
+  for (let i = 0; i + pattern.length <= text.length; i++) {
+    if (text.startsWith(pattern, i)) positions.push(i);
+  }
+  return positions;
+};
+
+describe("runAlgorithm", () => {
+  it.each(EXACT_ALGORITHMS)("%s agrees with a plain search", (algorithm) => {
+    for (const [text, pattern] of [
+      ["abracadabra", "abra"],
+      ["aaaaaa", "aa"],
+      ["mississippi", "issi"],
+      ["abc", "abcd"],
+    ]) {
+      expect(runAlgorithm(algorithm, text, pattern).matches).toEqual(
+        occurrences(text, pattern)
+      );
+    }
+  });
+
+  it.each(BUILTIN_ALGORITHMS.map(({ id }) => id))(
+    "%s rejects an empty pattern",
+    (algorithm) => {
+      const entry = BUILTIN_ALGORITHMS.find(({ id }) => id === algorithm);
+      const options = { patternMode: patternModesOf(entry)[0] };
+      expect(() => runAlgorithm(algorithm, "abc", "", options)).toThrow(
+        "Pattern must not be empty."
+      );
+    }
+  );
+
+  it.each(
+    BUILTIN_ALGORITHMS.filter(({ multiPattern }) => multiPattern).map(
+      ({ id }) => id
+    )
+  )("%s rejects empty pattern lists and empty entries", (algorithm) => {
+    expect(() => runAlgorithm(algorithm, "abc", [])).toThrow(
+      "Pattern must not be empty."
+    );
+    expect(() => runAlgorithm(algorithm, "abc", ["a", ""])).toThrow(
+      "Pattern must not be empty."
+    );
+  });
+
+  it("rejects unknown algorithms and unsupported pattern modes", () => {
+    expect(() => runAlgorithm("nope", "abc", "a")).toThrow(
+      "Unknown algorithm: nope"
+    );
+    expect(() =>
+      runAlgorithm("kmp", "abc", "a?", { patternMode: "wildcard" })
+    ).toThrow("KMP only supports literal patterns.");
+    expect(() => runAlgorithm("regex", "abc", "a")).toThrow(
+      "Regex (Thompson NFA) only supports regular expressions."
+    );
+    expect(() =>
+      runAlgorithm("naive", "abc", "a*", { patternMode: "regex" })
+    ).toThrow("Naive doesn't support regular expressions.");
+  });
+
+  it.each([
+    ["naive", 15, 13],
+    ["shift-and", 11, 9],
+    ["shift-or", 11, 9],
+  ])("%s matches wildcard patterns", (algorithm, first, second) => {
+    const options = { patternMode: "wildcard" };
+    const trace = runAlgorithm(algorithm, "cat cot cut", "c?t", options);
+    expect(trace.matches).toEqual([0, 4, 8]);
+    expect(trace.comparisons).toBe(first);
+    const classes = runAlgorithm(
+      algorithm,
+      "a1b22c333",
+      "[0-9][^0-9]",
+      options
+    );
+    expect(classes.matches).toEqual([1, 4]);
+    expect(classes.comparisons).toBe(second);
+  });
+
+  it("maps matches back to the original text with matching options", () => {
+    const trace = runAlgorithm("naive", "Ünïcödé ünicode", "unicode", {
+      matching: { caseInsensitive: true, foldDiacritics: true },
+    });
+    expect(trace.matches).toEqual([0, 8]);
+    expect(trace.comparisons).toBe(21);
+    expect(trace.matchOffsets).toEqual([
+      { start: 0, end: 7 },
+      { start: 8, end: 15 },
+    ]);
+  });
+});
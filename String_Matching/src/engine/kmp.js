@@ -0,0 +1,259 @@
+import { createProgressReporter } from "./progress";
+
+export const KMP_PSEUDOCODE = [
+  { id: "lps-init", text: "lps[0] ← 0, len ← 0, i ← 1" },
+  { id: "lps-while", text: "while i < m" },
+  { id: "lps-compare", text: "  if P[i] = P[len]" },
+  { id: "lps-extend", text: "    len ← len + 1, lps[i] ← len, i ← i + 1" },
+  { id: "lps-fallback-test", text: "  else if len > 0" },
+  { id: "lps-fallback", text: "    len ← lps[len − 1]" },
+  { id: "lps-zero", text: "  else lps[i] ← 0, i ← i + 1" },
+  { id: "init", text: "i ← 0, j ← 0" },
+  { id: "while", text: "while i < n" },
+  { id: "compare", text: "  if T[i] = P[j]" },
+  { id: "full", text: "    if j = m − 1" },
+  {
+    id: "report",
+    text: "      report a match at i − j, i ← i + 1, j ← lps[j]",
+  },
+  { id: "advance", text: "    else i ← i + 1, j ← j + 1" },
+  { id: "fallback-test", text: "  else if j > 0" },
+  { id: "fallback", text: "    j ← lps[j − 1]" },
+  { id: "skip", text: "  else i ← i + 1" },
+];
+
+// Which pseudocode lines one prefix table step ran
+const lpsLines = ({ compared, match, fallback }) => {
+  if (!compared) return ["lps-init"];
+  if (match) return ["lps-while", "lps-compare", "lps-extend"];
+  return [
+    "lps-while",
+    "lps-compare",
+    "lps-fallback-test",
+    fallback ? "lps-fallback" : "lps-zero",
+  ];
+};
+
+// Helper function for KMP - builds the prefix table. If onStep is given it's
+// called once per loop iteration with a snapshot of the construction, which
+// is what the animated preprocessing phase is built from.
+export const computeKMPPrefixTable = (pattern, onStep) => {
+  const lps = Array(pattern.length).fill(0);
+  let len = 0;
+  let i = 1;
+
+  if (onStep && pattern.length > 0) {
+    onStep({
+      i: 0,
+      len: 0,
+      compared: null,
+      match: null,
+      fallback: null,
+      filled: 0,
+      table: [0],
+      description: `lps[0] is always 0.`,
+    });
+  }
+
+  while (i < pattern.length) {
+    const before = { i, len };
+    const match = pattern[i] === pattern[len];
+    let fallback = null;
+    let filled = null;
+    let description;
+
+    if (match) {
+      // Found matching prefix-suffix
+      len++;
+      lps[i] = len;
+      filled = i;
+      description = `pattern[${i}] matches pattern[${before.len}], so lps[${i}] = ${len}.`;
+      i++;
+    } else {
+      if (len !== 0) {
+        // Try shorter prefix
+        fallback = { from: len, to: lps[len - 1] };
+        len = lps[len - 1];
+        description = `pattern[${i}] differs from pattern[${
+          before.len
+        }], falling back len = lps[${before.len - 1}] = ${len}.`;
+      } else {
+        // No matching prefix found
+        lps[i] = 0;
+        filled = i;
+        description = `pattern[${i}] differs from pattern[0] and len is 0, so lps[${i}] = 0.`;
+        i++;
+      }
+    }
+
+    if (onStep) {
+      onStep({
+        ...before,
+        compared: [before.i, before.len],
+        match,
+        fallback,
+        filled,
+        table: lps.slice(0, i),
+        description,
+      });
+    }
+  }
+
+  return lps;
+};
+
+// The animation frame for one prefix table snapshot from
+// computeKMPPrefixTable's onStep
+export const prefixTableStep = (lpsBuild) => ({
+  phase: "preprocessing",
+  textIndex: 0,
+  patternIndex: 0,
+  comparisons: [],
+  totalComparisons: 0,
+  description: lpsBuild.description,
+  lpsBuild,
+  code: {
+    lines: lpsLines(lpsBuild),
+    variables: { i: lpsBuild.i, len: lpsBuild.len },
+  },
+});
+
+// Online KMP search: the text is push()ed a piece at a time and j - how much
+// of the pattern the text so far ends with - is carried over to the next
+// piece, so nothing before the current character is ever looked at again.
+// onStep gets one step per comparison, with positions counted from the
+// start of the whole text, and push() returns the matches found in the piece.
+export const createKMPStream = (
+  pattern,
+  lps = computeKMPPrefixTable(pattern),
+  onStep = () => {}
+) => {
+  let position = 0; // text units pushed so far
+  let j = 0; // index for pattern
+  let totalComparisons = 0;
+
+  const push = (chunk) => {
+    const foundMatches = [];
+    const end = position + chunk.length;
+    let i = position; // index for text
+
+    // One step per comparison of text[i] with pattern[j]. The pattern sits at
+    // offset i - j for the whole step, and the j characters before it are
+    // already known to match, so they're carried along as part of the window
+    // (just their count, the views spell them out - see stepComparisons).
+    while (i < end) {
+      const character = chunk[i - position];
+      const offset = i - j;
+      const match = character === pattern[j];
+      const currentComparisons = [{ textIndex: i, patternIndex: j, match }];
+      totalComparisons++;
+
+      const pointers = { i, j };
+      const carried = j;
+      const variables = { i, j, "T[i]": character, "P[j]": pattern[j] };
+      let prefixUse = null;
+      let description;
+      let lines;
+
+      if (match && j === pattern.length - 1) {
+        // Whole pattern matched, keep the longest border and carry on
+        foundMatches.push(offset);
+        prefixUse = { oldJ: pattern.length, newJ: lps[j] };
+        description = `Match found at position ${offset}! j falls back from ${pattern.length} to lps[${j}] = ${lps[j]}.`;
+        lines = ["while", "compare", "full", "report"];
+        i++;
+        j = lps[j];
+      } else if (match) {
+        // Characters match, move both pointers
+        description = `text[${i}] matches pattern[${j}], advancing i and j.`;
+        lines = ["while", "compare", "full", "advance"];
+        i++;
+        j++;
+      } else if (j !== 0) {
+        // Use the prefix table to skip redundant comparisons, i stays put
+        prefixUse = { oldJ: j, newJ: lps[j - 1] };
+        description = `Mismatch at text[${i}], j falls back from ${j} to lps[${
+          j - 1
+        }] = ${lps[j - 1]} and i stays.`;
+        lines = ["while", "compare", "fallback-test", "fallback"];
+        j = lps[j - 1];
+      } else {
+        // At start of pattern, just move text pointer
+        description = `Mismatch at beginning of pattern, moving to next position.`;
+        lines = ["while", "compare", "fallback-test", "skip"];
+        i++;
+      }
+
+      onStep({
+        textIndex: offset,
+        patternIndex: 0,
+        comparisons: currentComparisons,
+        totalComparisons: totalComparisons,
+        description,
+        prefixUse,
+        pointers,
+        carried,
+        phase: "search",
+        code: {
+          lines:
+            pointers.i === 0 && pointers.j === 0 ? ["init", ...lines] : lines,
+          variables,
+        },
+      });
+    }
+
+    position = end;
+    return foundMatches;
+  };
+
+  // Everything carried over to the next piece
+  const state = () => ({ position, j, totalComparisons });
+
+  return { push, state };
+};
+
+// KMP algorithm - uses prefix table to skip redundant comparisons
+export const kmpStringMatching = (text, pattern, options = {}) => {
+  const steps = [];
+  const history = [];
+  let step = 0;
+  let preprocessingComparisons = 0;
+
+  // First get our prefix table, animating its construction. These
+  // comparisons are pattern against pattern, so they're counted separately.
+  const lps = computeKMPPrefixTable(pattern, (lpsBuild) => {
+    if (lpsBuild.compared) preprocessingComparisons++;
+    steps.push(prefixTableStep(lpsBuild));
+    history.push({
+      step: step++,
+      comparisons: 0,
+      totalComparisons: 0,
+    });
+  });
+
+  const reportProgress = createProgressReporter(
+    options.onProgress,
+    text.length
+  );
+
+  // The whole text is one piece
+  const stream = createKMPStream(pattern, lps, (searchStep) => {
+    reportProgress(searchStep.pointers.i);
+    steps.push(searchStep);
+    history.push({
+      step: step++,
+      comparisons: 1,
+      totalComparisons: searchStep.totalComparisons,
+    });
+  });
+  const foundMatches = stream.push(text);
+  const totalComparisons = stream.state().totalComparisons;
+
+  return {
+    steps,
+    matches: foundMatches,
+    comparisons: totalComparisons,
+    history,
+    auxiliary: { prefixTable: lps, preprocessingComparisons },
+  };
+};
@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+import { stepComparisons } from ".";
+import { kmpStringMatching, computeKMPPrefixTable } from "./kmp";
+
+describe("computeKMPPrefixTable", () => {
+  it("gives the longest proper border of every prefix", () => {
+    expect(computeKMPPrefixTable("abab")).toEqual([0, 0, 1, 2]);
+    expect(computeKMPPrefixTable("aabaaab")).toEqual([0, 1, 0, 1, 2, 2, 3]);
+  });
+});
+
+describe("kmpStringMatching", () => {
+  // Comparisons only count the search, not building the prefix table
+  it.each([
+    ["abababcabab", "abab", [0, 2, 7], 12],
+    ["aaaaaaaaab", "aaab", [6], 16],
+    ["the quick brown fox", "fox", [16], 19],
+    ["GCATCGCAGAGAGTATACAGTACG", "GCAGAGAG", [5], 27],
+    ["abc", "d", [], 3],
+    ["ab", "abc", [], 2],
+  ])("finds %j in %j", (text, pattern, matches, comparisons) => {
+    const trace = kmpStringMatching(text, pattern);
+    expect(trace.matches).toEqual(matches);
+    expect(trace.comparisons).toBe(comparisons);
+  });
+
+  it("animates building the prefix table first", () => {
+    const trace = kmpStringMatching("abababcabab", "abab");
+    expect(trace.auxiliary.prefixTable).toEqual([0, 0, 1, 2]);
+    expect(trace.steps[0].phase).toBe("preprocessing");
+  });
+
+  it("carries the matched part of the window as a count", () => {
+    const trace = kmpStringMatching("abababcabab", "abab");
+    const step = trace.steps.find((s) => s.pointers?.j === 3);
+    expect(step.carried).toBe(3);
+    expect(step.comparisons).toHaveLength(1);
+    expect(stepComparisons(step)).toEqual([
+      { textIndex: 0, patternIndex: 0, match: true, carried: true },
+      { textIndex: 1, patternIndex: 1, match: true, carried: true },
+      { textIndex: 2, patternIndex: 2, match: true, carried: true },
+      { textIndex: 3, patternIndex: 3, match: true },
+    ]);
+  });
+});
@@ -0,0 +1,97 @@
+// Matching options - how text and pattern are split into comparable units
+// and which differences are ignored when comparing them.
+//
+//   segmentation:    "codepoint" (default) or "grapheme" - grapheme clusters
+//                    keep emoji sequences and base + combining marks together
+//   caseInsensitive: compare lower-cased
+//   normalization:   "none", "NFC" or "NFKC" Unicode normalization
+//   foldDiacritics:  strip combining marks, so "é" matches "e"
+//
+// Normalization and folding are applied unit by unit, so a base letter and
+// a separate combining mark only compare as one character in grapheme mode.
+export const DEFAULT_MATCHING_OPTIONS = {
+  segmentation: "codepoint",
+  caseInsensitive: false,
+  normalization: "none",
+  foldDiacritics: false,
+};
+
+// Split a string into units, remembering where each came from
+const segment = (str, segmentation) => {
+  if (segmentation === "grapheme" && typeof Intl?.Segmenter === "function") {
+    return Array.from(
+      new Intl.Segmenter(undefined, { granularity: "grapheme" }).segment(str),
+      ({ segment, index }) => ({ unit: segment, start: index })
+    );
+  }
+
+  const units = [];
+  let offset = 0;
+  for (const unit of str) {
+    units.push({ unit, start: offset });
+    offset += unit.length;
+  }
+  return units;
+};
+
+const comparisonKey = (unit, options) => {
+  let key = unit;
+  if (options.caseInsensitive) key = key.toLowerCase();
+  if (options.normalization === "NFC" || options.normalization === "NFKC") {
+    key = key.normalize(options.normalization);
+  }
+  if (options.foldDiacritics) {
+    key = key.normalize("NFD").replace(/\p{M}/gu, "").normalize("NFC");
+  }
+  return key;
+};
+
+// Turn a string into what the algorithms compare:
+//
+//   keys:    comparison key per unit - what text[i] === pattern[j] sees
+//   display: what to draw for that unit in the character grid
+//   starts / ends: the unit's UTF-16 span in the original string
+//
+// A unit whose key comes out empty (a combining mark that was folded away)
+// is merged into the unit before it. In code point mode a key that expands
+// to several characters (NFKC "ﬁ" -> "fi", some lower-casings) is split so
+// each character is compared on its own, all mapping back to the same span.
+export const prepareInput = (str, matchingOptions = {}) => {
+  const options = { ...DEFAULT_MATCHING_OPTIONS, ...matchingOptions };
+  const prepared = { keys: [], display: [], starts: [], ends: [] };
+
+  segment(str, options.segmentation).forEach(({ unit, start }) => {
+    const end = start + unit.length;
+    const key = comparisonKey(unit, options);
+    const last = prepared.keys.length - 1;
+
+    if (key === "" && last >= 0) {
+      prepared.display[last] += unit;
+      prepared.ends[last] = end;
+      return;
+    }
+
+    const parts =
+      options.segmentation === "grapheme" || key === ""
+        ? [key]
+        : Array.from(key);
+    parts.forEach((part) => {
+      prepared.keys.push(part);
+      prepared.display.push(parts.length > 1 ? part : unit);
+      prepared.starts.push(start);
+      prepared.ends.push(end);
+    });
+  });
+
+  return prepared;
+};
+
+// Numeric code of a unit for hashing. Single characters use their code
+// point; longer units (grapheme clusters) fold all their code points together.
+export const symbolCode = (unit) => {
+  let code = 0n;
+  for (const char of unit) {
+    code = code * 0x110000n + BigInt(char.codePointAt(0));
+  }
+  return code;
+};
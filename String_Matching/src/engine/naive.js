@@ -0,0 +1,91 @@
+import { createProgressReporter } from "./progress";
+import { symbolMatches } from "./patternSyntax";
+
+export const NAIVE_PSEUDOCODE = [
+  { id: "for", text: "for i ← 0 to n − m" },
+  { id: "reset", text: "  j ← 0" },
+  { id: "compare", text: "  while j < m and P[j] matches T[i + j]" },
+  { id: "advance", text: "    j ← j + 1" },
+  { id: "test", text: "  if j = m" },
+  { id: "report", text: "    report a match at i" },
+];
+
+// Good old brute force approach
+export const naiveStringMatching = (text, pattern, options = {}) => {
+  const steps = [];
+  const foundMatches = [];
+  let totalComparisons = 0;
+  const history = [];
+  const reportProgress = createProgressReporter(
+    options.onProgress,
+    text.length
+  );
+
+  // For each possible starting position in the text
+  for (let i = 0; i <= text.length - pattern.length; i++) {
+    reportProgress(i);
+    let j;
+    const currentComparisons = [];
+    let stepComparisons = 0;
+
+    // Try to match pattern starting at position i
+    for (j = 0; j < pattern.length; j++) {
+      // Keep track of what we're comparing (pattern[j] may be a wildcard)
+      const match = symbolMatches(pattern[j], text[i + j]);
+      currentComparisons.push({
+        textIndex: i + j,
+        patternIndex: j,
+        match,
+      });
+      totalComparisons++;
+      stepComparisons++;
+
+      // Break early if mismatch found
+      if (!match) {
+        break;
+      }
+    }
+
+    history.push({
+      step: i,
+      comparisons: stepComparisons,
+      totalComparisons: totalComparisons,
+    });
+
+    // Add this step to our visualization
+    steps.push({
+      textIndex: i,
+      patternIndex: 0,
+      comparisons: [...currentComparisons],
+      totalComparisons: totalComparisons,
+      description:
+        j === pattern.length
+          ? `Match found at position ${i}!`
+          : `Mismatch at position ${i + j}, shifting pattern.`,
+      code: {
+        lines: [
+          "for",
+          "reset",
+          "compare",
+          ...(j > 0 ? ["advance"] : []),
+          "test",
+          ...(j === pattern.length ? ["report"] : []),
+        ],
+        variables: { i, j, m: pattern.length },
+      },
+    });
+
+    // If we made it through the whole pattern, we found a match
+    if (j === pattern.length) {
+      foundMatches.push(i);
+    }
+  }
+
+  return {
+    steps,
+    matches: foundMatches,
+    comparisons: totalComparisons,
+    history,
+    auxiliary: {},
+  };
+};
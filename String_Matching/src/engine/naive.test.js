@@ -0,0 +1,23 @@
+import { describe, expect, it } from "vitest";
+import { naiveStringMatching } from "./naive";
+
+describe("naiveStringMatching", () => {
+  it.each([
+    ["abababcabab", "abab", [0, 2, 7], 19],
+    ["aaaaaaaaab", "aaab", [6], 28],
+    ["the quick brown fox", "fox", [16], 19],
+    ["GCATCGCAGAGAGTATACAGTACG", "GCAGAGAG", [5], 30],
+    ["abc", "d", [], 3],
+    ["ab", "abc", [], 0],
+  ])("finds %j in %j", (text, pattern, matches, comparisons) => {
+    const trace = naiveStringMatching(text, pattern);
+    expect(trace.matches).toEqual(matches);
+    expect(trace.comparisons).toBe(comparisons);
+  });
+
+  it("keeps a running total that ends at the comparison count", () => {
+    const trace = naiveStringMatching("abababcabab", "abab");
+    expect(trace.steps.at(-1).totalComparisons).toBe(trace.comparisons);
+    expect(trace.history.at(-1).totalComparisons).toBe(trace.comparisons);
+  });
+});
@@ -0,0 +1,137 @@
+import { prepareInput } from "./matching";
+
+// Wildcard pattern syntax. In "wildcard" pattern mode the pattern is parsed
+// into one element per text unit it consumes:
+//
+//   ?        any single character   -> { kind: "any", label }
+//   [aeiou]  one of these           -> { kind: "class", members, ranges,
+//   [0-9]    a range                     negated, label }
+//   [^0-9]   anything but these
+//   \?       a literal ? (or [, \)  -> { kind: "literal", key, label }
+//
+// Everything else is a literal. Algorithms compare with symbolMatches(), so
+// plain string units (literal mode) keep working unchanged.
+
+// Does a pattern unit (a plain key or a parsed element) match a text unit?
+export const symbolMatches = (symbol, unit) => {
+  if (typeof symbol === "string") return symbol === unit;
+
+  switch (symbol.kind) {
+    case "any":
+      return true;
+    case "class": {
+      const code = [...unit].length === 1 ? unit.codePointAt(0) : null;
+      const inClass =
+        symbol.members.includes(unit) ||
+        (code !== null &&
+          symbol.ranges.some(([low, high]) => code >= low && code <= high));
+      return inClass !== symbol.negated;
+    }
+    default:
+      return symbol.key === unit;
+  }
+};
+
+const singleCodePoint = (key) =>
+  [...key].length === 1 ? key.codePointAt(0) : null;
+
+// Parse the character class starting at keys[i] (a "["), returning the
+// class element and the index just past its "]". Regular expressions use
+// the same class syntax.
+export const parseClass = (keys, display, i) => {
+  const start = i;
+  const members = [];
+  const ranges = [];
+  i++;
+  const negated = keys[i] === "^";
+  if (negated) i++;
+
+  while (i < keys.length && keys[i] !== "]") {
+    // a-z style range, unless the - is the last thing in the class
+    if (keys[i + 1] === "-" && i + 2 < keys.length && keys[i + 2] !== "]") {
+      const low = singleCodePoint(keys[i]);
+      const high = singleCodePoint(keys[i + 2]);
+      if (low === null || high === null || low > high) {
+        throw new Error(
+          `Invalid range "${display[i]}-${display[i + 2]}" in pattern.`
+        );
+      }
+      ranges.push([low, high]);
+      i += 3;
+    } else {
+      members.push(keys[i]);
+      i++;
+    }
+  }
+
+  if (i >= keys.length) {
+    throw new Error(
+      `Unclosed character class starting at pattern position ${start}.`
+    );
+  }
+  if (members.length === 0 && ranges.length === 0) {
+    throw new Error(`Empty character class at pattern position ${start}.`);
+  }
+  return {
+    element: {
+      kind: "class",
+      members,
+      ranges,
+      negated,
+      label: display.slice(start, i + 1).join(""),
+    },
+    next: i + 1,
+  };
+};
+
+// Parse a prepared pattern ({ keys, display } from prepareInput) into
+// elements. Keys are what gets compared, display is used for the labels.
+export const parsePattern = ({ keys, display }) => {
+  const elements = [];
+  let i = 0;
+
+  while (i < keys.length) {
+    if (keys[i] === "\\" && i + 1 < keys.length) {
+      elements.push({
+        kind: "literal",
+        key: keys[i + 1],
+        label: display[i + 1],
+      });
+      i += 2;
+    } else if (keys[i] === "?") {
+      elements.push({ kind: "any", label: display[i] });
+      i++;
+    } else if (keys[i] === "[") {
+      const { element, next } = parseClass(keys, display, i);
+      elements.push(element);
+      i = next;
+    } else {
+      elements.push({ kind: "literal", key: keys[i], label: display[i] });
+      i++;
+    }
+  }
+
+  return elements;
+};
+
+// Labels for drawing a pattern, and which of its positions are wildcards.
+// Never throws - a pattern that doesn't parse is shown literally, and the
+// error is reported when the algorithm actually runs.
+export const describePattern = (pattern, matchingOptions, patternMode) => {
+  const prepared = prepareInput(pattern, matchingOptions);
+  if (patternMode === "wildcard") {
+    try {
+      const elements = parsePattern(prepared);
+      return {
+        units: elements.map((element) => element.label),
+        wildcards: elements.map((element) => element.kind !== "literal"),
+      };
+    } catch {
+      // fall through to the literal view
+    }
+  }
+  return {
+    units: prepared.display,
+    wildcards: prepared.display.map(() => false),
+  };
+};
@@ -0,0 +1,14 @@
+// Throttled progress callback for long runs - calls onProgress with the
+// fraction done roughly every 1% of total, and not at all if none is given
+export const createProgressReporter = (onProgress, total) => {
+  if (!onProgress || total <= 0) return () => {};
+
+  const every = Math.max(1, Math.floor(total / 100));
+  let next = 0;
+  return (done) => {
+    if (done >= next) {
+      onProgress(Math.min(done / total, 1));
+      next = done + every;
+    }
+  };
+};
@@ -0,0 +1,376 @@
+import { createProgressReporter } from "./progress";
+import { symbolCode } from "./matching";
+
+// Rabin-Karp defaults - small enough that spurious hits show up in demos
+export const DEFAULT_RABIN_KARP_OPTIONS = {
+  base: 256,
+  modulus: 101,
+  verifyRollingHash: false,
+};
+
+export const RABIN_KARP_PSEUDOCODE = [
+  { id: "h", text: "h ← base^(m − 1) mod q" },
+  { id: "hashes", text: "p ← hash(P), t ← hash(T[0 … m − 1])" },
+  { id: "for", text: "for i ← 0 to n − m" },
+  { id: "hash-compare", text: "  if p = t" },
+  { id: "verify", text: "    if T[i … i + m − 1] = P" },
+  { id: "report", text: "      report a match at i" },
+  { id: "roll-test", text: "  if i < n − m" },
+  { id: "roll", text: "    t ← ((t − T[i]·h)·base + T[i + m]) mod q" },
+];
+
+// (base ^ exponent) mod modulus by repeated squaring
+export const modPow = (base, exponent, modulus) => {
+  let result = 1n % modulus;
+  let b = base % modulus;
+  let e = exponent;
+  while (e > 0n) {
+    if (e & 1n) result = (result * b) % modulus;
+    b = (b * b) % modulus;
+    e >>= 1n;
+  }
+  return result;
+};
+
+export const toBigInt = (value, name) => {
+  let parsed;
+  try {
+    parsed = BigInt(typeof value === "string" ? value.trim() : value);
+  } catch {
+    throw new Error(`Rabin-Karp ${name} must be a whole number`);
+  }
+  if (parsed < 2n) {
+    throw new Error(`Rabin-Karp ${name} must be at least 2`);
+  }
+  return parsed;
+};
+
+// Hash of str[start, end) as a polynomial in base, reduced mod modulus
+export const calculateHash = (str, start, end, base, modulus) => {
+  let hash = 0n;
+  for (let i = start; i < end; i++) {
+    hash = (hash * base + symbolCode(str[i])) % modulus;
+  }
+  return hash;
+};
+
+// Rabin-Karp algorithm - uses hashing to speed up comparison. All hash
+// arithmetic is done with BigInt so any base/modulus works without losing
+// precision; hashes are stored in the steps as decimal strings.
+export const rabinKarpStringMatching = (text, pattern, options = {}) => {
+  const settings = { ...DEFAULT_RABIN_KARP_OPTIONS, ...options };
+  const base = toBigInt(settings.base, "base");
+  const modulus = toBigInt(settings.modulus, "modulus");
+  const m = pattern.length;
+
+  const steps = [];
+  const foundMatches = [];
+  let totalComparisons = 0;
+  const history = [];
+  let verificationFailures = 0;
+  const reportProgress = createProgressReporter(
+    settings.onProgress,
+    text.length
+  );
+
+  // Weight of the leading character, h = base^(m-1) mod q
+  const h = modPow(base, BigInt(Math.max(m - 1, 0)), modulus);
+
+  // Get pattern hash once
+  const patternHash = calculateHash(pattern, 0, m, base, modulus);
+
+  // Get hash of first window of text
+  let textHash = calculateHash(
+    text,
+    0,
+    Math.min(m, text.length),
+    base,
+    modulus
+  );
+  let rollingUpdate = null;
+
+  // Slide window through text
+  for (let i = 0; i <= text.length - m; i++) {
+    reportProgress(i);
+    const currentComparisons = [];
+    let hashMatch = textHash === patternHash;
+    let stepComparisons = 0;
+
+    const hashInfo = {
+      patternHash: patternHash.toString(),
+      textHash: textHash.toString(),
+      hashMatch,
+      rollingUpdate,
+    };
+
+    // Debug check - the rolled hash has to equal a freshly computed one
+    if (settings.verifyRollingHash) {
+      const freshHash = calculateHash(text, i, i + m, base, modulus);
+      hashInfo.freshHash = freshHash.toString();
+      hashInfo.verified = freshHash === textHash;
+      if (!hashInfo.verified) {
+        verificationFailures++;
+      }
+    }
+
+    // Hash comparison counts as a comparison
+    stepComparisons++;
+    totalComparisons++;
+
+    let description;
+
+    // Only check character by character if hash matches
+    if (hashMatch) {
+      let j;
+      for (j = 0; j < m; j++) {
+        currentComparisons.push({
+          textIndex: i + j,
+          patternIndex: j,
+          match: text[i + j] === pattern[j],
+        });
+        totalComparisons++;
+        stepComparisons++;
+
+        // Break early on mismatch
+        if (text[i + j] !== pattern[j]) {
+          break;
+        }
+      }
+
+      // Check if we found a match
+      if (j === m) {
+        foundMatches.push(i);
+        description = `Hash match! Confirmed match at position ${i}.`;
+      } else {
+        // Hash collision but strings don't match
+        hashInfo.spurious = true;
+        description = `Hash match but actual string mismatch (spurious hit).`;
+      }
+    } else {
+      // Hashes don't match, no need to check characters
+      description = `Hash mismatch, skipping detailed comparison.`;
+    }
+
+    if (hashInfo.verified === false) {
+      description += ` Rolling hash ${hashInfo.textHash} differs from fresh hash ${hashInfo.freshHash}!`;
+    }
+
+    steps.push({
+      textIndex: i,
+      patternIndex: 0,
+      comparisons: [...currentComparisons],
+      totalComparisons: totalComparisons,
+      description,
+      hashInfo,
+      code: {
+        lines: [
+          ...(i === 0 ? ["h", "hashes"] : []),
+          "for",
+          "hash-compare",
+          ...(hashMatch ? ["verify"] : []),
+          ...(hashMatch && !hashInfo.spurious ? ["report"] : []),
+          ...(i < text.length - m ? ["roll-test", "roll"] : []),
+        ],
+        variables: { i, p: hashInfo.patternHash, t: hashInfo.textHash },
+      },
+    });
+
+    history.push({
+      step: i,
+      comparisons: stepComparisons,
+      totalComparisons: totalComparisons,
+    });
+
+    // Calculate rolling hash for next window (clever trick to avoid recalculating whole hash)
+    if (i < text.length - m) {
+      // Remove leftmost character, shift everything up, add rightmost character
+      const outgoing = symbolCode(text[i]);
+      const incoming = symbolCode(text[i + m]);
+      const afterRemove =
+        (((textHash - outgoing * h) % modulus) + modulus) % modulus;
+      const afterMultiply = (afterRemove * base) % modulus;
+      const nextHash = (afterMultiply + incoming) % modulus;
+
+      rollingUpdate = {
+        previousHash: textHash.toString(),
+        outgoingChar: text[i],
+        outgoingCode: outgoing.toString(),
+        incomingChar: text[i + m],
+        incomingCode: incoming.toString(),
+        afterRemove: afterRemove.toString(),
+        afterMultiply: afterMultiply.toString(),
+      };
+      textHash = nextHash;
+    }
+  }
+
+  return {
+    steps,
+    matches: foundMatches,
+    comparisons: totalComparisons,
+    history,
+    auxiliary: {
+      patternHash: patternHash.toString(),
+      base: base.toString(),
+      modulus: modulus.toString(),
+      h: h.toString(),
+      verificationFailures,
+    },
+  };
+};
+
+// Online Rabin-Karp: the text is push()ed a piece at a time. Between pieces
+// it keeps the hash of the last window and that window's characters - they
+// are needed to roll the hash on and to verify a hash hit - so nothing older
+// than m characters is kept. Each arriving character completes a window, and
+// onStep gets one step per window with positions counted from the start of
+// the whole text. The first window's step lists the h and hash lines, later
+// ones the roll that produced their hash.
+export const createRabinKarpStream = (
+  pattern,
+  options = {},
+  onStep = () => {}
+) => {
+  const settings = { ...DEFAULT_RABIN_KARP_OPTIONS, ...options };
+  const base = toBigInt(settings.base, "base");
+  const modulus = toBigInt(settings.modulus, "modulus");
+  const m = pattern.length;
+  const h = modPow(base, BigInt(Math.max(m - 1, 0)), modulus);
+  const patternHash = calculateHash(pattern, 0, m, base, modulus);
+
+  let position = 0; // text units pushed so far
+  const buffer = []; // the last m of them (at most)
+  let textHash = 0n;
+  let totalComparisons = 0;
+  let verificationFailures = 0;
+
+  // Compare the window that ends at the latest character
+  const checkWindow = (i, rollingUpdate) => {
+    const currentComparisons = [];
+    const hashMatch = textHash === patternHash;
+    const hashInfo = {
+      patternHash: patternHash.toString(),
+      textHash: textHash.toString(),
+      hashMatch,
+      rollingUpdate,
+    };
+
+    if (settings.verifyRollingHash) {
+      const freshHash = calculateHash(buffer, 0, m, base, modulus);
+      hashInfo.freshHash = freshHash.toString();
+      hashInfo.verified = freshHash === textHash;
+      if (!hashInfo.verified) {
+        verificationFailures++;
+      }
+    }
+
+    totalComparisons++;
+    let found = false;
+    let description;
+    if (hashMatch) {
+      let j;
+      for (j = 0; j < m; j++) {
+        currentComparisons.push({
+          textIndex: i + j,
+          patternIndex: j,
+          match: buffer[j] === pattern[j],
+        });
+        totalComparisons++;
+        if (buffer[j] !== pattern[j]) break;
+      }
+      if (j === m) {
+        found = true;
+        description = `Hash match! Confirmed match at position ${i}.`;
+      } else {
+        hashInfo.spurious = true;
+        description = `Hash match but actual string mismatch (spurious hit).`;
+      }
+    } else {
+      description = `Hash mismatch, skipping detailed comparison.`;
+    }
+
+    if (hashInfo.verified === false) {
+      description += ` Rolling hash ${hashInfo.textHash} differs from fresh hash ${hashInfo.freshHash}!`;
+    }
+
+    onStep({
+      textIndex: i,
+      patternIndex: 0,
+      comparisons: currentComparisons,
+      totalComparisons: totalComparisons,
+      description,
+      hashInfo,
+      code: {
+        lines: [
+          ...(rollingUpdate ? ["roll-test", "roll"] : ["h", "hashes"]),
+          "for",
+          "hash-compare",
+          ...(hashMatch ? ["verify"] : []),
+          ...(found ? ["report"] : []),
+        ],
+        variables: { i, p: hashInfo.patternHash, t: hashInfo.textHash },
+      },
+    });
+    return found;
+  };
+
+  const push = (chunk) => {
+    const foundMatches = [];
+    if (m === 0) {
+      position += chunk.length;
+      return foundMatches;
+    }
+    for (const unit of chunk) {
+      const incoming = symbolCode(unit);
+      let rollingUpdate = null;
+      if (buffer.length < m) {
+        // Still reading the first window
+        textHash = (textHash * base + incoming) % modulus;
+      } else {
+        const outgoingChar = buffer.shift();
+        const outgoing = symbolCode(outgoingChar);
+        const afterRemove =
+          (((textHash - outgoing * h) % modulus) + modulus) % modulus;
+        const afterMultiply = (afterRemove * base) % modulus;
+        rollingUpdate = {
+          previousHash: textHash.toString(),
+          outgoingChar,
+          outgoingCode: outgoing.toString(),
+          incomingChar: unit,
+          incomingCode: incoming.toString(),
+          afterRemove: afterRemove.toString(),
+          afterMultiply: afterMultiply.toString(),
+        };
+        textHash = (afterMultiply + incoming) % modulus;
+      }
+      buffer.push(unit);
+      position++;
+
+      if (buffer.length === m) {
+        const i = position - m;
+        if (checkWindow(i, rollingUpdate)) foundMatches.push(i);
+      }
+    }
+    return foundMatches;
+  };
+
+  // Everything carried over to the next piece
+  const state = () => ({
+    position,
+    window: [...buffer],
+    textHash: textHash.toString(),
+    totalComparisons,
+  });
+
+  return {
+    push,
+    state,
+    auxiliary: () => ({
+      patternHash: patternHash.toString(),
+      base: base.toString(),
+      modulus: modulus.toString(),
+      h: h.toString(),
+      verificationFailures,
+    }),
+  };
+};
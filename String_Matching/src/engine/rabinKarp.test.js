@@ -0,0 +1,35 @@
+import { describe, expect, it } from "vitest";
+import { rabinKarpStringMatching } from "./rabinKarp";
+
+describe("rabinKarpStringMatching", () => {
+  // One comparison per window hash, plus one per character verified
+  it.each([
+    ["abababcabab", "abab", [0, 2, 7], 20],
+    ["aaaaaaaaab", "aaab", [6], 11],
+    ["the quick brown fox", "fox", [16], 21],
+    ["GCATCGCAGAGAGTATACAGTACG", "GCAGAGAG", [5], 25],
+    ["abc", "d", [], 3],
+    ["ab", "abc", [], 0],
+  ])("finds %j in %j", (text, pattern, matches, comparisons) => {
+    const trace = rabinKarpStringMatching(text, pattern);
+    expect(trace.matches).toEqual(matches);
+    expect(trace.comparisons).toBe(comparisons);
+  });
+
+  it("verifies spurious hits from a small modulus", () => {
+    const trace = rabinKarpStringMatching("abababcabab", "abab", {
+      modulus: 3,
+    });
+    expect(trace.matches).toEqual([0, 2, 7]);
+    expect(trace.comparisons).toBe(21);
+    expect(trace.steps.filter((step) => step.hashInfo?.spurious)).toHaveLength(
+      1
+    );
+  });
+
+  it("rejects a modulus below 2", () => {
+    expect(() => rabinKarpStringMatching("abc", "b", { modulus: 1 })).toThrow(
+      "Rabin-Karp modulus must be at least 2"
+    );
+  });
+});
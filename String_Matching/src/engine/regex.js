@@ -0,0 +1,311 @@
+import { createProgressReporter } from "./progress";
+import { parseClass, symbolMatches } from "./patternSyntax";
+
+export const REGEX_PSEUDOCODE = [
+  { id: "build", text: "build the Thompson NFA for P, S ← ∅" },
+  { id: "for", text: "for i ← 0 to n − 1" },
+  { id: "add-start", text: "  S ← S ∪ ε-closure({start})" },
+  {
+    id: "step",
+    text: "  S ← ε-closure({ q′ : q ∈ S, q → q′ on T[i] })",
+  },
+  { id: "report", text: "  if accept ∈ S, report a match ending at i" },
+];
+
+const REPEAT_OPERATORS = ["*", "+", "?"];
+
+// Regular expression syntax, parsed into a tree:
+//
+//   ab      concatenation              -> { type: "concat", parts }
+//   a|b     alternation                -> { type: "alternation", options }
+//   a*      zero or more, a+ one or    -> { type: "repeat", operator, node }
+//           more, a? zero or one
+//   (ab)    grouping
+//   .       any single character       -> { type: "symbol", element }
+//   [a-z]   character class, same syntax as wildcard patterns
+//   \*      a literal * (or any other special character)
+//
+// Symbols hold the same elements as wildcard patterns (see ./patternSyntax),
+// so they're matched with symbolMatches(). An empty alternative, as in
+// "a|", is { type: "empty" }.
+export const parseRegex = (pattern) => {
+  const units = Array.from(pattern);
+  let i = 0;
+
+  const literal = (unit) => ({
+    type: "symbol",
+    element: { kind: "literal", key: unit, label: unit },
+  });
+
+  const parseAtom = () => {
+    const start = i;
+    const unit = units[i];
+    if (REPEAT_OPERATORS.includes(unit)) {
+      throw new Error(
+        `Nothing to repeat before "${unit}" at pattern position ${start}.`
+      );
+    }
+    if (unit === "(") {
+      i++;
+      const node = parseAlternation();
+      if (units[i] !== ")") {
+        throw new Error(
+          `Unclosed group starting at pattern position ${start}.`
+        );
+      }
+      i++;
+      return node;
+    }
+    if (unit === "[") {
+      const { element, next } = parseClass(units, units, i);
+      i = next;
+      return { type: "symbol", element };
+    }
+    i++;
+    if (unit === ".") {
+      return { type: "symbol", element: { kind: "any", label: "." } };
+    }
+    if (unit === "\\" && i < units.length) {
+      return literal(units[i++]);
+    }
+    return literal(unit);
+  };
+
+  const parseRepeat = () => {
+    let node = parseAtom();
+    while (REPEAT_OPERATORS.includes(units[i])) {
+      node = { type: "repeat", operator: units[i], node };
+      i++;
+    }
+    return node;
+  };
+
+  const parseConcatenation = () => {
+    const parts = [];
+    while (i < units.length && units[i] !== "|" && units[i] !== ")") {
+      parts.push(parseRepeat());
+    }
+    if (parts.length === 0) return { type: "empty" };
+    return parts.length === 1 ? parts[0] : { type: "concat", parts };
+  };
+
+  const parseAlternation = () => {
+    const options = [parseConcatenation()];
+    while (units[i] === "|") {
+      i++;
+      options.push(parseConcatenation());
+    }
+    return options.length === 1 ? options[0] : { type: "alternation", options };
+  };
+
+  const tree = parseAlternation();
+  // Only a ) without a ( stops the parse early
+  if (i < units.length) {
+    throw new Error(`Unmatched ")" at pattern position ${i}.`);
+  }
+  return tree;
+};
+
+// Thompson's construction: every piece of the tree becomes a fragment with
+// one start and one end state, joined by ε-edges. States are placed on a
+// grid while they're built - x is the column, y the row - with alternatives
+// stacked below each other, so the NFA can be drawn as is.
+//
+//   states: { id, x, y }[]
+//   edges:  { from, to, symbol, label }[] - symbol is null for ε-edges
+export const buildThompsonNFA = (tree) => {
+  const states = [];
+  const edges = [];
+
+  const addState = (x, y) => {
+    states.push({ id: states.length, x, y });
+    return states.length - 1;
+  };
+  const addEdge = (from, to, symbol = null) =>
+    edges.push({ from, to, symbol, label: symbol ? symbol.label : "ε" });
+
+  // Builds `node` onwards from state `start` at column x, row y and returns
+  // its end state and how many columns and rows it took up
+  const build = (node, start, x, y) => {
+    switch (node.type) {
+      case "symbol":
+      case "empty": {
+        const end = addState(x + 1, y);
+        addEdge(start, end, node.type === "symbol" ? node.element : null);
+        return { end, width: 1, height: 1 };
+      }
+      case "concat": {
+        let end = start;
+        let width = 0;
+        let height = 1;
+        for (const part of node.parts) {
+          const piece = build(part, end, x + width, y);
+          end = piece.end;
+          width += piece.width;
+          height = Math.max(height, piece.height);
+        }
+        return { end, width, height };
+      }
+      case "alternation": {
+        const pieces = [];
+        let height = 0;
+        for (const option of node.options) {
+          const optionStart = addState(x + 1, y + height);
+          addEdge(start, optionStart);
+          const piece = build(option, optionStart, x + 1, y + height);
+          pieces.push(piece);
+          height += piece.height;
+        }
+        const width = Math.max(...pieces.map((piece) => piece.width)) + 2;
+        const end = addState(x + width, y);
+        pieces.forEach((piece) => addEdge(piece.end, end));
+        return { end, width, height };
+      }
+      default: {
+        // * loops back and may be skipped, + only loops, ? only skips
+        const inner = addState(x + 1, y);
+        addEdge(start, inner);
+        const piece = build(node.node, inner, x + 1, y);
+        const end = addState(x + piece.width + 2, y);
+        addEdge(piece.end, end);
+        if (node.operator !== "?") addEdge(piece.end, inner);
+        if (node.operator !== "+") addEdge(start, end);
+        return { end, width: piece.width + 2, height: piece.height };
+      }
+    }
+  };
+
+  const start = addState(0, 0);
+  const { end, width, height } = build(tree, start, 0, 0);
+  return { states, edges, start, accept: end, width, height };
+};
+
+// Thompson's simulation with the start of every thread kept alongside its
+// state (Pike's trick), so matches report where they begin too. A new thread
+// starts at every text position, and when two reach the same state the one
+// that started earliest wins. Whenever the accept state is active after
+// reading text[i], the leftmost match ending at i is reported - like the
+// approximate matcher, every end position is reported, so matches overlap.
+// Empty matches aren't reported.
+export const regexStringMatching = (text, pattern, options = {}) => {
+  const nfa = buildThompsonNFA(parseRegex(pattern));
+  const steps = [];
+  const regexMatches = [];
+  let totalComparisons = 0;
+  const history = [];
+  const reportProgress = createProgressReporter(
+    options.onProgress,
+    text.length
+  );
+
+  const epsilonEdges = nfa.states.map(() => []);
+  const symbolEdges = nfa.states.map(() => []);
+  nfa.edges.forEach((edge) =>
+    (edge.symbol ? symbolEdges : epsilonEdges)[edge.from].push(edge)
+  );
+
+  // Add a thread and everything it reaches over ε-edges, unless an earlier
+  // thread is already there. Maps keep insertion order, so threads stay
+  // sorted by where they started.
+  const addThread = (threads, state, start) => {
+    const pending = [state];
+    while (pending.length > 0) {
+      const next = pending.pop();
+      if (threads.has(next)) continue;
+      threads.set(next, start);
+      epsilonEdges[next].forEach((edge) => pending.push(edge.to));
+    }
+  };
+
+  let threads = new Map();
+  for (let i = 0; i < text.length; i++) {
+    reportProgress(i);
+    addThread(threads, nfa.start, i);
+
+    const next = new Map();
+    const fired = [];
+    let stepComparisons = 0;
+    for (const [state, start] of threads) {
+      for (const edge of symbolEdges[state]) {
+        stepComparisons++;
+        if (symbolMatches(edge.symbol, text[i])) {
+          fired.push({ from: edge.from, to: edge.to });
+          addThread(next, edge.to, start);
+        }
+      }
+    }
+    totalComparisons += stepComparisons;
+
+    const matchStart = next.get(nfa.accept);
+    const reported =
+      matchStart === undefined ? null : { start: matchStart, end: i };
+    if (reported) regexMatches.push(reported);
+
+    const active = [...next.keys()].sort((a, b) => a - b);
+    let description;
+    if (reported) {
+      description = `The accept state is active after '${text[i]}': match at ${reported.start}..${i}!`;
+    } else if (active.length === 0) {
+      description = `No state has a transition on '${text[i]}', every thread dies.`;
+    } else {
+      description =
+        active.length === 1
+          ? `Read '${text[i]}': 1 state is active.`
+          : `Read '${text[i]}': ${active.length} states are active.`;
+    }
+
+    history.push({
+      step: i,
+      comparisons: stepComparisons,
+      totalComparisons: totalComparisons,
+    });
+
+    steps.push({
+      textIndex: i,
+      patternIndex: 0,
+      comparisons: [{ textIndex: i, patternIndex: 0, match: fired.length > 0 }],
+      totalComparisons: totalComparisons,
+      description,
+      nfaState: {
+        character: text[i],
+        previous: [...threads.keys()].sort((a, b) => a - b),
+        fired,
+        threads: [...next].map(([state, start]) => ({ state, start })),
+      },
+      ...(reported && { regexMatch: reported }),
+      code: {
+        lines: [
+          ...(i === 0 ? ["build"] : []),
+          "for",
+          "add-start",
+          "step",
+          ...(reported ? ["report"] : []),
+        ],
+        variables: { i, "T[i]": text[i], S: `{${active.join(", ")}}` },
+      },
+    });
+
+    threads = next;
+  }
+
+  return {
+    steps,
+    matches: [...new Set(regexMatches.map((r) => r.start))].sort(
+      (a, b) => a - b
+    ),
+    comparisons: totalComparisons,
+    history,
+    auxiliary: {
+      nfa: {
+        ...nfa,
+        edges: nfa.edges.map(({ from, to, label, symbol }) => ({
+          from,
+          to,
+          label,
+          epsilon: symbol === null,
+        })),
+      },
+      regexMatches,
+    },
+  };
+};
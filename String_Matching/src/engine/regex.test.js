@@ -0,0 +1,51 @@
+import { describe, expect, it } from "vitest";
+import { regexStringMatching } from "./regex";
+
+describe("regexStringMatching", () => {
+  // matches are start positions, regexMatches every [start, end] reported
+  it.each([
+    [
+      "aabcabcc",
+      "a(b|c)*c",
+      [1, 4],
+      29,
+      [
+        [1, 3],
+        [4, 6],
+        [4, 7],
+      ],
+    ],
+    ["hello world", "o.?w", [4], 17, [[4, 6]]],
+    [
+      "xaaay",
+      "a+",
+      [1],
+      5,
+      [
+        [1, 1],
+        [1, 2],
+        [1, 3],
+      ],
+    ],
+    [
+      "ab12cd345",
+      "[0-9]+",
+      [2, 6],
+      9,
+      [
+        [2, 2],
+        [2, 3],
+        [6, 6],
+        [6, 7],
+        [6, 8],
+      ],
+    ],
+  ])("finds %j in %j", (text, pattern, matches, comparisons, spans) => {
+    const trace = regexStringMatching(text, pattern);
+    expect(trace.matches).toEqual(matches);
+    expect(trace.comparisons).toBe(comparisons);
+    expect(
+      trace.auxiliary.regexMatches.map(({ start, end }) => [start, end])
+    ).toEqual(spans);
+  });
+});
@@ -0,0 +1,133 @@
+import { createProgressReporter } from "./progress";
+import { symbolMatches } from "./patternSyntax";
+
+// Bit vectors are shown as binary strings, most significant bit first, so
+// pattern position 0 is the rightmost digit
+const toBinary = (bits, m) => bits.toString(2).padStart(m, "0");
+
+export const SHIFT_AND_PSEUDOCODE = [
+  { id: "masks", text: "B[c] ← bit j set wherever P[j] accepts c" },
+  { id: "init", text: "D ← 0" },
+  { id: "for", text: "for i ← 0 to n − 1" },
+  { id: "update", text: "  D ← ((D << 1) | 1) & B[T[i]]" },
+  {
+    id: "report",
+    text: "  if bit m − 1 of D is 1, report a match at i − m + 1",
+  },
+];
+
+// Bit mask per distinct text character - bit j is set when pattern[j]
+// accepts that character. A wildcard simply sets its bit in every mask.
+export const buildCharacterMasks = (text, pattern) => {
+  const masks = new Map();
+  for (let i = 0; i < text.length; i++) {
+    if (masks.has(text[i])) continue;
+    let mask = 0n;
+    for (let j = 0; j < pattern.length; j++) {
+      if (symbolMatches(pattern[j], text[i])) mask |= 1n << BigInt(j);
+    }
+    masks.set(text[i], mask);
+  }
+  return masks;
+};
+
+// Shift-And (bitap): bit j of the state D is set when pattern[0..j] ends at
+// the current text position. Every text character updates all prefixes at
+// once with D = ((D << 1) | 1) & B[c], one word operation per character.
+export const shiftAndStringMatching = (text, pattern, options = {}) => {
+  const steps = [];
+  const foundMatches = [];
+  let totalComparisons = 0;
+  const history = [];
+  const m = pattern.length;
+  const reportProgress = createProgressReporter(
+    options.onProgress,
+    text.length
+  );
+
+  const masks = buildCharacterMasks(text, pattern);
+  const auxiliary = {
+    masks: [...masks].map(([character, mask]) => ({
+      character,
+      mask: toBinary(mask, m),
+    })),
+  };
+  if (m === 0) {
+    return { steps, matches: [], comparisons: 0, history, auxiliary };
+  }
+
+  const all = (1n << BigInt(m)) - 1n;
+  const accept = 1n << BigInt(m - 1);
+  let state = 0n;
+
+  for (let i = 0; i < text.length; i++) {
+    reportProgress(i);
+    const mask = masks.get(text[i]);
+    const previous = state;
+    const candidates = ((previous << 1n) | 1n) & all;
+    state = candidates & mask;
+    totalComparisons++;
+
+    // The grid shows the pattern lined up with the longest prefix tried
+    const longest = candidates.toString(2).length - 1;
+    const extended = ((state >> BigInt(longest)) & 1n) === 1n;
+    const found = (state & accept) !== 0n;
+    const active = state.toString(2).replace(/0/g, "").length;
+
+    let description;
+    if (found) {
+      const start = i - m + 1;
+      description = `The top bit of D is set: match found at position ${start}!`;
+      foundMatches.push(start);
+    } else if (active === 0) {
+      description = `No prefix of the pattern ends at position ${i}, D is all zeros.`;
+    } else {
+      description =
+        active === 1
+          ? `1 prefix of the pattern ends at position ${i}.`
+          : `${active} prefixes of the pattern end at position ${i}.`;
+    }
+
+    history.push({
+      step: i,
+      comparisons: 1,
+      totalComparisons: totalComparisons,
+    });
+
+    steps.push({
+      textIndex: i - longest,
+      patternIndex: longest,
+      comparisons: [{ textIndex: i, patternIndex: longest, match: extended }],
+      totalComparisons: totalComparisons,
+      description,
+      bitState: {
+        character: text[i],
+        mask: toBinary(mask, m),
+        previous: toBinary(previous, m),
+        state: toBinary(state, m),
+      },
+      code: {
+        lines: [
+          ...(i === 0 ? ["masks", "init"] : []),
+          "for",
+          "update",
+          ...(found ? ["report"] : []),
+        ],
+        variables: {
+          i,
+          "T[i]": text[i],
+          "B[T[i]]": toBinary(mask, m),
+          D: toBinary(state, m),
+        },
+      },
+    });
+  }
+
+  return {
+    steps,
+    matches: foundMatches,
+    comparisons: totalComparisons,
+    history,
+    auxiliary,
+  };
+};
@@ -0,0 +1,18 @@
+import { describe, expect, it } from "vitest";
+import { shiftAndStringMatching } from "./shiftAnd";
+
+describe("shiftAndStringMatching", () => {
+  // One comparison per text character, whatever the pattern
+  it.each([
+    ["abababcabab", "abab", [0, 2, 7], 11],
+    ["aaaaaaaaab", "aaab", [6], 10],
+    ["the quick brown fox", "fox", [16], 19],
+    ["GCATCGCAGAGAGTATACAGTACG", "GCAGAGAG", [5], 24],
+    ["abc", "d", [], 3],
+    ["ab", "abc", [], 2],
+  ])("finds %j in %j", (text, pattern, matches, comparisons) => {
+    const trace = shiftAndStringMatching(text, pattern);
+    expect(trace.matches).toEqual(matches);
+    expect(trace.comparisons).toBe(comparisons);
+  });
+});
@@ -0,0 +1,122 @@
+import { createProgressReporter } from "./progress";
+import { buildCharacterMasks } from "./shiftAnd";
+
+const toBinary = (bits, m) => bits.toString(2).padStart(m, "0");
+
+export const SHIFT_OR_PSEUDOCODE = [
+  { id: "masks", text: "B[c] ← bit j cleared wherever P[j] accepts c" },
+  { id: "init", text: "D ← all ones" },
+  { id: "for", text: "for i ← 0 to n − 1" },
+  { id: "update", text: "  D ← (D << 1) | B[T[i]]" },
+  {
+    id: "report",
+    text: "  if bit m − 1 of D is 0, report a match at i − m + 1",
+  },
+];
+
+// Shift-Or: Shift-And with every bit flipped. Bit j of D is 0 when
+// pattern[0..j] ends at the current text position, and B[c] has a 0 where
+// pattern[j] accepts c, so the update D = (D << 1) | B[c] needs no "| 1" -
+// the shift brings in the 0 that starts a new attempt for free.
+export const shiftOrStringMatching = (text, pattern, options = {}) => {
+  const steps = [];
+  const foundMatches = [];
+  let totalComparisons = 0;
+  const history = [];
+  const m = pattern.length;
+  const reportProgress = createProgressReporter(
+    options.onProgress,
+    text.length
+  );
+
+  const all = (1n << BigInt(m)) - 1n;
+  const masks = new Map(
+    [...buildCharacterMasks(text, pattern)].map(([character, mask]) => [
+      character,
+      ~mask & all,
+    ])
+  );
+  const auxiliary = {
+    masks: [...masks].map(([character, mask]) => ({
+      character,
+      mask: toBinary(mask, m),
+    })),
+  };
+  if (m === 0) {
+    return { steps, matches: [], comparisons: 0, history, auxiliary };
+  }
+
+  const accept = 1n << BigInt(m - 1);
+  let state = all;
+
+  for (let i = 0; i < text.length; i++) {
+    reportProgress(i);
+    const mask = masks.get(text[i]);
+    const previous = state;
+    state = ((previous << 1n) | mask) & all;
+    totalComparisons++;
+
+    // Same grid alignment as Shift-And, the longest prefix tried
+    const candidates = ((~previous << 1n) | 1n) & all;
+    const longest = candidates.toString(2).length - 1;
+    const extended = ((state >> BigInt(longest)) & 1n) === 0n;
+    const found = (state & accept) === 0n;
+    const active = (~state & all).toString(2).replace(/0/g, "").length;
+
+    let description;
+    if (found) {
+      const start = i - m + 1;
+      description = `The top bit of D is 0: match found at position ${start}!`;
+      foundMatches.push(start);
+    } else if (active === 0) {
+      description = `No prefix of the pattern ends at position ${i}, D is all ones.`;
+    } else {
+      description =
+        active === 1
+          ? `1 prefix of the pattern ends at position ${i} (one 0 bit).`
+          : `${active} prefixes of the pattern end at position ${i} (${active} 0 bits).`;
+    }
+
+    history.push({
+      step: i,
+      comparisons: 1,
+      totalComparisons: totalComparisons,
+    });
+
+    steps.push({
+      textIndex: i - longest,
+      patternIndex: longest,
+      comparisons: [{ textIndex: i, patternIndex: longest, match: extended }],
+      totalComparisons: totalComparisons,
+      description,
+      bitState: {
+        character: text[i],
+        mask: toBinary(mask, m),
+        previous: toBinary(previous, m),
+        state: toBinary(state, m),
+      },
+      code: {
+        lines: [
+          ...(i === 0 ? ["masks", "init"] : []),
+          "for",
+          "update",
+          ...(found ? ["report"] : []),
+        ],
+        variables: {
+          i,
+          "T[i]": text[i],
+          "B[T[i]]": toBinary(mask, m),
+          D: toBinary(state, m),
+        },
+      },
+    });
+  }
+
+  return {
+    steps,
+    matches: foundMatches,
+    comparisons: totalComparisons,
+    history,
+    auxiliary,
+  };
+};
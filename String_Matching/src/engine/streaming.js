@@ -0,0 +1,183 @@
+import { createProgressReporter } from "./progress";
+import { computeKMPPrefixTable, createKMPStream, prefixTableStep } from "./kmp";
+import { createRabinKarpStream } from "./rabinKarp";
+
+// Streaming mode: the text arrives in chunks of chunkSize units, the way it
+// would from a socket or a log file being tailed, and each chunk is pushed
+// through the online version of the matcher and then dropped. The only
+// thing that links one chunk to the next is the state the matcher carries
+// over - KMP's j, Rabin-Karp's rolling hash and last window - and that is
+// enough to find matches that straddle a chunk border.
+export const STREAMING_ALGORITHMS = ["kmp", "rabin-karp"];
+
+export const DEFAULT_STREAMING_OPTIONS = {
+  streaming: false,
+  chunkSize: 8,
+};
+
+const toChunkSize = (value) => {
+  const size = Number(value);
+  if (String(value).trim() === "" || !Number.isInteger(size) || size < 1) {
+    throw new Error("Chunk size must be a whole number of 1 or more.");
+  }
+  return size;
+};
+
+const range = (start, end) =>
+  start === end - 1 ? `${start}` : `${start} … ${end - 1}`;
+
+// What a chunk finds waiting for it, in words
+const describeCarried = (algorithm, carried, m) => {
+  if (carried.position === 0) return "Nothing is carried in yet.";
+  if (algorithm === "kmp") {
+    return carried.j === 0
+      ? "Carried over: j = 0, no partial match is pending."
+      : `Carried over: j = ${carried.j}, the text so far ends with P[${range(
+          0,
+          carried.j
+        )}].`;
+  }
+  const start = carried.position - carried.window.length;
+  const kept = `T[${range(start, carried.position)}]`;
+  return carried.window.length < m
+    ? `Carried over: ${kept}, the start of the first window, hashed so far to t = ${carried.textHash}.`
+    : `Carried over: t = ${carried.textHash}, the hash of the window ${kept}.`;
+};
+
+// Runs KMP or Rabin-Karp over the text chunk by chunk. The trace has the
+// same steps as the whole-text run, tagged with the chunk they were made
+// in, plus a step whenever a chunk arrives that shows what was carried in.
+// auxiliary.stream holds the chunks ({ start, end, carried }), with carried
+// the matcher's state before the chunk, and every match ({ start, step,
+// spansBorder }) - spansBorder if it started in an earlier chunk.
+export const streamingStringMatching = (
+  algorithm,
+  text,
+  pattern,
+  options = {}
+) => {
+  if (!STREAMING_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Streaming mode doesn't support ${algorithm}.`);
+  }
+  const chunkSize = toChunkSize(
+    options.chunkSize ?? DEFAULT_STREAMING_OPTIONS.chunkSize
+  );
+  const m = pattern.length;
+  const steps = [];
+  const history = [];
+  const chunks = [];
+  const streamMatches = [];
+  let chunk = 0;
+  let chunkStart = 0;
+  const reportProgress = createProgressReporter(
+    options.onProgress,
+    text.length
+  );
+
+  const addStep = (step, comparisons) => {
+    steps.push(step);
+    history.push({
+      step: steps.length - 1,
+      comparisons,
+      totalComparisons: step.totalComparisons,
+    });
+  };
+
+  // Steps from the online matcher, with the matches that reach back over a
+  // chunk border called out
+  let totalComparisons = 0;
+  const onStep = (step) => {
+    const comparisons = step.totalComparisons - totalComparisons;
+    totalComparisons = step.totalComparisons;
+    const reported = step.code.lines.includes("report");
+    const spansBorder = reported && step.textIndex < chunkStart;
+    if (reported) {
+      streamMatches.push({
+        start: step.textIndex,
+        step: steps.length,
+        spansBorder,
+      });
+    }
+    addStep(
+      {
+        ...step,
+        description: spansBorder
+          ? `${step.description} It started in chunk ${
+              Math.floor(step.textIndex / chunkSize) + 1
+            } and was found with the state carried over.`
+          : step.description,
+        stream: { chunk, ...(spansBorder && { spansBorder }) },
+      },
+      comparisons
+    );
+  };
+
+  let stream;
+  let auxiliary;
+  if (algorithm === "kmp") {
+    let preprocessingComparisons = 0;
+    const lps = computeKMPPrefixTable(pattern, (lpsBuild) => {
+      if (lpsBuild.compared) preprocessingComparisons++;
+      addStep(prefixTableStep(lpsBuild), 0);
+    });
+    stream = createKMPStream(pattern, lps, onStep);
+    auxiliary = () => ({ prefixTable: lps, preprocessingComparisons });
+  } else {
+    stream = createRabinKarpStream(pattern, options, onStep);
+    auxiliary = stream.auxiliary;
+  }
+
+  const matches = [];
+  for (chunkStart = 0; chunkStart < text.length; chunkStart += chunkSize) {
+    reportProgress(chunkStart);
+    const chunkEnd = Math.min(chunkStart + chunkSize, text.length);
+    const carried = stream.state();
+    chunks.push({ start: chunkStart, end: chunkEnd, carried });
+
+    // The chunk arrives - the pattern lines up with whatever is carried in
+    const carriedStart =
+      algorithm === "kmp"
+        ? chunkStart - carried.j
+        : chunkStart - carried.window.length;
+    addStep(
+      {
+        textIndex: carriedStart,
+        patternIndex: 0,
+        comparisons: [],
+        carried: algorithm === "kmp" ? carried.j : 0,
+        totalComparisons: carried.totalComparisons,
+        description: `Chunk ${chunk + 1} arrives: ${
+          chunkEnd - chunkStart === 1 ? "position" : "positions"
+        } ${range(chunkStart, chunkEnd)}. ${describeCarried(
+          algorithm,
+          carried,
+          m
+        )}`,
+        phase: "search",
+        stream: { chunk, arrival: true },
+        code: {
+          lines: [],
+          variables:
+            algorithm === "kmp"
+              ? { chunk: chunk + 1, j: carried.j }
+              : { chunk: chunk + 1, t: carried.textHash },
+        },
+      },
+      0
+    );
+
+    matches.push(...stream.push(text.slice(chunkStart, chunkEnd)));
+    chunk++;
+  }
+
+  return {
+    steps,
+    matches,
+    comparisons: stream.state().totalComparisons,
+    history,
+    auxiliary: {
+      ...auxiliary(),
+      stream: { chunkSize, chunks, matches: streamMatches },
+    },
+  };
+};
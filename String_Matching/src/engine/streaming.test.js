@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+import { streamingStringMatching } from "./streaming";
+import { kmpStringMatching } from "./kmp";
+import { rabinKarpStringMatching } from "./rabinKarp";
+
+const whole = {
+  kmp: kmpStringMatching,
+  "rabin-karp": rabinKarpStringMatching,
+};
+
+describe("streamingStringMatching", () => {
+  // Feeding the text in chunks mustn't change what is found or counted
+  it.each([
+    ["kmp", 1],
+    ["kmp", 3],
+    ["kmp", 4],
+    ["rabin-karp", 1],
+    ["rabin-karp", 3],
+    ["rabin-karp", 4],
+  ])("%s in chunks of %i", (algorithm, chunkSize) => {
+    const trace = streamingStringMatching(algorithm, "abababcabab", "abab", {
+      chunkSize,
+    });
+    const reference = whole[algorithm]("abababcabab", "abab");
+    expect(trace.matches).toEqual([0, 2, 7]);
+    expect(trace.comparisons).toBe(reference.comparisons);
+  });
+
+  it("marks matches that straddle a chunk border", () => {
+    const trace = streamingStringMatching("kmp", "abababcabab", "abab", {
+      chunkSize: 4,
+    });
+    const { stream } = trace.auxiliary;
+    expect(stream.chunks.map(({ start, end }) => [start, end])).toEqual([
+      [0, 4],
+      [4, 8],
+      [8, 11],
+    ]);
+    expect(
+      stream.matches.map(({ start, spansBorder }) => [start, spansBorder])
+    ).toEqual([
+      [0, false],
+      [2, true],
+      [7, true],
+    ]);
+    expect(stream.chunks[2].carried.j).toBe(1);
+
+    // The arrival step only carries the count of matched characters
+    const arrival = trace.steps.filter((step) => step.stream?.arrival)[2];
+    expect(arrival.carried).toBe(1);
+    expect(arrival.comparisons).toEqual([]);
+  });
+});
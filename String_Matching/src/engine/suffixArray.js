@@ -0,0 +1,364 @@
+import { createProgressReporter } from "./progress";
+
+// Suffix trees are only drawn for short texts, they get unreadable quickly
+export const MAX_SUFFIX_TREE_LENGTH = 40;
+
+// Suffix array by prefix doubling: suffixes are sorted by their first
+// character, then by their first 2, 4, 8... characters, using the ranks of
+// the previous round as sort keys. onRound gets each round's order.
+export const buildSuffixArray = (text, onRound) => {
+  const n = text.length;
+  let comparisons = 0;
+  const alphabet = [...new Set(Array.from({ length: n }, (_, i) => text[i]))];
+  alphabet.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const alphabetRank = new Map(alphabet.map((unit, index) => [unit, index]));
+
+  let ranks = Array.from({ length: n }, (_, i) => alphabetRank.get(text[i]));
+  let order = Array.from({ length: n }, (_, i) => i).sort(
+    (a, b) => ranks[a] - ranks[b] || a - b
+  );
+  let length = 1;
+  if (onRound) onRound({ length, order: [...order], ranks: [...ranks] });
+
+  while (length < n && new Set(ranks).size < n) {
+    const current = ranks;
+    const second = (i) => (i + length < n ? current[i + length] : -1);
+    order = [...order].sort((a, b) => {
+      comparisons++;
+      return current[a] - current[b] || second(a) - second(b);
+    });
+
+    ranks = Array(n);
+    order.forEach((suffix, index) => {
+      const previous = order[index - 1];
+      ranks[suffix] =
+        index > 0 &&
+        current[previous] === current[suffix] &&
+        second(previous) === second(suffix)
+          ? ranks[previous]
+          : index;
+    });
+    length *= 2;
+    if (onRound) onRound({ length, order: [...order], ranks: [...ranks] });
+  }
+
+  return { suffixArray: order, comparisons };
+};
+
+// Kasai's algorithm - the LCP of each suffix with the one before it in the
+// suffix array. Suffixes are visited in text order, and the common prefix
+// can only shrink by one from one suffix to the next.
+// lcp[r] belongs to suffixArray[r], lcp[0] is 0.
+export const computeLCPArray = (text, suffixArray, onStep) => {
+  const n = text.length;
+  const rank = Array(n);
+  suffixArray.forEach((suffix, r) => {
+    rank[suffix] = r;
+  });
+  const lcp = Array(n).fill(0);
+  let comparisons = 0;
+  let h = 0;
+
+  for (let i = 0; i < n; i++) {
+    if (rank[i] === 0) {
+      h = 0;
+      if (onStep) onStep({ suffix: i, rank: 0, previous: null, value: 0 });
+      continue;
+    }
+    const j = suffixArray[rank[i] - 1];
+    while (i + h < n && j + h < n) {
+      comparisons++;
+      if (text[i + h] !== text[j + h]) break;
+      h++;
+    }
+    lcp[rank[i]] = h;
+    if (onStep) onStep({ suffix: i, rank: rank[i], previous: j, value: h });
+    if (h > 0) h--;
+  }
+
+  return { lcp, rank, comparisons };
+};
+
+// Compact suffix tree from the suffix array and LCP array. Leaves come out
+// in suffix array order. A node's edge label is text[start, end); a node
+// with a suffix set is where that suffix ends (a leaf, or an inner node when
+// the suffix is a prefix of a longer one). low / high are the suffix array
+// ranks covered by the node's subtree.
+export const buildSuffixTree = (text, suffixArray, lcp) => {
+  const n = text.length;
+  const nodes = [
+    {
+      id: 0,
+      parent: null,
+      children: [],
+      depth: 0,
+      start: 0,
+      end: 0,
+      suffix: null,
+    },
+  ];
+  const addNode = (node) => {
+    const created = { id: nodes.length, children: [], suffix: null, ...node };
+    nodes.push(created);
+    return created;
+  };
+  const stack = [nodes[0]];
+  // Any suffix passing through a node, to read its edge label from
+  const through = new Map([[0, 0]]);
+
+  suffixArray.forEach((suffix, r) => {
+    const common = r === 0 ? 0 : lcp[r];
+    let last = null;
+    while (stack[stack.length - 1].depth > common) last = stack.pop();
+    let top = stack[stack.length - 1];
+
+    // Split the edge we just climbed out of
+    if (top.depth < common) {
+      const inner = addNode({ parent: top.id, depth: common });
+      top.children[top.children.indexOf(last.id)] = inner.id;
+      inner.children.push(last.id);
+      last.parent = inner.id;
+      through.set(inner.id, through.get(last.id));
+      stack.push(inner);
+      top = inner;
+    }
+
+    if (top.depth === n - suffix) {
+      top.suffix = suffix;
+      through.set(top.id, suffix);
+    } else {
+      const leaf = addNode({ parent: top.id, depth: n - suffix, suffix });
+      top.children.push(leaf.id);
+      through.set(leaf.id, suffix);
+      stack.push(leaf);
+    }
+  });
+
+  // Edge labels and rank ranges, children before parents
+  const rankOf = Array(n);
+  suffixArray.forEach((suffix, r) => {
+    rankOf[suffix] = r;
+  });
+  for (let id = nodes.length - 1; id >= 0; id--) {
+    const node = nodes[id];
+    const parentDepth = node.parent === null ? 0 : nodes[node.parent].depth;
+    const anySuffix = through.get(id);
+    node.start = anySuffix + parentDepth;
+    node.end = anySuffix + node.depth;
+  }
+  const assignRanks = (id) => {
+    const node = nodes[id];
+    node.low = node.suffix !== null ? rankOf[node.suffix] : Infinity;
+    node.high = node.suffix !== null ? rankOf[node.suffix] : -Infinity;
+    node.children.forEach((child) => {
+      assignRanks(child);
+      node.low = Math.min(node.low, nodes[child].low);
+      node.high = Math.max(node.high, nodes[child].high);
+    });
+  };
+  if (n > 0) assignRanks(0);
+
+  return nodes;
+};
+
+export const SUFFIX_ARRAY_PSEUDOCODE = [
+  {
+    id: "sort",
+    text: "sort the suffixes by their first 1, 2, 4, … characters",
+  },
+  { id: "lcp", text: "for each suffix in text order (Kasai)" },
+  {
+    id: "lcp-set",
+    text: "  LCP[rank] ← common prefix with the suffix ranked before it",
+  },
+  { id: "search-init", text: "low ← 0, high ← n" },
+  { id: "search-while", text: "while low < high" },
+  {
+    id: "mid",
+    text: "  mid ← ⌊(low + high) / 2⌋, compare P with suffix SA[mid]",
+  },
+  {
+    id: "go-right",
+    text: "  if P is bigger (or a prefix, for the last occurrence): low ← mid + 1",
+  },
+  { id: "go-left", text: "  else high ← mid" },
+  { id: "report", text: "every suffix ranked in [first, last) starts with P" },
+];
+
+// Compare the pattern with the first m characters of a suffix
+const compareWithSuffix = (text, pattern, suffix, comparisons) => {
+  for (let j = 0; j < pattern.length; j++) {
+    if (suffix + j >= text.length) {
+      return { outcome: "greater", checked: j };
+    }
+    const match = text[suffix + j] === pattern[j];
+    comparisons.push({ textIndex: suffix + j, patternIndex: j, match });
+    if (!match) {
+      return {
+        outcome: pattern[j] < text[suffix + j] ? "less" : "greater",
+        checked: j + 1,
+      };
+    }
+  }
+  return { outcome: "prefix", checked: pattern.length };
+};
+
+// Build the suffix array (and LCP array) of the text once, then find the
+// pattern with two binary searches - the first and one past the last suffix
+// starting with the pattern. All occurrences sit between them.
+export const suffixArrayStringMatching = (text, pattern, options = {}) => {
+  const steps = [];
+  let totalComparisons = 0;
+  const history = [];
+  const n = text.length;
+  const m = pattern.length;
+  const reportProgress = createProgressReporter(options.onProgress, n * 2);
+
+  const pushStep = (step) => {
+    history.push({
+      step: steps.length,
+      comparisons: step.comparisons.length,
+      totalComparisons: step.totalComparisons,
+    });
+    steps.push(step);
+  };
+
+  // Construction: sorting rounds, then the LCP array
+  const { suffixArray, comparisons: sortComparisons } = buildSuffixArray(
+    text,
+    (round) =>
+      pushStep({
+        textIndex: 0,
+        patternIndex: 0,
+        comparisons: [],
+        totalComparisons: 0,
+        phase: "preprocessing",
+        suffixBuild: round,
+        code: { lines: ["sort"], variables: { length: round.length } },
+        description:
+          round.length === 1
+            ? "Sorted the suffixes by their first character."
+            : `Sorted the suffixes by their first ${round.length} characters, using the ranks of the previous round as keys.`,
+      })
+  );
+
+  const { lcp, comparisons: lcpComparisons } = computeLCPArray(
+    text,
+    suffixArray,
+    (lcpStep) => {
+      reportProgress(lcpStep.suffix);
+      pushStep({
+        textIndex: lcpStep.suffix,
+        patternIndex: 0,
+        comparisons: [],
+        totalComparisons: 0,
+        phase: "preprocessing",
+        lcpStep,
+        code: {
+          lines: ["lcp", "lcp-set"],
+          variables: {
+            suffix: lcpStep.suffix,
+            rank: lcpStep.rank,
+            "LCP[rank]": lcpStep.value,
+          },
+        },
+        description:
+          lcpStep.previous === null
+            ? `Suffix ${lcpStep.suffix} comes first in the suffix array, lcp = 0.`
+            : `Suffix ${lcpStep.suffix} and suffix ${lcpStep.previous} before it have a common prefix of length ${lcpStep.value}, lcp[${lcpStep.rank}] = ${lcpStep.value}.`,
+      });
+    }
+  );
+
+  // Query: lower bound, then upper bound
+  const binarySearch = (bound) => {
+    let low = 0;
+    let high = n;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      const suffix = suffixArray[mid];
+      const comparisons = [];
+      const { outcome } = compareWithSuffix(text, pattern, suffix, comparisons);
+      totalComparisons += comparisons.length;
+      reportProgress(n + mid);
+
+      const goRight =
+        outcome === "greater" || (bound === "upper" && outcome === "prefix");
+      const before = { low, high };
+      if (goRight) low = mid + 1;
+      else high = mid;
+
+      pushStep({
+        textIndex: suffix,
+        patternIndex: 0,
+        comparisons,
+        totalComparisons: totalComparisons,
+        phase: "search",
+        suffixSearch: { bound, ...before, mid, outcome, next: { low, high } },
+        code: {
+          lines: [
+            ...(before.low === 0 && before.high === n ? ["search-init"] : []),
+            "search-while",
+            "mid",
+            goRight ? "go-right" : "go-left",
+          ],
+          variables: { search: bound, ...before, mid, "SA[mid]": suffix },
+        },
+        description: `${
+          bound === "lower" ? "First" : "Last"
+        } occurrence search: suffix ${suffix} (rank ${mid}) ${
+          outcome === "prefix"
+            ? "starts with the pattern"
+            : outcome === "less"
+            ? "is bigger than the pattern"
+            : "is smaller than the pattern"
+        }, interval is now [${low}, ${high}).`,
+      });
+    }
+    return low;
+  };
+
+  const first = m > 0 ? binarySearch("lower") : 0;
+  const last = m > 0 ? binarySearch("upper") : 0;
+  const matches = suffixArray.slice(first, last).sort((a, b) => a - b);
+
+  pushStep({
+    textIndex: matches[0] ?? 0,
+    patternIndex: 0,
+    comparisons: [],
+    totalComparisons: totalComparisons,
+    phase: "search",
+    suffixSearch: {
+      bound: "done",
+      low: first,
+      high: last,
+      mid: null,
+      outcome: null,
+      next: { low: first, high: last },
+    },
+    code: { lines: ["report"], variables: { first, last } },
+    description:
+      matches.length > 0
+        ? `Suffix array ranks [${first}, ${last}) all start with the pattern: ${
+            matches.length
+          } occurrence${matches.length === 1 ? "" : "s"}.`
+        : "The interval is empty, the pattern does not occur in the text.",
+  });
+
+  return {
+    steps,
+    matches,
+    comparisons: totalComparisons,
+    history,
+    auxiliary: {
+      suffixArray,
+      lcp,
+      interval: [first, last],
+      preprocessingComparisons: sortComparisons + lcpComparisons,
+      suffixTree:
+        n <= MAX_SUFFIX_TREE_LENGTH
+          ? buildSuffixTree(text, suffixArray, lcp)
+          : null,
+    },
+  };
+};
@@ -0,0 +1,33 @@
+import { describe, expect, it } from "vitest";
+import {
+  suffixArrayStringMatching,
+  buildSuffixArray,
+  computeLCPArray,
+} from "./suffixArray";
+
+describe("suffix array construction", () => {
+  it("sorts the suffixes of banana", () => {
+    const { suffixArray } = buildSuffixArray("banana");
+    expect(suffixArray).toEqual([5, 3, 1, 0, 4, 2]);
+    expect(computeLCPArray("banana", suffixArray).lcp).toEqual([
+      0, 1, 3, 0, 0, 2,
+    ]);
+  });
+});
+
+describe("suffixArrayStringMatching", () => {
+  // Comparisons are the ones made by the two binary searches
+  it.each([
+    ["abababcabab", "abab", [0, 2, 7], 23],
+    ["aaaaaaaaab", "aaab", [6], 26],
+    ["the quick brown fox", "fox", [16], 13],
+    ["GCATCGCAGAGAGTATACAGTACG", "GCAGAGAG", [5], 34],
+    ["banana", "ana", [1, 3], 12],
+    ["abc", "d", [], 4],
+    ["ab", "abc", [], 6],
+  ])("finds %j in %j", (text, pattern, matches, comparisons) => {
+    const trace = suffixArrayStringMatching(text, pattern);
+    expect(trace.matches).toEqual(matches);
+    expect(trace.comparisons).toBe(comparisons);
+  });
+});
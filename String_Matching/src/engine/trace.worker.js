@@ -0,0 +1,23 @@
+// Generates traces off the main thread so big texts don't freeze the page.
+// Traces over MAX_TRACE_STEPS steps are truncated before they're posted.
+// Messages in:  { id, algorithm, text, pattern, options }
+// Messages out: { id, type: "progress", fraction }
+//               { id, type: "done", trace }
+//               { id, type: "error", message }
+import { runAlgorithm } from "./index";
+import { truncateTrace } from "./truncate";
+
+self.onmessage = ({ data }) => {
+  const { id, algorithm, text, pattern, options } = data;
+
+  try {
+    const trace = runAlgorithm(algorithm, text, pattern, {
+      ...options,
+      onProgress: (fraction) =>
+        self.postMessage({ id, type: "progress", fraction }),
+    });
+    self.postMessage({ id, type: "done", trace: truncateTrace(trace) });
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: err.message });
+  }
+};
@@ -0,0 +1,16 @@
+// Traces with more steps than this are cut short before they leave the
+// trace worker - posting millions of steps back (and keeping them around
+// for playback) would freeze the page
+export const MAX_TRACE_STEPS = 100000;
+
+// Keep the first maxSteps steps and their history. matches and comparisons
+// still cover the whole run, truncated.totalSteps says how long it was.
+export const truncateTrace = (trace, maxSteps = MAX_TRACE_STEPS) => {
+  if (trace.steps.length <= maxSteps) return trace;
+  return {
+    ...trace,
+    steps: trace.steps.slice(0, maxSteps),
+    history: trace.history.slice(0, maxSteps),
+    truncated: { totalSteps: trace.steps.length },
+  };
+};
@@ -0,0 +1,20 @@
+import { describe, expect, it } from "vitest";
+import { naiveStringMatching } from "./naive";
+import { truncateTrace } from "./truncate";
+
+describe("truncateTrace", () => {
+  it("leaves traces within the budget alone", () => {
+    const trace = naiveStringMatching("abababcabab", "abab");
+    expect(truncateTrace(trace, trace.steps.length)).toBe(trace);
+  });
+
+  it("keeps the first steps but the whole run's results", () => {
+    const trace = naiveStringMatching("abababcabab", "abab");
+    const truncated = truncateTrace(trace, 3);
+    expect(truncated.steps).toEqual(trace.steps.slice(0, 3));
+    expect(truncated.history).toEqual(trace.history.slice(0, 3));
+    expect(truncated.matches).toEqual([0, 2, 7]);
+    expect(truncated.comparisons).toBe(trace.comparisons);
+    expect(truncated.truncated).toEqual({ totalSteps: trace.steps.length });
+  });
+});
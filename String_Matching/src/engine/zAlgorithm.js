@@ -0,0 +1,143 @@
+import { createProgressReporter } from "./progress";
+
+// Stands for the '$' between pattern and text - an object, so it never
+// equals any text or pattern character
+const SEPARATOR = {};
+
+export const Z_PSEUDOCODE = [
+  { id: "init", text: "S ← P + $ + T, L ← 0, R ← 0" },
+  { id: "for", text: "for k ← 1 to |S| − 1" },
+  { id: "inside", text: "  if k ≤ R: Z[k] ← min(Z[k − L], R − k + 1)" },
+  { id: "outside", text: "  else Z[k] ← 0" },
+  { id: "extend", text: "  while S[Z[k]] = S[k + Z[k]]: Z[k] ← Z[k] + 1" },
+  { id: "box", text: "  if k + Z[k] − 1 > R: L ← k, R ← k + Z[k] − 1" },
+  {
+    id: "report",
+    text: "  if k > m and Z[k] = m, report a match at k − m − 1",
+  },
+];
+
+// Z-algorithm over pattern + '$' + text. Z[k] is the length of the longest
+// substring starting at k that is also a prefix of the whole string, and
+// [L, R] is the rightmost such match found so far. Inside the box Z[k] starts
+// from Z[k - L] instead of 0, which is what keeps the whole run linear.
+// Z[k] == m in the text part means the pattern occurs there.
+export const zStringMatching = (text, pattern, options = {}) => {
+  const steps = [];
+  const foundMatches = [];
+  let totalComparisons = 0;
+  let preprocessingComparisons = 0;
+  const history = [];
+  const m = pattern.length;
+  const combined = [];
+  for (let j = 0; j < m; j++) combined.push(pattern[j]);
+  combined.push(SEPARATOR);
+  for (let i = 0; i < text.length; i++) combined.push(text[i]);
+  const size = combined.length;
+  const reportProgress = createProgressReporter(options.onProgress, size);
+
+  const z = Array(size).fill(0);
+  z[0] = size;
+  let left = 0;
+  let right = 0;
+
+  for (let k = 1; k < size; k++) {
+    reportProgress(k);
+    const box = { left, right };
+    const inside = k <= right;
+    const inherited = inside ? Math.min(z[k - left], right - k + 1) : null;
+    let value = inherited ?? 0;
+
+    // Extend past what the box already tells us
+    const compared = [];
+    while (k + value < size) {
+      const match = combined[value] === combined[k + value];
+      compared.push({ index: k + value, prefixIndex: value, match });
+      if (!match) break;
+      value++;
+    }
+    z[k] = value;
+    const boxMoved = value > 0 && k + value - 1 > right;
+    if (boxMoved) {
+      left = k;
+      right = k + value - 1;
+    }
+
+    const inText = k > m;
+    const textIndex = k - m - 1;
+    const found = inText && value === m;
+    if (found) foundMatches.push(textIndex);
+
+    let description;
+    if (inside) {
+      const { left: l, right: r } = box;
+      description = `k = ${k} is inside the box [${l}, ${r}], start from min(Z[${
+        k - l
+      }], ${r - k + 1}) = ${inherited}`;
+    } else {
+      description = `k = ${k} is outside the box, compare from scratch`;
+    }
+    description += `; Z[${k}] = ${value}.`;
+    if (found) description += ` Match found at position ${textIndex}!`;
+
+    // Comparisons in the text part are pattern against text, the ones
+    // before it build the pattern's own Z-values
+    let comparisons = [];
+    if (inText) {
+      comparisons = compared
+        .filter((c) => c.prefixIndex < m)
+        .map((c) => ({
+          textIndex: c.index - m - 1,
+          patternIndex: c.prefixIndex,
+          match: c.match,
+        }));
+      totalComparisons += compared.length;
+    } else {
+      preprocessingComparisons += compared.length;
+    }
+
+    history.push({
+      step: steps.length,
+      comparisons: inText ? compared.length : 0,
+      totalComparisons: totalComparisons,
+    });
+
+    steps.push({
+      phase: inText ? "search" : "preprocessing",
+      textIndex: inText ? textIndex : 0,
+      patternIndex: 0,
+      comparisons,
+      totalComparisons: totalComparisons,
+      description,
+      zBox: {
+        k,
+        value,
+        inherited,
+        previousLeft: box.left,
+        previousRight: box.right,
+        left,
+        right,
+        compared: compared.map((c) => c.index),
+      },
+      code: {
+        lines: [
+          ...(k === 1 ? ["init"] : []),
+          "for",
+          inside ? "inside" : "outside",
+          ...(compared.length > 0 ? ["extend"] : []),
+          ...(boxMoved ? ["box"] : []),
+          ...(found ? ["report"] : []),
+        ],
+        variables: { k, "Z[k]": value, L: left, R: right },
+      },
+    });
+  }
+
+  return {
+    steps,
+    matches: foundMatches,
+    comparisons: totalComparisons,
+    history,
+    auxiliary: { zArray: z, preprocessingComparisons },
+  };
+};
@@ -0,0 +1,24 @@
+import { describe, expect, it } from "vitest";
+import { zStringMatching } from "./zAlgorithm";
+
+describe("zStringMatching", () => {
+  // Comparisons cover the whole of pattern + '$' + text
+  it.each([
+    ["abababcabab", "abab", [0, 2, 7], 19],
+    ["aaaaaaaaab", "aaab", [6], 19],
+    ["the quick brown fox", "fox", [16], 21],
+    ["GCATCGCAGAGAGTATACAGTACG", "GCAGAGAG", [5], 36],
+    ["abc", "d", [], 3],
+    ["ab", "abc", [], 3],
+  ])("finds %j in %j", (text, pattern, matches, comparisons) => {
+    const trace = zStringMatching(text, pattern);
+    expect(trace.matches).toEqual(matches);
+    expect(trace.comparisons).toBe(comparisons);
+  });
+
+  it("computes the Z-array of pattern + '$' + text", () => {
+    expect(zStringMatching("abab", "ab").auxiliary.zArray).toEqual([
+      7, 0, 0, 2, 0, 2, 0,
+    ]);
+  });
+});
@@ -0,0 +1,113 @@
+// Minimal animated GIF89a encoder - every frame shares one global palette
+// and pixels are given as palette indices, which is all the trace renderer
+// needs. No dithering, no transparency.
+
+// Variable-width LZW as used by GIF, packed into 255 byte sub-blocks
+const lzwEncode = (indices, minCodeSize) => {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const output = [];
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const writeCode = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      output.push(bitBuffer & 0xff);
+      bitBuffer >>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  writeCode(clearCode);
+  let prefix = indices[0];
+
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = prefix * 256 + k;
+    const code = table.get(key);
+
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    writeCode(prefix);
+    if (nextCode < 4096) {
+      table.set(key, nextCode++);
+      if (nextCode > 1 << codeSize && codeSize < 12) codeSize++;
+    } else {
+      // Table is full, start over
+      writeCode(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    }
+    prefix = k;
+  }
+
+  writeCode(prefix);
+  writeCode(endCode);
+  if (bitCount > 0) output.push(bitBuffer & 0xff);
+
+  const blocks = [];
+  for (let i = 0; i < output.length; i += 255) {
+    const chunk = output.slice(i, i + 255);
+    blocks.push(chunk.length, ...chunk);
+  }
+  blocks.push(0);
+  return blocks;
+};
+
+// frames: { indices: Uint8Array(width * height), delay: hundredths of a second }[]
+// palette: [r, g, b][] with at most 256 entries
+export const encodeGif = (width, height, palette, frames) => {
+  let tableBits = 1;
+  while (1 << tableBits < palette.length) tableBits++;
+  const tableSize = 1 << tableBits;
+
+  const bytes = [];
+  const word = (value) => bytes.push(value & 0xff, (value >> 8) & 0xff);
+  const ascii = (str) => bytes.push(...Array.from(str, (c) => c.charCodeAt(0)));
+
+  // Header and logical screen descriptor with a global colour table
+  ascii("GIF89a");
+  word(width);
+  word(height);
+  bytes.push(0x80 | ((tableBits - 1) << 4) | (tableBits - 1), 0, 0);
+  for (let i = 0; i < tableSize; i++) {
+    bytes.push(...(palette[i] || [0, 0, 0]));
+  }
+
+  // Netscape extension - loop forever
+  bytes.push(0x21, 0xff, 0x0b);
+  ascii("NETSCAPE2.0");
+  bytes.push(0x03, 0x01, 0x00, 0x00, 0x00);
+
+  frames.forEach(({ indices, delay }) => {
+    // Graphic control extension with the frame delay
+    bytes.push(0x21, 0xf9, 0x04, 0x00);
+    word(delay);
+    bytes.push(0x00, 0x00);
+
+    // Image descriptor, full frame, no local colour table
+    bytes.push(0x2c);
+    word(0);
+    word(0);
+    word(width);
+    word(height);
+    bytes.push(0x00);
+
+    const minCodeSize = Math.max(2, tableBits);
+    bytes.push(minCodeSize);
+    const data = lzwEncode(indices, minCodeSize);
+    for (let i = 0; i < data.length; i++) bytes.push(data[i]);
+  });
+
+  bytes.push(0x3b);
+  return new Uint8Array(bytes);
+};
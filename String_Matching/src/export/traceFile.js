@@ -0,0 +1,80 @@
+// JSON and CSV export of a finished run, and re-import of the JSON so a run
+// can be replayed without recomputing it
+import { findPlugin } from "../plugins/registry";
+import { sanitizeScenario } from "../permalink";
+
+const FORMAT = "string-matching-trace";
+const VERSION = 1;
+
+export const traceToJson = (scenario, trace) =>
+  JSON.stringify(
+    {
+      format: FORMAT,
+      version: VERSION,
+      ...scenario,
+      trace,
+    },
+    null,
+    2
+  );
+
+// Returns { scenario, trace }, throws if the file isn't one of our traces
+// or its algorithm isn't among the plugins
+export const parseTraceJson = (json, plugins) => {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error("Trace file is not valid JSON");
+  }
+
+  if (data?.format !== FORMAT) {
+    throw new Error("Not a string matching trace file");
+  }
+  if (data.version > VERSION) {
+    throw new Error(`Trace file version ${data.version} is not supported`);
+  }
+
+  const { trace } = data;
+  if (
+    !trace ||
+    !Array.isArray(trace.steps) ||
+    !Array.isArray(trace.matches) ||
+    !Array.isArray(trace.history)
+  ) {
+    throw new Error("Trace file is missing steps, matches or history");
+  }
+
+  const scenario = sanitizeScenario(data);
+  if (!findPlugin(plugins, scenario.algorithm)) {
+    throw new Error(`Unknown algorithm in trace file: ${scenario.algorithm}`);
+  }
+
+  // The step is up to the viewer, start replaying from the beginning
+  delete scenario.step;
+  return {
+    scenario,
+    trace: { auxiliary: {}, ...trace },
+  };
+};
+
+export const historyToCsv = (history) =>
+  [
+    "step,comparisons,totalComparisons",
+    ...history.map(
+      (entry) => `${entry.step},${entry.comparisons},${entry.totalComparisons}`
+    ),
+  ].join("\n") + "\n";
+
+// Hand the browser a file to save
+export const downloadFile = (filename, content, type) => {
+  const blob =
+    content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Give the download a moment to start before freeing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
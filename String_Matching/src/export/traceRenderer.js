@@ -0,0 +1,237 @@
+import { stepComparisons } from "../engine";
+import { encodeGif } from "./gifEncoder";
+import { visibleCharacter } from "../components/visibleWhitespace";
+
+// Colours the frames are drawn with. Text is anti-aliased, so a few greys
+// are included for the edge pixels to snap to.
+const PALETTE = [
+  [255, 255, 255], // background
+  [17, 24, 39], // text
+  [75, 85, 99],
+  [156, 163, 175],
+  [229, 231, 235], // cell border
+  [187, 247, 208], // match
+  [254, 202, 202], // mismatch
+  [254, 249, 195],
+  [219, 234, 254], // pattern
+  [59, 130, 246], // pattern border / window start
+  [37, 99, 235],
+  [22, 163, 74],
+  [220, 38, 38],
+  [234, 88, 12],
+  [243, 244, 246], // status box
+  [0, 0, 0],
+];
+
+const rgb = ([r, g, b]) => `rgb(${r}, ${g}, ${b})`;
+const COLORS = {
+  background: rgb(PALETTE[0]),
+  text: rgb(PALETTE[1]),
+  muted: rgb(PALETTE[2]),
+  border: rgb(PALETTE[4]),
+  match: rgb(PALETTE[5]),
+  mismatch: rgb(PALETTE[6]),
+  pattern: rgb(PALETTE[8]),
+  window: rgb(PALETTE[9]),
+  status: rgb(PALETTE[14]),
+};
+
+const CELL = 24;
+const PADDING = 12;
+const MAX_COLUMNS = 40;
+const STATUS_HEIGHT = 44;
+
+// Which slice of the text to draw - long texts scroll so the pattern's
+// window stays on screen
+const visibleRange = (textLength, patternLength, textIndex) => {
+  const columns = Math.min(Math.max(textLength, 1), MAX_COLUMNS);
+  const center = (textIndex || 0) + Math.floor(patternLength / 2);
+  const start = Math.min(
+    Math.max(center - Math.floor(columns / 2), 0),
+    Math.max(textLength - columns, 0)
+  );
+  return { start, columns };
+};
+
+export const frameSize = (text) => {
+  const columns = Math.min(Math.max(text.length, 1), MAX_COLUMNS);
+  return {
+    width: PADDING * 2 + columns * CELL,
+    height: PADDING * 3 + CELL * 2 + STATUS_HEIGHT,
+  };
+};
+
+const drawCell = (ctx, x, y, char, fill, border, borderWidth = 1) => {
+  if (fill) {
+    ctx.fillStyle = fill;
+    ctx.fillRect(x, y, CELL, CELL);
+  }
+  ctx.strokeStyle = border;
+  ctx.lineWidth = borderWidth;
+  ctx.strokeRect(x + 0.5, y + 0.5, CELL - 1, CELL - 1);
+  ctx.fillStyle = COLORS.text;
+  ctx.fillText(char, x + CELL / 2, y + CELL / 2 + 1);
+};
+
+// Draw one step of the visualization, the same way the text and pattern
+// rows look on screen
+export const drawStep = (ctx, { text, pattern, step, stepNumber, total }) => {
+  const { width, height } = frameSize(text);
+  const { start, columns } = visibleRange(
+    text.length,
+    pattern.length,
+    step.textIndex
+  );
+  const comparisons = stepComparisons(step);
+
+  ctx.fillStyle = COLORS.background;
+  ctx.fillRect(0, 0, width, height);
+  ctx.font = "14px monospace";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+
+  // Text row
+  for (let col = 0; col < columns && start + col < text.length; col++) {
+    const index = start + col;
+    const compared = comparisons.filter((c) => c.textIndex === index);
+    const fill = compared.some((c) => c.match)
+      ? COLORS.match
+      : compared.some((c) => !c.match)
+      ? COLORS.mismatch
+      : null;
+    const isStart = index === step.textIndex;
+    drawCell(
+      ctx,
+      PADDING + col * CELL,
+      PADDING,
+      visibleCharacter(text[index]),
+      fill,
+      isStart ? COLORS.window : COLORS.border,
+      isStart ? 2 : 1
+    );
+  }
+
+  // Pattern row, aligned under the current window
+  if (pattern.length > 0 && step.phase !== "preprocessing") {
+    for (let j = 0; j < pattern.length; j++) {
+      const col = (step.textIndex || 0) + j - start;
+      if (col < 0 || col >= columns) continue;
+      const compared = comparisons.filter((c) => c.patternIndex === j);
+      const fill = compared.some((c) => c.match)
+        ? COLORS.match
+        : compared.some((c) => !c.match)
+        ? COLORS.mismatch
+        : COLORS.pattern;
+      drawCell(
+        ctx,
+        PADDING + col * CELL,
+        PADDING * 2 + CELL,
+        visibleCharacter(pattern[j]),
+        fill,
+        COLORS.window
+      );
+    }
+  }
+
+  // Status line
+  const statusY = PADDING * 3 + CELL * 2;
+  ctx.fillStyle = COLORS.status;
+  ctx.fillRect(PADDING, statusY, width - PADDING * 2, STATUS_HEIGHT - 4);
+  ctx.textAlign = "left";
+  ctx.fillStyle = COLORS.text;
+  ctx.font = "12px sans-serif";
+  ctx.fillText(step.description || "", PADDING + 6, statusY + 12, width - 24);
+  ctx.fillStyle = COLORS.muted;
+  ctx.fillText(
+    `Step ${stepNumber} of ${total} · Comparisons: ${
+      step.totalComparisons || 0
+    }`,
+    PADDING + 6,
+    statusY + 28,
+    width - 24
+  );
+};
+
+// Snap every pixel to the nearest palette entry
+const toIndices = (data) => {
+  const indices = new Uint8Array(data.length / 4);
+  const cache = new Map();
+
+  for (let p = 0; p < indices.length; p++) {
+    const r = data[p * 4];
+    const g = data[p * 4 + 1];
+    const b = data[p * 4 + 2];
+    const key = (r << 16) | (g << 8) | b;
+
+    let best = cache.get(key);
+    if (best === undefined) {
+      let bestDistance = Infinity;
+      PALETTE.forEach(([pr, pg, pb], i) => {
+        const distance = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = i;
+        }
+      });
+      cache.set(key, best);
+    }
+    indices[p] = best;
+  }
+  return indices;
+};
+
+// Longer runs are sampled down to this many frames, every frame costs a
+// full canvas read and the GIF would run for ages anyway
+export const MAX_GIF_FRAMES = 300;
+
+// Which steps become frames - all of them for short runs, otherwise evenly
+// spaced ones that keep the first and the last step
+export const gifFrameSteps = (stepCount) => {
+  if (stepCount <= MAX_GIF_FRAMES) {
+    return Array.from({ length: stepCount }, (_, i) => i);
+  }
+  return Array.from({ length: MAX_GIF_FRAMES }, (_, i) =>
+    Math.round((i * (stepCount - 1)) / (MAX_GIF_FRAMES - 1))
+  );
+};
+
+// Render the steps offline to an animated GIF (sampled, see gifFrameSteps).
+// Frames are drawn one at a time with a yield in between so the page stays
+// responsive; onProgress gets the fraction done.
+export const renderTraceGif = async ({
+  text,
+  pattern,
+  steps,
+  frameDelay,
+  onProgress,
+}) => {
+  const { width, height } = frameSize(text);
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+
+  const frameSteps = gifFrameSteps(steps.length);
+  const frames = [];
+  for (let i = 0; i < frameSteps.length; i++) {
+    const stepIndex = frameSteps[i];
+    drawStep(ctx, {
+      text,
+      pattern,
+      step: steps[stepIndex],
+      stepNumber: stepIndex + 1,
+      total: steps.length,
+    });
+    frames.push({
+      indices: toIndices(ctx.getImageData(0, 0, width, height).data),
+      delay: Math.max(2, Math.round(frameDelay / 10)),
+    });
+
+    if (onProgress) onProgress((i + 1) / frameSteps.length);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  return new Blob([encodeGif(width, height, PALETTE, frames)], {
+    type: "image/gif",
+  });
+};
@@ -0,0 +1,18 @@
+import { describe, expect, it } from "vitest";
+import { gifFrameSteps, MAX_GIF_FRAMES } from "./traceRenderer";
+
+describe("gifFrameSteps", () => {
+  it("keeps every step of a short run", () => {
+    expect(gifFrameSteps(4)).toEqual([0, 1, 2, 3]);
+  });
+
+  it("samples long runs down, keeping the first and last step", () => {
+    const frames = gifFrameSteps(100000);
+    expect(frames).toHaveLength(MAX_GIF_FRAMES);
+    expect(frames[0]).toBe(0);
+    expect(frames[frames.length - 1]).toBe(99999);
+    frames
+      .slice(1)
+      .forEach((step, i) => expect(step).toBeGreaterThan(frames[i]));
+  });
+});
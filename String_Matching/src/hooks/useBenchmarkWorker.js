@@ -0,0 +1,75 @@
+import { useState, useRef, useEffect, useCallback } from "react";
+
+let nextId = 0;
+
+// Runs benchmark sweeps in a web worker, like useTraceWorker does for
+// traces. run() resolves with the result rows, or with null if cancelled.
+export const useBenchmarkWorker = () => {
+  const workerRef = useRef(null);
+  const pendingRef = useRef(null);
+  const [progress, setProgress] = useState(null);
+
+  const cancel = useCallback(() => {
+    if (!pendingRef.current) return;
+    workerRef.current.terminate();
+    workerRef.current = null;
+    pendingRef.current.resolve(null);
+    pendingRef.current = null;
+    setProgress(null);
+  }, []);
+
+  useEffect(
+    () => () => {
+      cancel();
+      workerRef.current?.terminate();
+    },
+    [cancel]
+  );
+
+  const run = useCallback(
+    (settings) => {
+      cancel();
+
+      if (!workerRef.current) {
+        workerRef.current = new Worker(
+          new URL("../benchmark/benchmark.worker.js", import.meta.url),
+          { type: "module" }
+        );
+      }
+      const worker = workerRef.current;
+      const id = ++nextId;
+
+      return new Promise((resolve, reject) => {
+        const finish = () => {
+          pendingRef.current = null;
+          setProgress(null);
+        };
+
+        pendingRef.current = { id, resolve };
+        setProgress(0);
+
+        worker.onmessage = ({ data }) => {
+          if (data.id !== id) return;
+          if (data.type === "progress") {
+            setProgress(data.fraction);
+          } else if (data.type === "done") {
+            finish();
+            resolve(data.rows);
+          } else {
+            finish();
+            reject(new Error(data.message));
+          }
+        };
+        worker.onerror = (event) => {
+          finish();
+          reject(new Error(event.message || "Benchmark worker failed"));
+        };
+
+        worker.postMessage({ id, settings });
+      });
+    },
+    [cancel]
+  );
+
+  return { run, cancel, progress, isRunning: progress !== null };
+};
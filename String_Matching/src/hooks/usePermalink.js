@@ -0,0 +1,105 @@
+import { useEffect, useRef } from "react";
+import {
+  readScenarioFromUrl,
+  encodeScenario,
+  scenarioUrl,
+  scenarioKey,
+  fitsInLink,
+  plainUrl,
+} from "../permalink";
+
+// Keeps the URL in sync with the scenario while a run is active. A new run
+// pushes a history entry, stepping or changing speed just replaces the
+// current one, so back/forward walks through earlier runs.
+//
+// scenario holds the inputs and options and is encoded again whenever its
+// identity changes, so keep it memoized; view is { speed, step }, which is
+// cheap to update. Scenarios whose text doesn't fit in a link leave the URL
+// without one.
+//
+// onRestore is called with the scenario from the URL on load, and on
+// back/forward navigation (with {} when the entry has no scenario).
+export const usePermalink = (scenario, view, active, onRestore) => {
+  const onRestoreRef = useRef(onRestore);
+  const lastKeyRef = useRef(null);
+  // The scenario last encoded, with its encoding and key
+  const encodedRef = useRef(null);
+
+  useEffect(() => {
+    onRestoreRef.current = onRestore;
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const restore = async (fromNavigation) => {
+      const restored = await readScenarioFromUrl();
+      if (cancelled) return;
+      if (restored) {
+        lastKeyRef.current = scenarioKey(restored);
+        onRestoreRef.current(restored);
+      } else if (fromNavigation) {
+        lastKeyRef.current = null;
+        onRestoreRef.current({});
+      }
+    };
+
+    const handlePopState = () => restore(true);
+
+    restore(false);
+    window.addEventListener("popstate", handlePopState);
+    return () => {
+      cancelled = true;
+      window.removeEventListener("popstate", handlePopState);
+    };
+  }, []);
+
+  const { speed, step } = view;
+
+  useEffect(() => {
+    if (!active) return;
+
+    let cancelled = false;
+    // Debounced so playback doesn't rewrite the URL on every frame
+    const timer = setTimeout(async () => {
+      try {
+        if (encodedRef.current?.scenario !== scenario) {
+          const fits = fitsInLink(scenario);
+          const encoded = fits ? await encodeScenario(scenario) : null;
+          if (cancelled) return;
+          encodedRef.current = {
+            scenario,
+            encoded,
+            key: fits ? scenarioKey(scenario) : null,
+          };
+        }
+
+        const { encoded, key } = encodedRef.current;
+        if (encoded === null) {
+          // Too long for a link - drop the last run's so it doesn't stand
+          // for this one
+          if (window.location.hash) {
+            window.history.pushState(null, "", plainUrl());
+          }
+          lastKeyRef.current = null;
+          return;
+        }
+
+        const url = scenarioUrl(encoded, { speed, step });
+        if (key !== lastKeyRef.current) {
+          window.history.pushState(null, "", url);
+          lastKeyRef.current = key;
+        } else {
+          window.history.replaceState(null, "", url);
+        }
+      } catch {
+        // The link just stays as it was
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [scenario, speed, step, active]);
+};
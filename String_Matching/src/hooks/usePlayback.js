@@ -0,0 +1,75 @@
+import { useState, useEffect, useCallback } from "react";
+
+// Playback controller for a list of steps - keeps track of the current step
+// and whether we're auto-advancing. The timer lives in an effect, so it's
+// cleared on pause, on unmount and whenever the speed changes mid-run.
+export const usePlayback = (stepCount, speed) => {
+  const [currentStep, setCurrentStep] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+
+  const lastStep = Math.max(stepCount - 1, 0);
+
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    // Stop when we reach the end
+    if (currentStep >= lastStep) {
+      setIsPlaying(false);
+      return;
+    }
+
+    const timer = setTimeout(() => setCurrentStep((prev) => prev + 1), speed);
+    return () => clearTimeout(timer);
+  }, [isPlaying, currentStep, lastStep, speed]);
+
+  const seek = useCallback(
+    (step) => setCurrentStep(Math.min(Math.max(step, 0), lastStep)),
+    [lastStep]
+  );
+
+  const play = useCallback(() => {
+    // Playing from the last step starts over
+    setCurrentStep((prev) => (prev >= lastStep ? 0 : prev));
+    setIsPlaying(true);
+  }, [lastStep]);
+
+  const pause = useCallback(() => setIsPlaying(false), []);
+
+  const next = useCallback(() => {
+    setIsPlaying(false);
+    setCurrentStep((prev) => Math.min(prev + 1, lastStep));
+  }, [lastStep]);
+
+  const prev = useCallback(() => {
+    setIsPlaying(false);
+    setCurrentStep((prev) => Math.max(prev - 1, 0));
+  }, []);
+
+  const first = useCallback(() => {
+    setIsPlaying(false);
+    setCurrentStep(0);
+  }, []);
+
+  const last = useCallback(() => {
+    setIsPlaying(false);
+    setCurrentStep(lastStep);
+  }, [lastStep]);
+
+  const stop = useCallback(() => {
+    setIsPlaying(false);
+    setCurrentStep(0);
+  }, []);
+
+  return {
+    currentStep,
+    isPlaying,
+    play,
+    pause,
+    next,
+    prev,
+    first,
+    last,
+    seek,
+    stop,
+  };
+};
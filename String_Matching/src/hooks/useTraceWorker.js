@@ -0,0 +1,124 @@
+import { useState, useRef, useEffect, useCallback } from "react";
+import { SANDBOX_TIME_LIMIT } from "../engine";
+
+let nextId = 0;
+
+// Runs the trace engine in a web worker. generate() resolves with the trace,
+// or with null if it was cancelled (by cancel() or by starting another run);
+// progress is the fraction done, or null when idle. generateCustom() does
+// the same for a plugin's own step generator, in a throwaway sandbox worker.
+export const useTraceWorker = () => {
+  const workerRef = useRef(null);
+  const pendingRef = useRef(null);
+  const [progress, setProgress] = useState(null);
+
+  // Cancelling just kills the worker, a fresh one is made for the next run
+  const cancel = useCallback(() => {
+    if (!pendingRef.current) return;
+    const { worker, resolve, timer } = pendingRef.current;
+    worker.terminate();
+    clearTimeout(timer);
+    if (worker === workerRef.current) workerRef.current = null;
+    resolve(null);
+    pendingRef.current = null;
+    setProgress(null);
+  }, []);
+
+  useEffect(
+    () => () => {
+      cancel();
+      workerRef.current?.terminate();
+    },
+    [cancel]
+  );
+
+  // Post one job to a worker and wait for its trace. Sandbox workers are
+  // dropped when the job ends, and killed if it runs past the time limit.
+  const run = useCallback((worker, message, sandboxed) => {
+    const id = ++nextId;
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const finish = () => {
+        clearTimeout(timer);
+        if (sandboxed) worker.terminate();
+        pendingRef.current = null;
+        setProgress(null);
+      };
+
+      if (sandboxed) {
+        timer = setTimeout(() => {
+          finish();
+          reject(
+            new Error(
+              `The step generator was stopped after ${
+                SANDBOX_TIME_LIMIT / 1000
+              } seconds - check for a loop that never yields.`
+            )
+          );
+        }, SANDBOX_TIME_LIMIT);
+      }
+      pendingRef.current = { id, resolve, worker, timer };
+      setProgress(0);
+
+      worker.onmessage = ({ data }) => {
+        if (data.id !== id) return;
+        if (data.type === "progress") {
+          setProgress(data.fraction);
+        } else if (data.type === "done") {
+          finish();
+          resolve(data.trace);
+        } else {
+          finish();
+          reject(new Error(data.message));
+        }
+      };
+      worker.onerror = (event) => {
+        finish();
+        reject(new Error(event.message || "Trace worker failed"));
+      };
+
+      worker.postMessage({ id, ...message });
+    });
+  }, []);
+
+  const generate = useCallback(
+    (algorithm, text, pattern, options) => {
+      cancel();
+
+      if (!workerRef.current) {
+        workerRef.current = new Worker(
+          new URL("../engine/trace.worker.js", import.meta.url),
+          { type: "module" }
+        );
+      }
+      return run(
+        workerRef.current,
+        { algorithm, text, pattern, options },
+        false
+      );
+    },
+    [cancel, run]
+  );
+
+  const generateCustom = useCallback(
+    (source, text, pattern, options) => {
+      cancel();
+
+      const worker = new Worker(
+        new URL("../plugins/sandbox.worker.js", import.meta.url),
+        { type: "module" }
+      );
+      return run(worker, { source, text, pattern, options }, true);
+    },
+    [cancel, run]
+  );
+
+  return {
+    generate,
+    generateCustom,
+    cancel,
+    progress,
+    isGenerating: progress !== null,
+  };
+};
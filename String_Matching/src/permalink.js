@@ -0,0 +1,134 @@
+// Encoding of a visualizer scenario (inputs, options, speed and step) into
+// the URL hash, so a link reproduces exactly what's on screen.
+//
+// The hash looks like #s=<prefix><base64url>&speed=<ms>&step=<n>, where the
+// prefix says whether the JSON was deflated first. Long texts are compressed
+// when the browser has CompressionStream, short ones are left as plain JSON.
+// Speed and step sit in params of their own so stepping through a run only
+// has to rewrite those, not encode the whole text again.
+
+const PARAM = "s";
+const VIEW_PARAMS = ["speed", "step"];
+const PLAIN = "p";
+const COMPRESSED = "z";
+const COMPRESS_THRESHOLD = 200;
+const STRING_FIELDS = [
+  "mode",
+  "text",
+  "pattern",
+  "patternList",
+  "patternMode",
+  "algorithm",
+];
+
+const toBase64Url = (bytes) => {
+  let binary = "";
+  // Chunked so long texts don't blow the argument limit of fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+};
+
+const fromBase64Url = (encoded) => {
+  const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+};
+
+const pipeBytes = async (bytes, transform) =>
+  new Uint8Array(
+    await new Response(
+      new Blob([bytes]).stream().pipeThrough(transform)
+    ).arrayBuffer()
+  );
+
+// Only keep fields we know about, with the types we expect
+export const sanitizeScenario = (raw) => {
+  if (!raw || typeof raw !== "object") return null;
+
+  const scenario = {};
+  STRING_FIELDS.forEach((key) => {
+    if (typeof raw[key] === "string") scenario[key] = raw[key];
+  });
+  ["speed", "step"].forEach((key) => {
+    if (Number.isInteger(raw[key]) && raw[key] >= 0) scenario[key] = raw[key];
+  });
+  ["options", "matching"].forEach((key) => {
+    if (raw[key] && typeof raw[key] === "object") scenario[key] = raw[key];
+  });
+  return scenario;
+};
+
+export const encodeScenario = async (scenario) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(scenario));
+
+  if (
+    bytes.length > COMPRESS_THRESHOLD &&
+    typeof CompressionStream !== "undefined"
+  ) {
+    const compressed = await pipeBytes(
+      bytes,
+      new CompressionStream("deflate-raw")
+    );
+    return COMPRESSED + toBase64Url(compressed);
+  }
+  return PLAIN + toBase64Url(bytes);
+};
+
+// Returns null for anything that isn't a scenario we wrote
+export const decodeScenario = async (encoded) => {
+  if (!encoded) return null;
+
+  try {
+    let bytes = fromBase64Url(encoded.slice(1));
+    if (encoded[0] === COMPRESSED) {
+      bytes = await pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+    } else if (encoded[0] !== PLAIN) {
+      return null;
+    }
+    return sanitizeScenario(JSON.parse(new TextDecoder().decode(bytes)));
+  } catch {
+    return null;
+  }
+};
+
+// Texts longer than this aren't put in links, the URL would get too big
+// for browsers (and too slow to rewrite) long before
+export const MAX_LINK_TEXT_LENGTH = 50000;
+
+export const fitsInLink = (scenario) =>
+  (scenario.text?.length ?? 0) + (scenario.patternList?.length ?? 0) <=
+  MAX_LINK_TEXT_LENGTH;
+
+export const readScenarioFromUrl = async () => {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const scenario = await decodeScenario(params.get(PARAM));
+  if (!scenario) return null;
+
+  // Older links keep speed and step inside the encoded scenario
+  VIEW_PARAMS.forEach((key) => {
+    const value = Number(params.get(key) ?? NaN);
+    if (Number.isInteger(value) && value >= 0) scenario[key] = value;
+  });
+  return scenario;
+};
+
+// URL for an already encoded scenario, viewed at { speed, step }
+export const scenarioUrl = (encoded, view = {}) => {
+  const params = new URLSearchParams({ [PARAM]: encoded });
+  VIEW_PARAMS.forEach((key) => {
+    if (view[key] !== undefined) params.set(key, view[key]);
+  });
+  return `${window.location.pathname}${window.location.search}#${params}`;
+};
+
+// The page without any scenario in its hash
+export const plainUrl = () =>
+  `${window.location.pathname}${window.location.search}`;
+
+// Two scenarios are the same run if only the step or speed differ
+export const scenarioKey = (scenario) =>
+  JSON.stringify({ ...scenario, step: undefined, speed: undefined });
@@ -0,0 +1,107 @@
+import {
+  DEFAULT_RABIN_KARP_OPTIONS,
+  DEFAULT_APPROXIMATE_OPTIONS,
+  DEFAULT_STREAMING_OPTIONS,
+  BUILTIN_ALGORITHMS,
+} from "../engine";
+import StreamingOptions from "../components/StreamingOptions";
+import ApproximateOptions from "../components/ApproximateOptions";
+import {
+  RabinKarpPluginOptions,
+  KMPPanel,
+  RabinKarpPanel,
+  BoyerMoorePanel,
+  AhoCorasickPanel,
+  ShiftAndPanel,
+  ShiftOrPanel,
+  ZPanel,
+  ApproximatePanel,
+  SuffixArrayPluginPanel,
+  RegexPanel,
+} from "./panels";
+import {
+  NaiveExplanation,
+  KMPExplanation,
+  RabinKarpExplanation,
+  BoyerMooreExplanation,
+  AhoCorasickExplanation,
+  ShiftAndExplanation,
+  ShiftOrExplanation,
+  ZExplanation,
+  ApproximateExplanation,
+  SuffixArrayExplanation,
+  RegexExplanation,
+} from "./explanations";
+import { definePlugin } from "./registry";
+
+// The algorithms that ship with the visualizer: the engine's
+// BUILTIN_ALGORITHMS (id, name, generator, pseudocode and flags), in the
+// same order, with their options, panels and explanation added here. See
+// ./registry for what a plugin holds.
+
+const STREAMING_DEFAULTS = {
+  ...DEFAULT_STREAMING_OPTIONS,
+  chunkSize: String(DEFAULT_STREAMING_OPTIONS.chunkSize),
+};
+
+const PLUGIN_UI = {
+  naive: { Explanation: NaiveExplanation },
+  kmp: {
+    defaultOptions: STREAMING_DEFAULTS,
+    Options: StreamingOptions,
+    Panel: KMPPanel,
+    Explanation: KMPExplanation,
+  },
+  "rabin-karp": {
+    defaultOptions: {
+      ...DEFAULT_RABIN_KARP_OPTIONS,
+      ...STREAMING_DEFAULTS,
+      base: String(DEFAULT_RABIN_KARP_OPTIONS.base),
+      modulus: String(DEFAULT_RABIN_KARP_OPTIONS.modulus),
+    },
+    Options: RabinKarpPluginOptions,
+    Panel: RabinKarpPanel,
+    Explanation: RabinKarpExplanation,
+  },
+  "boyer-moore": {
+    Panel: BoyerMoorePanel,
+    Explanation: BoyerMooreExplanation,
+  },
+  "aho-corasick": {
+    Panel: AhoCorasickPanel,
+    Explanation: AhoCorasickExplanation,
+  },
+  "shift-and": {
+    Panel: ShiftAndPanel,
+    Explanation: ShiftAndExplanation,
+  },
+  "shift-or": {
+    Panel: ShiftOrPanel,
+    Explanation: ShiftOrExplanation,
+  },
+  "z-algorithm": {
+    Panel: ZPanel,
+    Explanation: ZExplanation,
+  },
+  approximate: {
+    defaultOptions: {
+      ...DEFAULT_APPROXIMATE_OPTIONS,
+      maxErrors: String(DEFAULT_APPROXIMATE_OPTIONS.maxErrors),
+    },
+    Options: ApproximateOptions,
+    Panel: ApproximatePanel,
+    Explanation: ApproximateExplanation,
+  },
+  "suffix-array": {
+    Panel: SuffixArrayPluginPanel,
+    Explanation: SuffixArrayExplanation,
+  },
+  regex: {
+    Panel: RegexPanel,
+    Explanation: RegexExplanation,
+  },
+};
+
+export const BUILTIN_PLUGINS = BUILTIN_ALGORITHMS.map((algorithm) =>
+  definePlugin({ ...algorithm, ...PLUGIN_UI[algorithm.id] })
+);
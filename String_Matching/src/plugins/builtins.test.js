@@ -0,0 +1,66 @@
+import { describe, expect, it } from "vitest";
+import { BUILTIN_ALGORITHMS } from "../engine";
+import { BUILTIN_PLUGINS } from "./builtins";
+import { findPlugin, pluginSupportsPatternMode } from "./registry";
+import { createCustomPlugin, CUSTOM_PLUGIN_TEMPLATE } from "./custom";
+import { parseTraceJson, traceToJson } from "../export/traceFile";
+
+describe("BUILTIN_PLUGINS", () => {
+  it("has one plugin per engine algorithm, in the same order", () => {
+    expect(BUILTIN_PLUGINS.map(({ id }) => id)).toEqual(
+      BUILTIN_ALGORITHMS.map(({ id }) => id)
+    );
+  });
+
+  it("carries the engine's generator, name, pseudocode and flags", () => {
+    BUILTIN_ALGORITHMS.forEach((algorithm) => {
+      expect(findPlugin(BUILTIN_PLUGINS, algorithm.id)).toMatchObject(
+        algorithm
+      );
+    });
+    expect(findPlugin(BUILTIN_PLUGINS, "aho-corasick")).toMatchObject({
+      multiPattern: true,
+      textScan: true,
+    });
+  });
+
+  it("gives every plugin an explanation", () => {
+    BUILTIN_PLUGINS.forEach((plugin) => {
+      expect(plugin.Explanation).toBeTypeOf("function");
+    });
+  });
+});
+
+describe("pluginSupportsPatternMode", () => {
+  it("follows the plugin's pattern modes", () => {
+    const naive = findPlugin(BUILTIN_PLUGINS, "naive");
+    const regex = findPlugin(BUILTIN_PLUGINS, "regex");
+    expect(pluginSupportsPatternMode(naive, "wildcard")).toBe(true);
+    expect(pluginSupportsPatternMode(naive, "regex")).toBe(false);
+    expect(pluginSupportsPatternMode(regex, "literal")).toBe(false);
+  });
+
+  it("keeps plugins from the editor to literal patterns", () => {
+    const custom = createCustomPlugin({
+      name: "Mine",
+      source: CUSTOM_PLUGIN_TEMPLATE,
+      stepLimit: "100",
+    });
+    expect(pluginSupportsPatternMode(custom, "literal")).toBe(true);
+    expect(pluginSupportsPatternMode(custom, "wildcard")).toBe(false);
+  });
+});
+
+describe("parseTraceJson", () => {
+  const trace = { steps: [], matches: [], history: [] };
+
+  it("only imports traces of known plugins", () => {
+    const json = traceToJson({ algorithm: "kmp", text: "ab" }, trace);
+    expect(parseTraceJson(json, BUILTIN_PLUGINS).scenario.algorithm).toBe(
+      "kmp"
+    );
+    expect(() =>
+      parseTraceJson(traceToJson({ algorithm: "nope" }, trace), BUILTIN_PLUGINS)
+    ).toThrow("Unknown algorithm in trace file: nope");
+  });
+});
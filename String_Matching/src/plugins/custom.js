@@ -0,0 +1,58 @@
+import { toStepLimit } from "../engine";
+import { CustomExplanation } from "./explanations";
+import { definePlugin } from "./registry";
+
+// What the editor starts with - a naive matcher showing the step format
+export const CUSTOM_PLUGIN_TEMPLATE = `// One function* (text, pattern) - both are arrays of characters - that
+// yields a step per animation frame:
+//   textIndex    where the pattern sits under the text
+//   comparisons  [{ textIndex, patternIndex, match }] made in this step
+//   description  what happened
+//   match        start of a match found in this step, if any
+function* naive(text, pattern) {
+  for (let i = 0; i + pattern.length <= text.length; i++) {
+    const comparisons = [];
+    let j = 0;
+    while (j < pattern.length) {
+      const match = text[i + j] === pattern[j];
+      comparisons.push({ textIndex: i + j, patternIndex: j, match });
+      if (!match) break;
+      j++;
+    }
+    const found = j === pattern.length;
+    yield {
+      textIndex: i,
+      comparisons,
+      description: found ? "Match at " + i + "!" : "Mismatch, shift by one.",
+      match: found ? i : undefined,
+    };
+  }
+}
+`;
+
+// Catch syntax errors when the plugin is saved. This only parses the
+// source - nothing in it runs outside the sandbox worker.
+const checkSource = (source) => {
+  try {
+    new Function(`"use strict";\nreturn (${source}\n);`);
+  } catch (err) {
+    throw new Error(`The step generator doesn't parse: ${err.message}`);
+  }
+};
+
+let nextCustomId = 0;
+
+// A plugin from the editor's { name, source, stepLimit }. Pass the id of
+// the plugin it replaces when an existing one is edited.
+export const createCustomPlugin = ({ name, source, stepLimit }, id = null) => {
+  checkSource(source);
+  const plugin = definePlugin({
+    id: id ?? `custom-${nextCustomId + 1}`,
+    name: name.trim(),
+    source,
+    defaultOptions: { stepLimit: toStepLimit(stepLimit) },
+    Explanation: CustomExplanation,
+  });
+  if (id === null) nextCustomId++;
+  return plugin;
+};
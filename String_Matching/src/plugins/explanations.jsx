@@ -0,0 +1,246 @@
+import { SANDBOX_TIME_LIMIT } from "../engine";
+
+// Explanation boxes of the built-in plugins (see ./builtins)
+
+const StreamingNote = ({ options }) =>
+  options.streaming && (
+    <p className="mt-2">
+      In streaming mode the text arrives a chunk at a time and each chunk is
+      forgotten once it has been read. KMP only needs to carry j, how much of
+      the pattern the text so far ends with, and Rabin-Karp the hash of its last
+      window together with the window itself, so a match that starts in one
+      chunk and ends in the next is still found - those are underlined in
+      orange.
+    </p>
+  );
+
+export const NaiveExplanation = () => (
+  <div>
+    <p className="mb-2">
+      The Naive algorithm compares the pattern with the text at each position,
+      shifting one character at a time.
+    </p>
+    <p className="mb-2">
+      Time Complexity: O(m*n) where m is pattern length and n is text length.
+    </p>
+    <p>
+      This approach works well for small texts but becomes inefficient for
+      larger ones.
+    </p>
+  </div>
+);
+
+export const KMPExplanation = ({ options }) => (
+  <div>
+    <p className="mb-2">
+      The KMP algorithm uses a prefix table to avoid unnecessary comparisons by
+      remembering previously matched characters.
+    </p>
+    <p className="mb-2">
+      Time Complexity: O(m+n) where m is pattern length and n is text length.
+    </p>
+    <p>
+      The prefix table allows the algorithm to skip comparisons by leveraging
+      partially matched patterns. The run starts by building it: len tracks the
+      longest prefix that is also a suffix ending at i, and on a mismatch it
+      falls back to lps[len - 1].
+    </p>
+    <StreamingNote options={options} />
+  </div>
+);
+
+export const RabinKarpExplanation = ({ options }) => (
+  <div>
+    <p className="mb-2">
+      The Rabin-Karp algorithm uses a rolling hash function to quickly identify
+      potential matches.
+    </p>
+    <p className="mb-2">
+      Time Complexity: Average O(n+m), Worst case O(n*m) where m is pattern
+      length and n is text length.
+    </p>
+    <p>
+      It calculates a hash value for the pattern and each window of the text,
+      only comparing characters when hashes match.
+    </p>
+    <StreamingNote options={options} />
+  </div>
+);
+
+export const BoyerMooreExplanation = () => (
+  <div>
+    <p className="mb-2">
+      The Boyer-Moore algorithm compares the pattern right to left and uses two
+      rules to skip ahead after a mismatch.
+    </p>
+    <p className="mb-2">
+      Time Complexity: Best case O(n/m), Worst case O(n*m) where m is pattern
+      length and n is text length.
+    </p>
+    <p>
+      The bad character rule lines up the mismatched text character with its
+      last occurrence in the pattern, while the good suffix rule lines up the
+      already matched suffix with another copy of it. The larger of the two
+      shifts is taken.
+    </p>
+  </div>
+);
+
+export const AhoCorasickExplanation = () => (
+  <div>
+    <p className="mb-2">
+      The Aho-Corasick algorithm builds a trie of all patterns and scans the
+      text once, matching every pattern at the same time.
+    </p>
+    <p className="mb-2">
+      Time Complexity: O(n+m+z) where n is text length, m is the total length of
+      all patterns and z is the number of matches reported.
+    </p>
+    <p>
+      Failure links jump to the longest suffix of the current state that is
+      still in the trie, so the scan never moves backwards in the text. Output
+      links collect shorter patterns that end at the same position.
+    </p>
+  </div>
+);
+
+export const ShiftAndExplanation = () => (
+  <div>
+    <p className="mb-2">
+      The Shift-And (bitap) algorithm tracks every partial match at once in a
+      bit vector D, where bit j is set when the first j+1 pattern characters end
+      at the current text position.
+    </p>
+    <p className="mb-2">
+      Time Complexity: O(n) word operations when the pattern fits in a machine
+      word, plus O(m + σ) to build the masks.
+    </p>
+    <p>
+      Each character c has a mask B[c] with bit j set when pattern[j] accepts c,
+      and every step computes D = ((D &lt;&lt; 1) | 1) &amp; B[c]. A wildcard or
+      class just sets its bit in many masks, which is why bitap handles them for
+      free.
+    </p>
+  </div>
+);
+
+export const ShiftOrExplanation = () => (
+  <div>
+    <p className="mb-2">
+      The Shift-Or algorithm is Shift-And with every bit inverted: a 0 in the
+      state D marks a pattern prefix that ends at the current text position.
+    </p>
+    <p className="mb-2">
+      Time Complexity: O(n) word operations when the pattern fits in a machine
+      word, plus O(m + σ) to build the masks.
+    </p>
+    <p>
+      Each step computes D = (D &lt;&lt; 1) | B[c], where B[c] has a 0 wherever
+      pattern[j] accepts c. The shift pulls in a 0 at bit 0 by itself, so a new
+      match attempt starts without the extra "| 1" of Shift-And, and a match is
+      reported when bit m - 1 is 0.
+    </p>
+  </div>
+);
+
+export const ZExplanation = () => (
+  <div>
+    <p className="mb-2">
+      The Z-algorithm computes, for every position k of pattern + '$' + text,
+      the length Z[k] of the longest substring starting at k that is also a
+      prefix of the pattern.
+    </p>
+    <p className="mb-2">
+      Time Complexity: O(m+n) where m is pattern length and n is text length.
+    </p>
+    <p>
+      The [L, R] box is the rightmost substring found so far that matches a
+      prefix. Inside it, Z[k] can start from Z[k - L] (capped at R - k + 1)
+      instead of 0, so characters inside the box are never compared twice. Like
+      the KMP prefix table it reuses what is already known; Z[k] = m in the text
+      part is an occurrence.
+    </p>
+  </div>
+);
+
+export const ApproximateExplanation = () => (
+  <div>
+    <p className="mb-2">
+      Approximate matching finds every substring within k errors of the pattern,
+      using Sellers' dynamic programming algorithm.
+    </p>
+    <p className="mb-2">
+      Time Complexity: O(m*n) where m is pattern length and n is text length,
+      one column of m + 1 cells per text character.
+    </p>
+    <p>
+      C[j] is the fewest errors to match the first j pattern characters ending
+      at the current position. Row 0 is always 0 so a match may start anywhere,
+      and C[m] &lt;= k reports a match. Levenshtein distance allows
+      substitutions, insertions and deletions; Hamming distance only
+      substitutions, so it keeps just the diagonal move.
+    </p>
+  </div>
+);
+
+export const SuffixArrayExplanation = () => (
+  <div>
+    <p className="mb-2">
+      A suffix array lists the starting positions of all suffixes of the text in
+      sorted order. It is built once, and then every pattern is found with a
+      binary search instead of a scan.
+    </p>
+    <p className="mb-2">
+      Time Complexity: O(n log² n) to build by prefix doubling plus O(n) for the
+      LCP array, then O(m log n) per query where m is pattern length and n is
+      text length.
+    </p>
+    <p>
+      All suffixes that start with the pattern sit next to each other, so two
+      binary searches find the first and last of them and everything in between
+      is an occurrence. The LCP array (longest common prefix of neighbouring
+      suffixes) is enough to turn the suffix array into a suffix tree, drawn for
+      short texts.
+    </p>
+  </div>
+);
+
+export const RegexExplanation = () => (
+  <div>
+    <p className="mb-2">
+      Regular expressions are compiled into a nondeterministic automaton with
+      Thompson's construction, which is then run over the text keeping every
+      state it could be in at once.
+    </p>
+    <p className="mb-2">
+      Time Complexity: O(m*n) where m is the size of the regular expression and
+      n is text length, since the set of active states never holds more than the
+      NFA's O(m) states.
+    </p>
+    <p>
+      Each piece of the expression becomes a small automaton with one start and
+      one accept state, glued together with ε-edges that can be followed without
+      reading anything. A new thread starts at every text position and remembers
+      where it began, so whenever the accept state becomes active the leftmost
+      match ending there is reported. Unlike backtracking regex engines it never
+      tries the same state twice for one character.
+    </p>
+  </div>
+);
+
+export const CustomExplanation = ({ options }) => (
+  <div>
+    <p className="mb-2">
+      This algorithm is a step generator written in the plugin editor. Each step
+      it yields is drawn on the same text and pattern grid as the built-in
+      algorithms.
+    </p>
+    <p>
+      It runs in a web worker of its own without the page, fetch or messaging,
+      and is stopped after {options.stepLimit} steps or{" "}
+      {SANDBOX_TIME_LIMIT / 1000} seconds, whichever comes first. That keeps
+      mistakes from freezing the page but isn't a security boundary - the code
+      can still load scripts with import().
+    </p>
+  </div>
+);
@@ -0,0 +1,134 @@
+import KMPPrefixTable from "../components/KMPPrefixTable";
+import RabinKarpOptions from "../components/RabinKarpOptions";
+import StreamingOptions from "../components/StreamingOptions";
+import ApproximateMatchPanel from "../components/ApproximateMatchPanel";
+import SuffixArrayPanel from "../components/SuffixArrayPanel";
+import SuffixTreeView from "../components/SuffixTreeView";
+import RabinKarpHashPanel from "../components/RabinKarpHashPanel";
+import BoyerMooreTables from "../components/BoyerMooreTables";
+import AhoCorasickAutomaton from "../components/AhoCorasickAutomaton";
+import BitVectorPanel from "../components/BitVectorPanel";
+import ZArrayPanel from "../components/ZArrayPanel";
+import ThompsonNFA from "../components/ThompsonNFA";
+import { patternColor } from "../components/patternColors";
+
+// Option editors and auxiliary panels of the built-in plugins (see
+// ./builtins), drawn with the props described in ./registry
+
+export const RabinKarpPluginOptions = (props) => (
+  <>
+    <RabinKarpOptions {...props} />
+    <StreamingOptions {...props} />
+  </>
+);
+
+export const KMPPanel = ({ trace, stepData, pattern }) =>
+  trace.auxiliary.prefixTable.length > 0 && (
+    <KMPPrefixTable
+      pattern={pattern}
+      prefixTable={trace.auxiliary.prefixTable}
+      stepData={stepData}
+    />
+  );
+
+export const RabinKarpPanel = ({ trace, stepData }) =>
+  stepData.hashInfo && (
+    <RabinKarpHashPanel
+      hashInfo={stepData.hashInfo}
+      auxiliary={trace.auxiliary}
+    />
+  );
+
+export const BoyerMoorePanel = ({ trace, stepData, pattern }) => (
+  <BoyerMooreTables
+    pattern={pattern}
+    auxiliary={trace.auxiliary}
+    stepData={stepData}
+  />
+);
+
+// The patterns in their colours, above the automaton
+export const AhoCorasickPanel = ({ trace, stepData }) => (
+  <>
+    <div className="flex flex-wrap gap-2 mb-2 font-mono text-sm">
+      {(trace.auxiliary.patternLabels || trace.auxiliary.patterns).map(
+        (p, index) => (
+          <span
+            key={index}
+            className="px-2 py-1 rounded text-white"
+            style={{ backgroundColor: patternColor(index) }}
+          >
+            {p}
+          </span>
+        )
+      )}
+    </div>
+    <AhoCorasickAutomaton auxiliary={trace.auxiliary} stepData={stepData} />
+  </>
+);
+
+export const ShiftAndPanel = ({ trace, stepData, pattern, wildcards }) => (
+  <BitVectorPanel
+    algorithm="shift-and"
+    pattern={pattern}
+    wildcards={wildcards}
+    auxiliary={trace.auxiliary}
+    stepData={stepData}
+  />
+);
+
+export const ShiftOrPanel = ({ trace, stepData, pattern, wildcards }) => (
+  <BitVectorPanel
+    algorithm="shift-or"
+    pattern={pattern}
+    wildcards={wildcards}
+    auxiliary={trace.auxiliary}
+    stepData={stepData}
+  />
+);
+
+export const ZPanel = ({ trace, stepData, text, pattern }) => (
+  <ZArrayPanel
+    text={text}
+    pattern={pattern}
+    auxiliary={trace.auxiliary}
+    stepData={stepData}
+  />
+);
+
+export const ApproximatePanel = ({
+  trace,
+  steps,
+  currentStep,
+  text,
+  pattern,
+}) => (
+  <ApproximateMatchPanel
+    text={text}
+    pattern={pattern}
+    steps={steps}
+    currentStep={currentStep}
+    auxiliary={trace.auxiliary}
+  />
+);
+
+export const SuffixArrayPluginPanel = ({ trace, stepData, text }) => (
+  <>
+    <SuffixArrayPanel
+      text={text}
+      auxiliary={trace.auxiliary}
+      stepData={stepData}
+    />
+    {trace.auxiliary.suffixTree && (
+      <SuffixTreeView
+        text={text}
+        nodes={trace.auxiliary.suffixTree}
+        stepData={stepData}
+      />
+    )}
+  </>
+);
+
+export const RegexPanel = ({ trace, stepData }) => (
+  <ThompsonNFA auxiliary={trace.auxiliary} stepData={stepData} />
+);
@@ -0,0 +1,55 @@
+import { patternModesOf } from "../engine";
+
+// Every algorithm the visualizer can show is a plugin:
+//
+//   {
+//     id:              string - unique, and for built-in plugins the
+//                               algorithm's id in the trace engine
+//     name:            string - label of its button
+//     generator?:      (text, pattern, options) => trace
+//                             - built-in plugins only, the engine's
+//                               algorithm (the trace worker runs it by id)
+//     source?:         string - custom plugins only, see below
+//     pseudocode?:     { id, text }[] - lines for the pseudocode panel
+//     patternModes?:   string[] - pattern modes it runs, ["literal"] if unset
+//     multiPattern?:   true   - takes one pattern per line
+//     textScan?:       true   - steps through the text, no pattern window
+//     defaultOptions:  object - options a run starts with (text inputs
+//                               keep theirs as strings)
+//     Options?:        component({ options, onChange, disabled })
+//                             - editor for those options
+//     Panel?:          component({ trace, stepData, steps, currentStep,
+//                                  text, pattern, wildcards })
+//                             - drawn under the text strip once there's a
+//                               trace (text and pattern are grid units)
+//     Explanation?:    component({ options }) - the explanation box
+//   }
+//
+// Built-in plugins are the engine's BUILTIN_ALGORITHMS plus their UI (see
+// ./builtins). Plugins written in the editor carry the source of a function*
+// instead of a generator (see ../engine/custom), which only ever runs in the
+// sandbox worker, and only take literal patterns.
+export const definePlugin = (plugin) => {
+  if (typeof plugin.id !== "string" || plugin.id === "") {
+    throw new Error("A plugin needs an id.");
+  }
+  if (typeof plugin.name !== "string" || plugin.name.trim() === "") {
+    throw new Error("A plugin needs a name.");
+  }
+  return { defaultOptions: {}, ...plugin };
+};
+
+export const isCustomPlugin = (plugin) => plugin.source !== undefined;
+
+export const findPlugin = (plugins, id) =>
+  plugins.find((plugin) => plugin.id === id);
+
+// Can this plugin run a pattern written in this pattern mode?
+export const pluginSupportsPatternMode = (plugin, patternMode) =>
+  patternModesOf(plugin).includes(patternMode);
+
+// Starting options for every plugin, keyed by id
+export const defaultPluginOptions = (plugins) =>
+  Object.fromEntries(
+    plugins.map((plugin) => [plugin.id, plugin.defaultOptions])
+  );
@@ -0,0 +1,68 @@
+// Runs a step generator typed into the plugin editor. Every run gets a
+// worker of its own that the page throws away afterwards (or kills if it
+// takes too long), so the code can't touch the page, keep state between
+// runs or hang the UI. The network and messaging globals are hidden from it
+// as well.
+//
+// That keeps honest mistakes contained, but it's not an isolation boundary:
+// the code still runs with the page's origin, and nothing can stop it from
+// calling import() to load whatever it likes. Only run code you trust.
+// Messages in:  { id, source, text, pattern, options }
+// Messages out: { id, type: "done", trace }
+//               { id, type: "error", message }
+import { runMatcher, customStringMatching } from "../engine";
+
+const HIDDEN_GLOBALS = [
+  "fetch",
+  "XMLHttpRequest",
+  "WebSocket",
+  "EventSource",
+  "BroadcastChannel",
+  "Worker",
+  "SharedWorker",
+  "importScripts",
+  "indexedDB",
+  "caches",
+  "postMessage",
+];
+
+// Most of these live on a prototype of self rather than on self, so they
+// are hidden all the way up the chain - otherwise the code could still
+// reach them through Object.getPrototypeOf(self)
+const send = self.postMessage.bind(self);
+for (
+  let scope = self;
+  scope && scope !== Object.prototype;
+  scope = Object.getPrototypeOf(scope)
+) {
+  HIDDEN_GLOBALS.forEach((name) => {
+    if (!Object.prototype.hasOwnProperty.call(scope, name)) return;
+    try {
+      Object.defineProperty(scope, name, { value: undefined });
+    } catch {
+      // some browsers don't let this one be replaced
+    }
+  });
+}
+
+// The source is one function expression; the hidden globals are shadowed by
+// parameters too, in case the properties above couldn't be replaced
+const compile = (source) =>
+  new Function(...HIDDEN_GLOBALS, `"use strict";\nreturn (${source}\n);`)();
+
+self.onmessage = ({ data }) => {
+  const { id, source, text, pattern, options } = data;
+
+  try {
+    const generator = compile(source);
+    const trace = runMatcher(
+      (t, p, o) => customStringMatching(generator, t, p, o),
+      text,
+      pattern,
+      options
+    );
+    send({ id, type: "done", trace });
+  } catch (err) {
+    send({ id, type: "error", message: err.message });
+  }
+};
@@ -0,0 +1,180 @@
+import { createRandom } from "../scenarios/random";
+
+// Practice questions for the predict-the-next-step mode. Each question
+// pauses playback at step pauseAt and asks about a later step `step`, whose
+// data in the generated trace holds the answer.
+export const QUIZ_LENGTHS = [5, 10, 20];
+export const DEFAULT_QUIZ_LENGTH = 10;
+
+// These report at most one match per step, on the "report" line of their
+// pseudocode and in the order of trace.matches
+const NEXT_MATCH_ALGORITHMS = [
+  "naive",
+  "kmp",
+  "rabin-karp",
+  "boyer-moore",
+  "shift-and",
+  "shift-or",
+  "z-algorithm",
+];
+
+const YES_NO = [
+  { label: "Yes", value: true },
+  { label: "No", value: false },
+];
+
+const reportsMatch = (step) => step.code?.lines.includes("report") ?? false;
+
+// Where the pattern starts after KMP falls back through the prefix table
+const kmpShiftQuestions = (steps) =>
+  steps.flatMap((step, index) => {
+    if (index === 0 || !step.prefixUse || !step.code) return [];
+    const { i, j } = step.pointers;
+    const compared = `T[${i}] = '${step.code.variables["T[i]"]}'`;
+    const against = `P[${j}] = '${step.code.variables["P[j]"]}'`;
+    const full = reportsMatch(step);
+    return {
+      kind: "kmp-shift",
+      pauseAt: index - 1,
+      step: index,
+      prompt: full
+        ? `Next, ${compared} matches ${against}, completing a match at ${
+            i - j
+          }. Where does the pattern start after the shift?`
+        : `Next, ${compared} is compared with ${against} and they differ. Where does the pattern start after the shift?`,
+      answer: (full ? i + 1 : i) - step.prefixUse.newJ,
+      explanation: step.description,
+    };
+  });
+
+// The next entry KMP writes into its prefix table
+const lpsQuestions = (steps) =>
+  steps.flatMap((step, index) => {
+    const build = step.lpsBuild;
+    if (index === 0 || !build || !build.filled) return [];
+    return {
+      kind: "lps",
+      pauseAt: index - 1,
+      step: index,
+      prompt: `What value does lps[${build.filled}] get next?`,
+      answer: build.table[build.filled],
+      explanation: step.description,
+    };
+  });
+
+// Whether the next Rabin-Karp window hashes to the pattern's hash
+const hashQuestions = (steps) =>
+  steps.flatMap((step, index) => {
+    if (index === 0 || !step.hashInfo) return [];
+    const { patternHash, textHash, hashMatch } = step.hashInfo;
+    return {
+      kind: "hash",
+      pauseAt: index - 1,
+      step: index,
+      prompt: `Will the hash of the window at ${step.textIndex} equal the pattern hash p = ${patternHash}?`,
+      choices: YES_NO,
+      answer: hashMatch,
+      explanation: `The window hashes to t = ${textHash}. ${step.description}`,
+    };
+  });
+
+// How far Boyer-Moore shifts once a window has been compared
+const boyerMooreShiftQuestions = (steps) =>
+  steps.flatMap((step, index) => {
+    if (index === 0 || !step.shiftInfo || !step.code) return [];
+    const { s, j } = step.code.variables;
+    const outcome =
+      j < 0
+        ? "matches the whole pattern"
+        : `stops at P[${j}] against '${step.shiftInfo.mismatchedChar}'`;
+    return {
+      kind: "boyer-moore-shift",
+      pauseAt: index - 1,
+      step: index,
+      prompt: `Comparing right to left at s = ${s} ${outcome}. How far does the pattern shift?`,
+      answer: step.shiftInfo.shift,
+      explanation: step.description,
+    };
+  });
+
+// Where the next match starts, asked right after the previous one (or once
+// the preprocessing is done), with a last question whose answer is none.
+// Runs with matching options count units, but the learner sees (and
+// answers with) offsets in the original text, so those are the answers.
+const nextMatchQuestions = (steps, matches, matchOffsets) => {
+  const starts = matchOffsets
+    ? matchOffsets.map(({ start }) => start)
+    : matches;
+  const questions = [];
+  const firstSearch = steps.findIndex((step) => step.phase !== "preprocessing");
+  let previous = Math.max(firstSearch - 1, 0);
+  let reported = 0;
+
+  const ask = (index, answer, explanation) => {
+    if (previous >= index) return;
+    questions.push({
+      kind: "next-match",
+      pauseAt: previous,
+      step: index,
+      prompt: "Where does the next match start?",
+      allowNone: true,
+      answer,
+      explanation,
+    });
+  };
+
+  steps.forEach((step, index) => {
+    if (!reportsMatch(step)) return;
+    ask(index, starts[reported++], step.description);
+    previous = index;
+  });
+  ask(steps.length - 1, null, "There are no more matches in the text.");
+
+  return questions;
+};
+
+const QUESTION_BUILDERS = {
+  kmp: [lpsQuestions, kmpShiftQuestions],
+  "rabin-karp": [hashQuestions],
+  "boyer-moore": [boyerMooreShiftQuestions],
+};
+
+// Two questions clash if one would pause inside the other's steps
+const overlaps = (a, b) => a.pauseAt < b.step && b.pauseAt < a.step;
+
+// Picks up to `length` questions at random (from the seed) among every
+// candidate in the trace, skipping clashing ones, in playback order
+export const buildQuiz = (algorithm, trace, { length, seed }) => {
+  const candidates = (QUESTION_BUILDERS[algorithm] || []).flatMap((build) =>
+    build(trace.steps)
+  );
+  if (NEXT_MATCH_ALGORITHMS.includes(algorithm)) {
+    candidates.push(
+      ...nextMatchQuestions(trace.steps, trace.matches, trace.matchOffsets)
+    );
+  }
+
+  const random = createRandom(seed);
+  for (let k = candidates.length - 1; k > 0; k--) {
+    const other = random.integer(k + 1);
+    [candidates[k], candidates[other]] = [candidates[other], candidates[k]];
+  }
+
+  const chosen = [];
+  for (const question of candidates) {
+    if (chosen.length === length) break;
+    if (!chosen.some((other) => overlaps(question, other))) {
+      chosen.push(question);
+    }
+  }
+  return chosen.sort((a, b) => a.pauseAt - b.pauseAt);
+};
+
+export const isCorrect = (question, answer) => answer === question.answer;
+
+export const formatAnswer = (answer) => {
+  if (answer === null) return "none";
+  if (answer === true) return "yes";
+  if (answer === false) return "no";
+  return String(answer);
+};
@@ -0,0 +1,31 @@
+import { describe, expect, it } from "vitest";
+import { runAlgorithm } from "../engine";
+import { buildQuiz, isCorrect } from "./questions";
+
+const nextMatchAnswers = (trace) =>
+  buildQuiz("naive", trace, { length: 20, seed: 1 })
+    .filter(({ kind }) => kind === "next-match")
+    .map(({ answer }) => answer);
+
+describe("buildQuiz", () => {
+  it("asks for every next match, then for none", () => {
+    const trace = runAlgorithm("naive", "xabababcababx", "abab");
+    expect(nextMatchAnswers(trace)).toEqual([1, 3, 8, null]);
+  });
+
+  it("answers next-match questions with offsets in the original text", () => {
+    // The emoji take two UTF-16 code units but are one unit each
+    const trace = runAlgorithm("naive", "😀ab😀abc", "ab", { matching: {} });
+    expect(trace.matches).toEqual([1, 4]);
+    expect(nextMatchAnswers(trace)).toEqual([2, 6, null]);
+  });
+
+  it("checks answers", () => {
+    const [question] = buildQuiz("naive", runAlgorithm("naive", "abab", "ab"), {
+      length: 1,
+      seed: 1,
+    });
+    expect(isCorrect(question, question.answer)).toBe(true);
+    expect(isCorrect(question, -1)).toBe(false);
+  });
+});
@@ -0,0 +1,50 @@
+// Built-in texts to search, each with a pattern that occurs in it
+
+// Made-up sequence with three EcoRI sites (GAATTC) in it
+const DNA = [
+  "GCTAAAGACAATTACATAACATACACGTCAGCACGAAACTGAATTCCCCAGTGTGAATCG",
+  "CTTAAGGGTTAAGTAAGTGTGATGCATACGCCTTTACTTGCTGTGTCCACCCCATCGGAC",
+  "TGGCATTTTTATTACACTCAGAAACAGAACTCGGGTAATTTTGACAGGTCGAATTCAGGC",
+  "GCGCCCTCCTGAAGTGCGTGGACACTCGCTATGAATCTCTGATTTACCCACTCTGCCAAA",
+  "CTCCAGCGCGGTCAGTTCCATCACCCTAAGTAACCGAATAATGCGTTCGCTCTATTGACT",
+  "AGAATTCGCTCATTCCCTTGTCGGAGAGTTATGGAACAAGGACGCTGTCTGAGACTAGAA",
+].join("");
+
+// Opening of Alice's Adventures in Wonderland (public domain)
+const ENGLISH = `Alice was beginning to get very tired of sitting by her sister on the
+bank, and of having nothing to do: once or twice she had peeped into the
+book her sister was reading, but it had no pictures or conversations in
+it, "and what is the use of a book," thought Alice "without pictures or
+conversations?"
+
+So she was considering in her own mind (as well as she could, for the
+hot day made her feel very sleepy and stupid), whether the pleasure of
+making a daisy-chain would be worth the trouble of getting up and
+picking the daisies, when suddenly a White Rabbit with pink eyes ran
+close by her.`;
+
+const CODE = `// Good old brute force approach
+export const naiveSearch = (text, pattern) => {
+\tconst matches = [];
+\tfor (let i = 0; i <= text.length - pattern.length; i++) {
+\t\tlet j = 0;
+\t\twhile (j < pattern.length && text[i + j] === pattern[j]) {
+\t\t\tj++;
+\t\t}
+\t\tif (j === pattern.length) {
+\t\t\tmatches.push(i);
+\t\t}
+\t}
+\treturn matches;
+};`;
+
+export const SAMPLE_CORPORA = {
+  dna: { name: "DNA sequence", text: DNA, pattern: "GAATTC" },
+  english: { name: "English paragraph", text: ENGLISH, pattern: "her" },
+  code: { name: "Source code", text: CODE, pattern: "pattern" },
+  stress: {
+    name: "Repeated-character stress text",
+    text: "a".repeat(400) + "b",
+    pattern: "aaaaaaab",
+  },
+};
@@ -0,0 +1,49 @@
+// Reading uploaded or dropped text files. FASTA files are reduced to their
+// sequences - header lines are dropped and each record's lines joined, so a
+// motif can be found across line breaks - with one line per record.
+export const TEXT_FILE_EXTENSIONS = [".txt", ".fasta", ".fa", ".fna", ".fas"];
+export const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+const FASTA_EXTENSIONS = [".fasta", ".fa", ".fna", ".fas"];
+
+const extensionOf = (name) => {
+  const dot = name.lastIndexOf(".");
+  return dot === -1 ? "" : name.slice(dot).toLowerCase();
+};
+
+export const parseFasta = (content) => {
+  const records = [];
+  let current = null;
+  for (const line of content.split(/\r?\n/)) {
+    if (line.startsWith(">") || line.startsWith(";")) {
+      current = null;
+      continue;
+    }
+    const sequence = line.trim();
+    if (sequence.length === 0) continue;
+    if (current === null) {
+      current = [];
+      records.push(current);
+    }
+    current.push(sequence);
+  }
+  return records.map((lines) => lines.join("")).join("\n");
+};
+
+// Resolves with the text to search, throws for unsupported or huge files
+export const readTextFile = async (file) => {
+  const extension = extensionOf(file.name);
+  if (!TEXT_FILE_EXTENSIONS.includes(extension)) {
+    throw new Error(
+      `Can't load "${file.name}": only ${TEXT_FILE_EXTENSIONS.join(
+        ", "
+      )} files are supported.`
+    );
+  }
+  if (file.size > MAX_FILE_SIZE) {
+    throw new Error(`Can't load "${file.name}": it is larger than 5 MB.`);
+  }
+
+  const content = await file.text();
+  return FASTA_EXTENSIONS.includes(extension) ? parseFasta(content) : content;
+};
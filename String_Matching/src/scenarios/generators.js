@@ -0,0 +1,232 @@
+// Inputs that show off the best and worst cases from the explanation cards,
+// plus random, DNA-like and English-like text. Everything random is drawn
+// from a seeded generator so the same settings always give the same input.
+import { calculateHash, modPow, toBigInt } from "../engine/rabinKarp";
+import { createRandom } from "./random";
+
+export const MAX_SCENARIO_LENGTH = 100000;
+
+// algorithm is the one the scenario is meant for (null keeps the current
+// one), usesAlphabet says whether the alphabet setting is used
+export const SCENARIOS = {
+  "naive-worst": {
+    name: "Naive worst case (aaa…ab)",
+    algorithm: "naive",
+    usesAlphabet: false,
+  },
+  "naive-best": {
+    name: "Naive best case (first character never matches)",
+    algorithm: "naive",
+    usesAlphabet: false,
+  },
+  "rabin-karp-collisions": {
+    name: "Rabin-Karp hash collisions",
+    algorithm: "rabin-karp",
+    usesAlphabet: true,
+  },
+  "all-matches": {
+    name: "Every window matches (aaa…a)",
+    algorithm: "boyer-moore",
+    usesAlphabet: false,
+  },
+  "boyer-moore-best": {
+    name: "Boyer-Moore best case (pattern characters not in text)",
+    algorithm: "boyer-moore",
+    usesAlphabet: true,
+  },
+  random: {
+    name: "Random text over an alphabet",
+    algorithm: null,
+    usesAlphabet: true,
+  },
+  dna: { name: "DNA-like text", algorithm: null, usesAlphabet: false },
+  english: { name: "English-like text", algorithm: null, usesAlphabet: false },
+};
+
+// Roughly by frequency, so common words come up more often
+const WORDS = (
+  "the the the of of and and to to a a in in is it that was for on " +
+  "are with as he she they be at one have this from by word but not " +
+  "what all were when we there can an your which their said if each " +
+  "about how up out them then many some so these would other into " +
+  "time has look two more write see number way could people than " +
+  "first water been call who find long down day did get come made may " +
+  "part string pattern text search match"
+).split(" ");
+
+// Characters the collision search may add to the text besides the alphabet.
+// No capitals, so "ignore case" doesn't change their hash.
+const COLLISION_CHARACTERS = Array.from({ length: 94 }, (_, k) =>
+  String.fromCharCode(33 + k)
+).filter((char) => char < "A" || char > "Z");
+
+const toLength = (value, name, max) => {
+  const length = Number(typeof value === "string" ? value.trim() : value);
+  if (!Number.isInteger(length) || length < 1 || length > max) {
+    throw new Error(`${name} must be a whole number from 1 to ${max}.`);
+  }
+  return length;
+};
+
+const toAlphabet = (alphabet) => {
+  const characters = [...new Set(Array.from(alphabet ?? ""))];
+  if (characters.length === 0) {
+    throw new Error("Alphabet must contain at least one character.");
+  }
+  return characters;
+};
+
+const randomText = (random, characters, n) =>
+  Array.from({ length: n }, () => random.pick(characters)).join("");
+
+// Cut the pattern out of the text, so there is at least one match
+const patternFromText = (random, text, m) => {
+  const characters = Array.from(text);
+  const start = random.integer(characters.length - m + 1);
+  return characters.slice(start, start + m).join("");
+};
+
+const englishText = (random, n) => {
+  let text = "";
+  while (text.length < n) {
+    const words = Array.from({ length: 5 + random.integer(8) }, () =>
+      random.pick(WORDS)
+    );
+    words[0] = words[0][0].toUpperCase() + words[0].slice(1);
+    text += `${words.join(" ")}. `;
+  }
+  return text.slice(0, n);
+};
+
+// Builds the text one character at a time, choosing each window's last
+// character so that the window hashes to the same value as the pattern.
+// The hash is linear in that character, so the residue it needs is known
+// up front - we just look up a character with that code mod q.
+const collisionText = (random, characters, pattern, n, options) => {
+  const base = toBigInt(options.base, "base");
+  const modulus = toBigInt(options.modulus, "modulus");
+  const m = pattern.length;
+  const patternHash = calculateHash(pattern, 0, m, base, modulus);
+  const h = modPow(base, BigInt(m - 1), modulus);
+  const code = (char) => BigInt(char.codePointAt(0));
+
+  // Alphabet characters first, so they're preferred when they work
+  const byResidue = new Map();
+  for (const char of [...characters, ...COLLISION_CHARACTERS]) {
+    const residue = code(char) % modulus;
+    if (!byResidue.has(residue)) byResidue.set(residue, char);
+  }
+
+  const text = Array.from({ length: m - 1 }, () => random.pick(characters));
+  // Hash of the m - 1 characters before the next window's last one
+  let partial = calculateHash(text, 0, m - 1, base, modulus);
+  let spurious = 0;
+  for (let i = m - 1; i < n; i++) {
+    const needed =
+      (((patternHash - partial * base) % modulus) + modulus) % modulus;
+    text.push(byResidue.get(needed) ?? random.pick(characters));
+
+    const windowHash = (partial * base + code(text[i])) % modulus;
+    const start = i - m + 1;
+    if (
+      windowHash === patternHash &&
+      text.slice(start, i + 1).join("") !== pattern
+    ) {
+      spurious++;
+    }
+    partial =
+      (((windowHash - code(text[start]) * h) % modulus) + modulus) % modulus;
+  }
+
+  return { text: text.join(""), spurious, modulus };
+};
+
+// Returns { text, pattern, algorithm, description }. Throws on bad settings.
+// rabinKarp holds the current base and modulus for the collision scenario.
+export const generateScenario = ({
+  kind,
+  textLength,
+  patternLength,
+  alphabet,
+  seed,
+  rabinKarp,
+}) => {
+  const scenario = SCENARIOS[kind];
+  if (!scenario) throw new Error(`Unknown scenario "${kind}".`);
+  const n = toLength(textLength, "Text length", MAX_SCENARIO_LENGTH);
+  const m = toLength(patternLength, "Pattern length", n);
+  const characters = scenario.usesAlphabet ? toAlphabet(alphabet) : [];
+  const random = createRandom(seed);
+  const windows = n - m + 1;
+  const everyWindow = windows * m;
+
+  let text;
+  let pattern;
+  let description;
+  switch (kind) {
+    case "naive-worst":
+      text = "a".repeat(n - 1) + "b";
+      pattern = "a".repeat(m - 1) + "b";
+      description = `Every alignment matches m - 1 characters before it fails: (n - m + 1) · m = ${everyWindow} comparisons for the naive algorithm.`;
+      break;
+    case "naive-best":
+      text = "a".repeat(n);
+      pattern = "b" + "a".repeat(m - 1);
+      description = `The pattern's first character never occurs in the text, so every alignment fails after 1 comparison: n - m + 1 = ${windows} comparisons.`;
+      break;
+    case "all-matches":
+      text = "a".repeat(n);
+      pattern = "a".repeat(m);
+      description = `Every window is a match and has to be checked in full: (n - m + 1) · m = ${everyWindow} comparisons for Naive, Boyer-Moore and the Rabin-Karp verification.`;
+      break;
+    case "boyer-moore-best": {
+      const absent = [..."zyxwvutsrqponmlkjihgfedcba0123456789"].find(
+        (char) => !characters.includes(char)
+      );
+      if (!absent) {
+        throw new Error(
+          "The alphabet uses every letter and digit, there is no character left for the pattern."
+        );
+      }
+      text = randomText(random, characters, n);
+      pattern = absent.repeat(m);
+      const shifts = Math.ceil(n / m);
+      description = `'${absent}' never occurs in the text, so Boyer-Moore fails on the pattern's last character and shifts by m every time: about n / m = ${shifts} comparisons.`;
+      break;
+    }
+    case "rabin-karp-collisions": {
+      pattern = randomText(random, characters, m);
+      const generated = collisionText(
+        random,
+        characters,
+        pattern,
+        n,
+        rabinKarp
+      );
+      text = generated.text;
+      description = `${generated.spurious} of ${windows} windows are spurious hits - the same hash as the pattern mod ${generated.modulus} but different text - and each one has to be verified character by character.`;
+      if (generated.spurious === 0) {
+        description +=
+          " The modulus is too large to force collisions with single characters, try a smaller one.";
+      }
+      break;
+    }
+    case "random":
+      text = randomText(random, characters, n);
+      pattern = patternFromText(random, text, m);
+      description = `Random text over ${characters.length} character(s), pattern taken from the text.`;
+      break;
+    case "dna":
+      text = randomText(random, [..."ACGT"], n);
+      pattern = patternFromText(random, text, m);
+      description = "Random A/C/G/T sequence, pattern taken from the text.";
+      break;
+    default:
+      text = englishText(random, n);
+      pattern = patternFromText(random, text, m);
+      description =
+        "Sentences of common English words, pattern taken from the text.";
+  }
+
+  return { text, pattern, algorithm: scenario.algorithm, description };
+};
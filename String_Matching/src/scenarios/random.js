@@ -0,0 +1,25 @@
+// Seeded random numbers, so a generated scenario can be reproduced from its
+// seed. Any string works as a seed - it is hashed (FNV-1a) into the 32-bit
+// state of a mulberry32 generator.
+export const createRandom = (seed) => {
+  let state = 0x811c9dc5;
+  for (const char of String(seed)) {
+    state ^= char.codePointAt(0);
+    state = Math.imul(state, 0x01000193);
+  }
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  // Whole number in [0, limit)
+  const integer = (limit) => Math.floor(next() * limit);
+  const pick = (items) => items[integer(items.length)];
+
+  return { next, integer, pick };
+};
+
+export const randomSeed = () => String(Math.floor(Math.random() * 1000000));